@@ -0,0 +1,91 @@
+/**
+ * Passphrase-based encryption of the audit trail and logs
+ * PBKDF2-SHA-256 derives an AES-256-GCM key from the passphrase. An encrypted
+ * artifact is self-describing: magic, iteration count, salt and IV, followed
+ * by the ciphertext. The header is authenticated along with the payload.
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+const AUDIT_ENCRYPTION_MAGIC = 'DEIDAUD1';
+const AUDIT_ENCRYPTION_ITERATIONS = 600000;
+const AUDIT_ENCRYPTION_SALT_BYTES = 16;
+const AUDIT_ENCRYPTION_IV_BYTES = 12;
+const AUDIT_ENCRYPTION_HEADER_BYTES = AUDIT_ENCRYPTION_MAGIC.length + 4 + AUDIT_ENCRYPTION_SALT_BYTES + AUDIT_ENCRYPTION_IV_BYTES;
+
+async function deriveAuditKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+function toAuditBytes(data) {
+    return data instanceof Uint8Array ? data : new Uint8Array(data);
+}
+
+function isEncryptedAuditArtifact(data) {
+    const magic = toAuditBytes(data).subarray(0, AUDIT_ENCRYPTION_MAGIC.length);
+    return new TextDecoder().decode(magic) === AUDIT_ENCRYPTION_MAGIC;
+}
+
+/**
+ * Encrypt bytes with a key derived from the passphrase, using a fresh salt and IV
+ */
+async function encryptAuditArtifact(data, passphrase, iterations = AUDIT_ENCRYPTION_ITERATIONS) {
+    if (!passphrase) {
+        throw new Error('An audit passphrase is required for encryption');
+    }
+
+    const header = new Uint8Array(AUDIT_ENCRYPTION_HEADER_BYTES);
+    header.set(new TextEncoder().encode(AUDIT_ENCRYPTION_MAGIC), 0);
+    new DataView(header.buffer).setUint32(AUDIT_ENCRYPTION_MAGIC.length, iterations);
+    const salt = crypto.getRandomValues(new Uint8Array(AUDIT_ENCRYPTION_SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(AUDIT_ENCRYPTION_IV_BYTES));
+    header.set(salt, AUDIT_ENCRYPTION_MAGIC.length + 4);
+    header.set(iv, AUDIT_ENCRYPTION_MAGIC.length + 4 + AUDIT_ENCRYPTION_SALT_BYTES);
+
+    const key = await deriveAuditKey(passphrase, salt, iterations);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: header }, key, data);
+
+    const output = new Uint8Array(header.length + ciphertext.byteLength);
+    output.set(header, 0);
+    output.set(new Uint8Array(ciphertext), header.length);
+    return output;
+}
+
+/**
+ * Decrypt an artifact written by encryptAuditArtifact
+ */
+async function decryptAuditArtifact(data, passphrase) {
+    const bytes = toAuditBytes(data);
+    if (bytes.length <= AUDIT_ENCRYPTION_HEADER_BYTES || !isEncryptedAuditArtifact(bytes)) {
+        throw new Error('Not an encrypted audit file');
+    }
+
+    const header = bytes.slice(0, AUDIT_ENCRYPTION_HEADER_BYTES);
+    const iterations = new DataView(header.buffer).getUint32(AUDIT_ENCRYPTION_MAGIC.length);
+    const salt = header.slice(AUDIT_ENCRYPTION_MAGIC.length + 4, AUDIT_ENCRYPTION_MAGIC.length + 4 + AUDIT_ENCRYPTION_SALT_BYTES);
+    const iv = header.slice(AUDIT_ENCRYPTION_MAGIC.length + 4 + AUDIT_ENCRYPTION_SALT_BYTES);
+
+    const key = await deriveAuditKey(passphrase, salt, iterations);
+    try {
+        const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData: header }, key, bytes.slice(AUDIT_ENCRYPTION_HEADER_BYTES));
+        return new Uint8Array(plaintext);
+    } catch (error) {
+        throw new Error('Wrong passphrase or corrupted audit file');
+    }
+}
+
+return { encryptAuditArtifact, decryptAuditArtifact, isEncryptedAuditArtifact, AUDIT_ENCRYPTION_ITERATIONS };
+}));
@@ -0,0 +1,73 @@
+/**
+ * De-identification audit CSV
+ * One row per de-identified file, mapping original identifiers to their
+ * pseudonyms. Written the same way by the browser app and the command line.
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+const AUDIT_CSV_HEADERS = [
+    'Filename',
+    'Original Study Instance UID',
+    'Scrambled Study Instance UID',
+    'Original Accession',
+    'Scrambled Accession',
+    'Original Patient ID',
+    'Scrambled Patient ID',
+    'Retained Private Tags',
+    'Pixel Redactions',
+    'Patient Age Rule',
+    'Pseudonym Scheme',
+    'Patient ID Source',
+    'Accession Source',
+    'Passphrase Fingerprint'
+];
+
+function escapeCSV(value) {
+    if (!value) return '';
+    value = value.toString();
+    if (value.includes(',') || value.includes('"') || value.includes('\n')) {
+        return '"' + value.replace(/"/g, '""') + '"';
+    }
+    return value;
+}
+
+/**
+ * Audit CSV for worker audit trail entries, every row carrying the run's
+ * passphrase fingerprint
+ */
+function generateAuditCSV(entries, passphraseFingerprint = '') {
+    let csv = AUDIT_CSV_HEADERS.join(',') + '\n';
+
+    // Do not remove duplicates - each file should have a row
+    for (const entry of entries) {
+        const row = [
+            escapeCSV(entry.filename),
+            escapeCSV(entry.originalStudyUID),
+            escapeCSV(entry.scrambledStudyUID),
+            escapeCSV(entry.originalAccession),
+            escapeCSV(entry.scrambledAccession),
+            escapeCSV(entry.originalPatientID),
+            escapeCSV(entry.scrambledPatientID),
+            escapeCSV(entry.retainedPrivateTags),
+            escapeCSV(entry.pixelRedactions),
+            escapeCSV(entry.ageRule),
+            escapeCSV(entry.pseudonymScheme),
+            escapeCSV(entry.patientIDSource),
+            escapeCSV(entry.accessionSource),
+            escapeCSV(passphraseFingerprint)
+        ];
+        csv += row.join(',') + '\n';
+    }
+
+    return csv;
+}
+
+return { generateAuditCSV, escapeCSV, AUDIT_CSV_HEADERS };
+}));
@@ -0,0 +1,765 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface for the DICOM De-identification Tool
+ * Runs dicom-worker.js in Node worker threads over an input directory or ZIP
+ * and writes the de-identified files, audit CSV and output.log to a directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const vm = require('vm');
+const { parseArgs } = require('util');
+const { fileURLToPath, pathToFileURL } = require('url');
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+
+// Shared with the browser app, loaded here as CommonJS modules
+const JSZip = require('./jszip.min.js');
+const { DicomScrambler } = require('./scrambler.js');
+const {
+    DeidentificationProfile,
+    DEID_PROFILES,
+    DEID_PROFILE_OPTIONS,
+    parseSafePrivateAttributes,
+    validatePatientAge,
+    describePatientAge,
+    createDefaultTagConfigurations
+} = require('./deid-profiles.js');
+const { parsePixelRedactionRules } = require('./pixel-redaction.js');
+const { generateAuditCSV } = require('./audit-trail.js');
+const { encryptAuditArtifact } = require('./audit-encryption.js');
+const { parseCSV } = require('./reidentification.js');
+const { PseudonymLookup, parsePseudonymLookup, PSEUDONYM_LOOKUP_UNMATCHED } = require('./pseudonym-lookup.js');
+const { PseudonymRegistry, createPseudonymTemplates, describePseudonymTemplates, PSEUDONYM_REGISTRY_FILENAME } = require('./pseudonym-template.js');
+const { DryRunReport } = require('./dry-run-report.js');
+const { TagInventory } = require('./tag-inventory.js');
+const { UIDRegistry, generateUIDCollisionLog } = require('./uid-registry.js');
+
+// SOP classes included by default, as checked on the main page
+const DEFAULT_SOP_CLASS_UIDS = [
+    '1.2.840.10008.5.1.4.1.1.1',
+    '1.2.840.10008.5.1.4.1.1.1.1',
+    '1.2.840.10008.5.1.4.1.1.1.1.1',
+    '1.2.840.10008.5.1.4.1.1.2',
+    '1.2.840.10008.5.1.4.1.1.2.1',
+    '1.2.840.10008.5.1.4.1.1.2.2'
+];
+
+// Files per worker batch, as in the browser's folder mode
+const BATCH_SIZE = 50;
+
+// JSZip loads an archive whole, and fs.promises.readFile reads at most 2 GiB
+const MAX_ZIP_BYTES = 2 ** 31 - 1;
+
+// dcmjs-codecs release the browser loads from the CDN
+const CODECS_VERSION = '0.0.6';
+
+const USAGE = `Usage: node cli.js --input <directory|file.zip> --output <directory> [options]
+       node cli.js --input <directory|file.zip> --dry-run [--output <directory>] [options]
+       node cli.js --input <directory|file.zip> --inventory [--output <directory>] [--config <file>]
+
+Options:
+  -i, --input <path>         Directory (searched recursively) or ZIP of DICOM files; a ZIP
+                             is read into memory and must be under 2 GiB, so extract a
+                             larger one and give the directory
+  -o, --output <directory>   Directory for de-identified files, deidentification_audit.csv and output.log
+  -c, --config <file>        Tag configuration JSON, as saved from the Configuration page
+  -s, --sop-class <uid>      SOP Class UID to include; repeat for several (default: CR, DX and CT)
+      --decompress           Decompress to Explicit VR Little Endian (needs the dcmjs-codecs
+                             package: npm install dcmjs-codecs@${CODECS_VERSION})
+      --profile <name>       De-identification profile: whitelist (default) or basic (PS3.15)
+      --profile-option <o>   PS3.15 profile option; repeat for several: retainLongitudinalFullDates,
+                             retainLongitudinalModifiedDates, retainPatientCharacteristics,
+                             retainDeviceIdentity, cleanDescriptors or retainUIDs
+      --safe-private <file>  Safe private attributes, one gggg | CREATOR | xx xx per line
+      --shift-key <key>      Date shift key: patient (default), study or global
+      --shift-strategy <s>   offset (default), keepYear or anchor
+      --shift-days <from:to> Offset range in days (default 0:7299)
+      --anchor-date <date>   Anchor date, YYYYMMDD, for the anchor strategy (default 20000101)
+      --age-mode <mode>      Patient's Age: keep (default) or recalculate from the shifted dates
+      --age-cap              Cap ages over 89 at 090Y
+      --age-bins <list>      Age bin lower bounds in years, e.g. 0,18,30,45,65,90
+      --uid-scheme <scheme>  New UIDs: uuid (default), root or legacy
+      --uid-root <root>      Organisation root for the root UID scheme
+      --pseudonym-scheme <s> Pseudonym hashing: v2 (default) or v1 (reproduce earlier runs)
+      --redaction-rules <f>  Pixel redaction rules, as entered on the Configuration page
+  -j, --workers <n>          Parallel worker threads (default: number of CPUs)
+  -v, --verbose              Log every tag action to output.log
+  -l, --lookup <file.csv>    Pseudonym lookup table, as loaded on the Configuration page
+      --unmatched <action>   For files the lookup table does not list: hash (default), skip or fail
+      --patient-template <t> Patient ID and Patient Name pseudonym template, e.g. SUBJ-{seq:4}
+      --study-template <t>   Accession Number pseudonym template, e.g. {project}_{hash:6}
+      --project <name>       Value of {project} in the templates
+      --registry <file>      Sequence number registry of a previous run (default: the
+                             output directory's ${PSEUDONYM_REGISTRY_FILENAME}, if any)
+      --dry-run              Parse every file and report what would be done, writing no
+                             DICOM files; the report goes to stdout, and to
+                             dry_run_report.csv and dry_run_summary.txt with --output
+      --inventory            List every tag in the input with its VR, name, file count,
+                             sample values and handling under --config, writing no DICOM
+                             files; the CSV goes to stdout, or to tag_inventory.csv with --output
+      --encrypt-audit <file> Write deidentification_audit.csv and output.log, zipped and
+                             encrypted with the audit passphrase, to <file> outside the
+                             output directory instead of into it, as the browser's
+                             deidentification_audit.enc
+      --passphrase-file <f>  Read the passphrase from a file (first line)
+      --audit-passphrase-file <f>
+                             Read the audit passphrase from a file (first line)
+  -h, --help                 Show this help
+
+The passphrase is read from --passphrase-file or the DICOM_DEID_PASSPHRASE
+environment variable, so it does not appear in the process list. An
+inventory does not need one. The audit passphrase for --encrypt-audit is read
+the same way, from --audit-passphrase-file or DICOM_DEID_AUDIT_PASSPHRASE.
+
+Exit status: 0 when every file was processed, 2 when some files failed
+(would fail, in a dry run, or could not be read, in an inventory), 1 on
+errors that stopped the run.`;
+
+/**
+ * Worker thread: give dicom-worker.js the global scope of a Web Worker
+ */
+function runWorkerScope() {
+    const codecsBuild = resolveCodecsBuild();
+
+    globalThis.self = globalThis;
+    self.location = { href: pathToFileURL(path.join(__dirname, 'dicom-worker.js')).href };
+    if (codecsBuild) {
+        self.DCMJS_CODECS_BASE_URL = codecsBuild;
+    }
+    self.importScripts = (...urls) => {
+        for (const url of urls) {
+            if (/^https?:/.test(url)) {
+                // Remote scripts cannot be loaded synchronously; without the
+                // codecs the worker reports decompression as unavailable
+                continue;
+            }
+            const file = url.startsWith('file:') ? fileURLToPath(url) : url;
+            vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+        }
+    };
+    self.postMessage = (message, transfer) => parentPort.postMessage(message, transfer);
+
+    // Keep stdout for the command line's own output
+    console.log = () => {};
+
+    const workerScript = path.join(__dirname, 'dicom-worker.js');
+    vm.runInThisContext(fs.readFileSync(workerScript, 'utf8'), { filename: workerScript });
+    parentPort.on('message', data => self.onmessage({ data }));
+}
+
+/**
+ * The dcmjs-codecs build directory, or null when the package is not
+ * installed; the browser loads the same version from the CDN
+ */
+function resolveCodecsBuild() {
+    try {
+        return path.join(path.dirname(require.resolve('dcmjs-codecs/package.json')), 'build');
+    } catch {
+        return null;
+    }
+}
+
+function parseOptions(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            input: { type: 'string', short: 'i' },
+            output: { type: 'string', short: 'o' },
+            config: { type: 'string', short: 'c' },
+            'sop-class': { type: 'string', short: 's', multiple: true },
+            decompress: { type: 'boolean', default: false },
+            profile: { type: 'string', default: 'whitelist' },
+            'profile-option': { type: 'string', multiple: true, default: [] },
+            'safe-private': { type: 'string' },
+            'shift-key': { type: 'string' },
+            'shift-strategy': { type: 'string' },
+            'shift-days': { type: 'string' },
+            'anchor-date': { type: 'string' },
+            'age-mode': { type: 'string', default: 'keep' },
+            'age-cap': { type: 'boolean', default: false },
+            'age-bins': { type: 'string', default: '' },
+            'uid-scheme': { type: 'string' },
+            'uid-root': { type: 'string' },
+            'pseudonym-scheme': { type: 'string' },
+            'redaction-rules': { type: 'string' },
+            workers: { type: 'string', short: 'j' },
+            verbose: { type: 'boolean', short: 'v', default: false },
+            lookup: { type: 'string', short: 'l' },
+            unmatched: { type: 'string', default: 'hash' },
+            'patient-template': { type: 'string' },
+            'study-template': { type: 'string' },
+            project: { type: 'string' },
+            registry: { type: 'string' },
+            'dry-run': { type: 'boolean', default: false },
+            inventory: { type: 'boolean', default: false },
+            'encrypt-audit': { type: 'string' },
+            'passphrase-file': { type: 'string' },
+            'audit-passphrase-file': { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) return { help: true };
+    if (!values.input || (!values.output && !values['dry-run'] && !values.inventory)) {
+        throw new Error('--input and --output are required');
+    }
+    if (values['dry-run'] && values.inventory) {
+        throw new Error('--dry-run and --inventory cannot be combined');
+    }
+
+    const passphrase = readPassphrase(values['passphrase-file'], 'DICOM_DEID_PASSPHRASE');
+    if (!passphrase && !values.inventory) {
+        throw new Error('No passphrase: use --passphrase-file or set DICOM_DEID_PASSPHRASE');
+    }
+
+    let encryptAudit = null;
+    let auditPassphrase = null;
+    if (values['encrypt-audit'] !== undefined) {
+        if (values['dry-run'] || values.inventory) {
+            throw new Error('--encrypt-audit applies to processing; a dry run or inventory writes no audit');
+        }
+        encryptAudit = path.resolve(values['encrypt-audit']);
+        if (encryptAudit.startsWith(path.resolve(values.output) + path.sep)) {
+            throw new Error('--encrypt-audit must be outside the output directory, so the audit does not travel with the images');
+        }
+        auditPassphrase = readPassphrase(values['audit-passphrase-file'], 'DICOM_DEID_AUDIT_PASSPHRASE');
+        if (!auditPassphrase) {
+            throw new Error('No audit passphrase: use --audit-passphrase-file or set DICOM_DEID_AUDIT_PASSPHRASE');
+        }
+    } else if (values['audit-passphrase-file']) {
+        throw new Error('--audit-passphrase-file needs --encrypt-audit');
+    }
+
+    const workers = values.workers === undefined ? os.cpus().length : Number(values.workers);
+    if (!Number.isInteger(workers) || workers < 1) {
+        throw new Error(`--workers must be a positive integer, got "${values.workers}"`);
+    }
+
+    if (values.decompress && !resolveCodecsBuild()) {
+        throw new Error(`--decompress needs the dcmjs-codecs package, which is not installed: npm install dcmjs-codecs@${CODECS_VERSION}`);
+    }
+
+    const deidProfile = parseProfileOptions(values);
+    const { dateShift, uidOptions, pseudonymScheme } = parseScramblerOptions(values);
+    const patientAge = {
+        mode: values['age-mode'],
+        capOver89: values['age-cap'],
+        bins: values['age-bins'].split(',').map(bin => bin.trim()).filter(Boolean).map(Number)
+    };
+    validatePatientAge(patientAge);
+    let pixelRedactionRules = [];
+    if (values['redaction-rules']) {
+        try {
+            pixelRedactionRules = parsePixelRedactionRules(fs.readFileSync(values['redaction-rules'], 'utf8'));
+        } catch (error) {
+            throw new Error(`${values['redaction-rules']}: ${error.message}`);
+        }
+    }
+
+    let tagConfigurations = createDefaultTagConfigurations(deidProfile.name);
+    if (values.config) {
+        tagConfigurations = JSON.parse(fs.readFileSync(values.config, 'utf8'));
+        if (!tagConfigurations || typeof tagConfigurations !== 'object' || Array.isArray(tagConfigurations)) {
+            throw new Error(`${values.config} is not a tag configuration`);
+        }
+    }
+
+    if (!PSEUDONYM_LOOKUP_UNMATCHED[values.unmatched]) {
+        throw new Error(`--unmatched must be one of ${Object.keys(PSEUDONYM_LOOKUP_UNMATCHED).join(', ')}, got "${values.unmatched}"`);
+    }
+    let pseudonymLookup = null;
+    if (values.lookup) {
+        try {
+            pseudonymLookup = { ...parsePseudonymLookup(parseCSV(fs.readFileSync(values.lookup, 'utf8'))), unmatched: values.unmatched };
+        } catch (error) {
+            throw new Error(`${values.lookup}: ${error.message}`);
+        }
+    }
+
+    let pseudonymTemplates = null;
+    let pseudonymRegistry = null;
+    if (values['patient-template'] || values['study-template']) {
+        pseudonymTemplates = {
+            patient: values['patient-template'] || '',
+            study: values['study-template'] || '',
+            project: values.project || ''
+        };
+        createPseudonymTemplates(pseudonymTemplates);
+
+        // Sequence numbers continue from the previous run's registry
+        const registryFile = values.registry || (values.output && path.join(path.resolve(values.output), PSEUDONYM_REGISTRY_FILENAME));
+        if (values.registry || (registryFile && fs.existsSync(registryFile))) {
+            try {
+                pseudonymRegistry = PseudonymRegistry.fromJSON(fs.readFileSync(registryFile, 'utf8'));
+            } catch (error) {
+                throw new Error(`${registryFile}: ${error.message}`);
+            }
+        } else {
+            pseudonymRegistry = new PseudonymRegistry();
+        }
+    } else if (values.registry || values.project) {
+        throw new Error('--registry and --project need --patient-template or --study-template');
+    }
+
+    return {
+        input: path.resolve(values.input),
+        output: values.output ? path.resolve(values.output) : null,
+        dryRun: values['dry-run'],
+        inventory: values.inventory,
+        passphrase,
+        encryptAudit,
+        auditPassphrase,
+        tagConfigurations,
+        deidProfile,
+        pixelRedactionRules,
+        dateShift,
+        patientAge,
+        uidOptions,
+        pseudonymScheme,
+        pseudonymLookup,
+        pseudonymTemplates,
+        pseudonymRegistry,
+        allowedSOPClassUIDs: values['sop-class'] || DEFAULT_SOP_CLASS_UIDS,
+        decompressMode: values.decompress,
+        verboseMode: values.verbose,
+        workers
+    };
+}
+
+/**
+ * First line of a passphrase file, or the environment variable's value
+ */
+function readPassphrase(file, environmentVariable) {
+    return file
+        ? fs.readFileSync(file, 'utf8').split(/\r?\n/)[0]
+        : process.env[environmentVariable];
+}
+
+/**
+ * Profile name, options and safe private attributes, checked as the
+ * Configuration page offers them
+ */
+function parseProfileOptions(values) {
+    if (!DEID_PROFILES[values.profile]) {
+        throw new Error(`--profile must be one of ${Object.keys(DEID_PROFILES).join(', ')}, got "${values.profile}"`);
+    }
+    const options = {};
+    for (const option of values['profile-option']) {
+        if (!DEID_PROFILE_OPTIONS.includes(option)) {
+            throw new Error(`--profile-option must be one of ${DEID_PROFILE_OPTIONS.join(', ')}, got "${option}"`);
+        }
+        options[option] = true;
+    }
+    if (values.profile === 'whitelist' && Object.keys(options).length > 0) {
+        throw new Error('--profile-option applies to PS3.15 profiles, not the whitelist');
+    }
+    if (options.retainLongitudinalFullDates && options.retainLongitudinalModifiedDates) {
+        throw new Error('retainLongitudinalFullDates and retainLongitudinalModifiedDates cannot be combined');
+    }
+    let safePrivateAttributes = [];
+    if (values['safe-private']) {
+        try {
+            safePrivateAttributes = parseSafePrivateAttributes(fs.readFileSync(values['safe-private'], 'utf8'));
+        } catch (error) {
+            throw new Error(`${values['safe-private']}: ${error.message}`);
+        }
+    }
+    return { name: values.profile, options, safePrivateAttributes };
+}
+
+/**
+ * Date shift, UID and pseudonym settings, with the defaults filled in;
+ * the scrambler rejects the same settings the Configuration page does
+ */
+function parseScramblerOptions(values) {
+    const dateShift = {};
+    if (values['shift-key'] !== undefined) dateShift.key = values['shift-key'];
+    if (values['shift-strategy'] !== undefined) dateShift.mode = values['shift-strategy'];
+    if (values['anchor-date'] !== undefined) dateShift.anchorDate = values['anchor-date'];
+    if (values['shift-days'] !== undefined) {
+        const match = values['shift-days'].match(/^(-?\d+):(-?\d+)$/);
+        if (!match) {
+            throw new Error(`--shift-days must be <from>:<to> in days, e.g. 0:365, got "${values['shift-days']}"`);
+        }
+        dateShift.minDays = Number(match[1]);
+        dateShift.maxDays = Number(match[2]);
+    }
+    const uidOptions = {};
+    if (values['uid-scheme'] !== undefined) uidOptions.scheme = values['uid-scheme'];
+    if (values['uid-root'] !== undefined) uidOptions.root = values['uid-root'];
+    if (uidOptions.root && uidOptions.scheme !== 'root') {
+        throw new Error('--uid-root needs --uid-scheme root');
+    }
+
+    const scrambler = new DicomScrambler('', dateShift, uidOptions, values['pseudonym-scheme']);
+    return { dateShift: scrambler.dateShift, uidOptions: scrambler.uidOptions, pseudonymScheme: scrambler.pseudonymScheme };
+}
+
+function isDicomFile(bytes) {
+    return bytes.length >= 132 && bytes[128] === 0x44 && bytes[129] === 0x49 && bytes[130] === 0x43 && bytes[131] === 0x4D;
+}
+
+function toArrayBuffer(bytes) {
+    return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+/**
+ * DICOM files under a directory, as { filename, read() }; only the 132-byte
+ * header is read here, the data is read when its batch is dispatched
+ */
+async function listDirectory(root) {
+    const files = [];
+    const header = Buffer.alloc(132);
+
+    async function walk(directory) {
+        const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            const fullPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                await walk(fullPath);
+            } else if (entry.isFile()) {
+                const handle = await fs.promises.open(fullPath, 'r');
+                try {
+                    const { bytesRead } = await handle.read(header, 0, 132, 0);
+                    if (isDicomFile(header.subarray(0, bytesRead))) {
+                        files.push({
+                            filename: path.relative(root, fullPath).split(path.sep).join('/'),
+                            read: async () => toArrayBuffer(await fs.promises.readFile(fullPath))
+                        });
+                    }
+                } finally {
+                    await handle.close();
+                }
+            }
+        }
+    }
+
+    await walk(root);
+    return files;
+}
+
+/**
+ * DICOM files in a ZIP archive, as { filename, read() }; only enough of each
+ * entry to reach the 132-byte header is inflated here, the data is inflated
+ * when its batch is dispatched
+ */
+async function listZip(zipPath) {
+    const { size } = await fs.promises.stat(zipPath);
+    if (size > MAX_ZIP_BYTES) {
+        throw new Error(`${zipPath} is ${size} bytes; a ZIP over 2 GiB cannot be loaded, so extract it and give the directory as --input`);
+    }
+    const zip = await new JSZip().loadAsync(await fs.promises.readFile(zipPath));
+    const files = [];
+    for (const [filename, zipEntry] of Object.entries(zip.files)) {
+        if (zipEntry.dir) continue;
+        if (isDicomFile(await readZipEntryHeader(zipEntry, 132))) {
+            files.push({ filename, read: async () => toArrayBuffer(await zipEntry.async('uint8array')) });
+        }
+    }
+    return files;
+}
+
+/**
+ * At least the first length bytes of a ZIP entry, or all of a shorter one;
+ * the stream is paused once they have arrived, so the rest is not inflated
+ */
+function readZipEntryHeader(zipEntry, length) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let received = 0;
+        const stream = zipEntry.internalStream('uint8array');
+        stream.on('data', chunk => {
+            chunks.push(chunk);
+            received += chunk.length;
+            if (received >= length) {
+                stream.pause();
+                resolve(Buffer.concat(chunks));
+            }
+        }).on('error', reject).on('end', () => resolve(Buffer.concat(chunks))).resume();
+    });
+}
+
+async function writeOutputFile(outputRoot, filename, data) {
+    const target = path.resolve(outputRoot, filename);
+    if (!target.startsWith(outputRoot + path.sep)) {
+        throw new Error(`Refusing to write outside the output directory: ${filename}`);
+    }
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, Buffer.from(data));
+}
+
+/**
+ * Process every file with a pool of worker threads pulling batches from a
+ * shared queue, saving results as each batch completes
+ */
+async function processFiles(files, options, onBatch) {
+    const run = {
+        results: [],
+        auditTrails: [],
+        errorLogs: [],
+        verboseLog: '',
+        skippedFiles: 0,
+        uidCollisions: 0,
+        // Digests of the whole run's new UIDs, to catch collisions between worker threads
+        uidRegistry: new UIDRegistry(),
+        dryRunReport: options.dryRun ? new DryRunReport() : null,
+        tagInventory: options.inventory ? new TagInventory() : null
+    };
+    let cursor = 0;
+
+    const runWorker = async (workerId) => {
+        const worker = new Worker(__filename);
+        try {
+            while (cursor < files.length) {
+                const batch = files.slice(cursor, cursor + BATCH_SIZE);
+                cursor += batch.length;
+                const data = await Promise.all(batch.map(async file => ({ filename: file.filename, path: file.filename, data: await file.read() })));
+
+                const message = await new Promise((resolve, reject) => {
+                    const onMessage = (message) => {
+                        if (message.type === 'ASSIGN_SEQUENCE') {
+                            const sequence = options.pseudonymRegistry.assign(message.kind, message.key);
+                            worker.postMessage({ type: 'SEQUENCE_ASSIGNED', requestId: message.requestId, sequence });
+                            return;
+                        }
+                        if (message.type !== 'COMPLETE') return;
+                        worker.off('message', onMessage);
+                        worker.off('error', reject);
+                        resolve(message);
+                    };
+                    worker.on('message', onMessage);
+                    worker.once('error', reject);
+                    worker.postMessage({
+                        type: 'PROCESS_FILES',
+                        data: {
+                            files: data,
+                            passphrase: options.passphrase,
+                            workerId,
+                            allowedSOPClassUIDs: options.allowedSOPClassUIDs,
+                            tagConfigurations: options.tagConfigurations,
+                            verboseMode: options.verboseMode,
+                            decompressMode: options.decompressMode,
+                            deidProfile: options.deidProfile,
+                            pixelRedactionRules: options.pixelRedactionRules,
+                            dateShift: options.dateShift,
+                            patientAge: options.patientAge,
+                            uidOptions: options.uidOptions,
+                            pseudonymScheme: options.pseudonymScheme,
+                            pseudonymLookup: options.pseudonymLookup,
+                            pseudonymTemplates: options.pseudonymTemplates,
+                            dryRun: options.dryRun ? { includeSamples: true } : false,
+                            inventoryMode: options.inventory ? { includeSamples: true } : false
+                        }
+                    }, data.map(file => file.data));
+                });
+
+                for (const result of message.results) {
+                    if (result.success && result.data) {
+                        await writeOutputFile(options.output, result.filename, result.data);
+                    }
+                    run.results.push({ filename: result.filename, success: result.success, error: result.error });
+                }
+                run.auditTrails.push(message.auditTrail);
+                run.errorLogs.push(message.errorLog);
+                if (options.verboseMode && message.verboseLog) {
+                    run.verboseLog += message.verboseLog;
+                }
+                run.skippedFiles += message.skippedFiles || 0;
+                run.uidCollisions += message.uidCollisions || 0;
+                const collisions = run.uidRegistry.merge(message.uidMappings || []);
+                if (collisions.length > 0) {
+                    run.uidCollisions += collisions.length;
+                    run.errorLogs.push(generateUIDCollisionLog(collisions));
+                }
+                if (message.dryRunReport) {
+                    run.dryRunReport.merge(message.dryRunReport);
+                }
+                if (message.tagInventory) {
+                    run.tagInventory.merge(message.tagInventory);
+                }
+                onBatch(run);
+            }
+        } finally {
+            await worker.terminate();
+        }
+    };
+
+    const workerCount = Math.min(options.workers, Math.ceil(files.length / BATCH_SIZE));
+    await Promise.all(Array.from({ length: workerCount }, (_, workerId) => runWorker(workerId)));
+    return run;
+}
+
+function describeSkippedFiles(options) {
+    return options.pseudonymLookup && options.pseudonymLookup.unmatched === 'skip'
+        ? 'SOPClassUID filter or no pseudonym lookup entry'
+        : 'SOPClassUID filter';
+}
+
+function generateOutputLog(run, options, totalFiles, passphraseFingerprint) {
+    const succeeded = run.results.filter(r => r.success).length;
+    const failedFiles = run.results.filter(r => !r.success);
+
+    let logContent = 'DICOM Processing Summary\n';
+    logContent += '='.repeat(30) + '\n\n';
+    logContent += `Input: ${options.input}\n`;
+    logContent += `Processed: ${succeeded} of ${totalFiles} files\n`;
+    if (run.skippedFiles > 0) {
+        logContent += `${run.skippedFiles} files were skipped (${describeSkippedFiles(options)}).\n`;
+    }
+    if (failedFiles.length > 0) {
+        logContent += `${failedFiles.length} files failed to process:\n`;
+        failedFiles.forEach(result => {
+            logContent += `- ${result.filename}: ${result.error}\n`;
+        });
+    }
+    logContent += `UID collisions: ${run.uidCollisions}\n`;
+    logContent += `Passphrase fingerprint: ${passphraseFingerprint}\n`;
+    const profile = new DeidentificationProfile(options.deidProfile.name, options.deidProfile.options, options.deidProfile.safePrivateAttributes);
+    const scrambler = new DicomScrambler('', options.dateShift, options.uidOptions, options.pseudonymScheme);
+    logContent += `Profile: ${profile.getMethodDescription().join(', ')}\n`;
+    logContent += `Pseudonyms: ${scrambler.describePseudonymScheme()}\n`;
+    logContent += `Date shift: ${scrambler.describeDateShift()}\n`;
+    logContent += `Patient age: ${describePatientAge(options.patientAge)}\n`;
+    logContent += `UIDs: ${scrambler.describeUIDOptions()}\n`;
+    if (options.pixelRedactionRules.length > 0) {
+        logContent += `Pixel redaction rules: ${options.pixelRedactionRules.length}\n`;
+    }
+    if (options.pseudonymLookup) {
+        logContent += `Pseudonym lookup table: ${new PseudonymLookup(options.pseudonymLookup, options.pseudonymLookup.unmatched).describe()}\n`;
+    }
+    if (options.pseudonymRegistry) {
+        logContent += `Pseudonym templates: ${describePseudonymTemplates(options.pseudonymTemplates)}; registry: ${options.pseudonymRegistry.describe()}\n`;
+    }
+
+    const errorLog = run.errorLogs.filter(log => log && log.trim().length > 0).join('\n\n');
+    if (errorLog) {
+        logContent += '\n\n' + errorLog;
+    }
+
+    if (options.verboseMode && run.verboseLog.length > 0) {
+        logContent += '\n\nDetailed Tag Processing Log\n';
+        logContent += '='.repeat(40) + '\n';
+        logContent += run.verboseLog;
+    }
+
+    return logContent;
+}
+
+/**
+ * Inventory the input's tags, with their handling under the tag
+ * configuration, as CSV on stdout or in the output directory
+ */
+async function writeTagInventory(files, options) {
+    const run = await processFiles(files, options, (progress) => {
+        console.error(`${progress.results.length} / ${files.length} files listed`);
+    });
+    const inventory = run.tagInventory;
+    const { name, options: profileOptions, safePrivateAttributes } = options.deidProfile;
+    const csv = inventory.generateCSV(new DeidentificationProfile(name, profileOptions, safePrivateAttributes), options.tagConfigurations);
+    if (options.output) {
+        await fs.promises.writeFile(path.join(options.output, 'tag_inventory.csv'), csv);
+    } else {
+        process.stdout.write(csv);
+    }
+
+    console.error(`Listed ${inventory.tags.size} tags in ${inventory.files} files` +
+        (inventory.unreadable.length > 0 ? `, ${inventory.unreadable.length} could not be read` : ''));
+    inventory.unreadable.forEach(file => console.error(`- ${file.filename}: ${file.error}`));
+    return inventory.unreadable.length > 0 ? 2 : 0;
+}
+
+/**
+ * The audit CSV and output.log zipped and encrypted, as the browser's
+ * deidentification_audit.enc
+ */
+async function createEncryptedAudit(csv, logContent, auditPassphrase) {
+    const zip = new JSZip();
+    zip.file('deidentification_audit.csv', csv);
+    zip.file('output.log', logContent);
+    const data = await zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+    return encryptAuditArtifact(data, auditPassphrase);
+}
+
+async function main(argv) {
+    const options = parseOptions(argv);
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const inputStat = await fs.promises.stat(options.input);
+    const files = inputStat.isDirectory() ? await listDirectory(options.input) : await listZip(options.input);
+    if (files.length === 0) {
+        throw new Error(`No DICOM files found in ${options.input}. Files must contain the DICM magic bytes at position 128-131.`);
+    }
+    console.error(`Found ${files.length} DICOM files`);
+
+    if (options.output) {
+        await fs.promises.mkdir(options.output, { recursive: true });
+    }
+    if (options.inventory) {
+        return writeTagInventory(files, options);
+    }
+    const passphraseFingerprint = await DicomScrambler.createPassphraseFingerprint(options.passphrase);
+    if (options.pseudonymRegistry) {
+        const previous = options.pseudonymRegistry.passphraseFingerprint;
+        if (previous && !(await DicomScrambler.verifyPassphraseFingerprint(options.passphrase, previous))) {
+            throw new Error('The pseudonym registry was saved with a different passphrase, so its sequence numbers cannot be matched to patients or studies');
+        }
+        options.pseudonymRegistry.passphraseFingerprint = passphraseFingerprint;
+    }
+
+    const run = await processFiles(files, options, (progress) => {
+        console.error(`${progress.results.length + progress.skippedFiles} / ${files.length} files processed`);
+    });
+
+    if (options.dryRun) {
+        // Nothing else is written, so the registry keeps its previous numbering
+        const summary = run.dryRunReport.generateSummary();
+        if (options.output) {
+            await fs.promises.writeFile(path.join(options.output, 'dry_run_report.csv'), run.dryRunReport.generateCSV());
+            await fs.promises.writeFile(path.join(options.output, 'dry_run_summary.txt'), summary);
+        }
+        console.log(summary);
+        return run.dryRunReport.failures.length > 0 ? 2 : 0;
+    }
+
+    const csv = generateAuditCSV(run.auditTrails.flat(), passphraseFingerprint);
+    const logContent = generateOutputLog(run, options, files.length, passphraseFingerprint);
+    if (options.encryptAudit) {
+        // Kept out of the output directory, as the browser offers it as a separate download
+        await fs.promises.mkdir(path.dirname(options.encryptAudit), { recursive: true });
+        await fs.promises.writeFile(options.encryptAudit, await createEncryptedAudit(csv, logContent, options.auditPassphrase));
+    } else {
+        await fs.promises.writeFile(path.join(options.output, 'deidentification_audit.csv'), csv);
+        await fs.promises.writeFile(path.join(options.output, 'output.log'), logContent);
+    }
+    if (options.pseudonymRegistry) {
+        await fs.promises.writeFile(path.join(options.output, PSEUDONYM_REGISTRY_FILENAME), JSON.stringify(options.pseudonymRegistry, null, 2));
+    }
+
+    const failed = run.results.filter(r => !r.success).length;
+    console.log(`Processed ${run.results.length - failed} of ${files.length} files` +
+        (failed > 0 ? `, ${failed} failed` : '') +
+        (run.skippedFiles > 0 ? `, ${run.skippedFiles} skipped (${describeSkippedFiles(options)})` : '') +
+        (run.uidCollisions > 0 ? `, ${run.uidCollisions} UID collisions (see output.log)` : ''));
+    if (options.encryptAudit) {
+        console.log(`Encrypted audit written to ${options.encryptAudit}; decrypt it on the Re-identify page`);
+    }
+    return failed > 0 ? 2 : 0;
+}
+
+if (!isMainThread) {
+    runWorkerScope();
+} else if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }, error => {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { main, parseOptions, DEFAULT_SOP_CLASS_UIDS };
@@ -0,0 +1,808 @@
+/**
+ * De-identification Profiles
+ * Rule tables mapping DICOM tags to PS3.15 Annex E action codes
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+// Option columns of PS3.15 Table E.1-1 that change the Basic Profile action
+const RTN_UIDS = { retainUIDs: 'K' };
+const RTN_DEV = { retainDeviceIdentity: 'K' };
+const RTN_DEV_C = { retainDeviceIdentity: 'C' };
+const RTN_PAT = { retainPatientCharacteristics: 'K' };
+const RTN_PAT_C = { retainPatientCharacteristics: 'C' };
+const RTN_LONG = { retainLongitudinalFullDates: 'K', retainLongitudinalModifiedDates: 'C' };
+const CLEAN_DESC = { cleanDescriptors: 'C' };
+
+// PS3.15 Table E.1-1 - [tag, name, Basic Profile action, option actions]
+const BASIC_PROFILE_RULES = [
+    ['00020003', 'MediaStorageSOPInstanceUID', 'U', RTN_UIDS],
+    ['00041511', 'ReferencedSOPInstanceUIDInFile', 'U', RTN_UIDS],
+    ['00080012', 'InstanceCreationDate', 'X', RTN_LONG],
+    ['00080013', 'InstanceCreationTime', 'X', RTN_LONG],
+    ['00080014', 'InstanceCreatorUID', 'U', RTN_UIDS],
+    ['00080015', 'InstanceCoercionDateTime', 'X', RTN_LONG],
+    ['00080018', 'SOPInstanceUID', 'U', RTN_UIDS],
+    ['00080020', 'StudyDate', 'Z', RTN_LONG],
+    ['00080021', 'SeriesDate', 'X', RTN_LONG],
+    ['00080022', 'AcquisitionDate', 'X/Z', RTN_LONG],
+    ['00080023', 'ContentDate', 'Z/D', RTN_LONG],
+    ['00080024', 'RETIRED_OverlayDate', 'X', RTN_LONG],
+    ['00080025', 'RETIRED_CurveDate', 'X', RTN_LONG],
+    ['0008002A', 'AcquisitionDateTime', 'X/D', RTN_LONG],
+    ['00080030', 'StudyTime', 'Z', RTN_LONG],
+    ['00080031', 'SeriesTime', 'X', RTN_LONG],
+    ['00080032', 'AcquisitionTime', 'X/Z', RTN_LONG],
+    ['00080033', 'ContentTime', 'Z/D', RTN_LONG],
+    ['00080034', 'RETIRED_OverlayTime', 'X', RTN_LONG],
+    ['00080035', 'RETIRED_CurveTime', 'X', RTN_LONG],
+    ['00080050', 'AccessionNumber', 'Z'],
+    ['00080058', 'FailedSOPInstanceUIDList', 'U', RTN_UIDS],
+    ['00080080', 'InstitutionName', 'X/Z/D'],
+    ['00080081', 'InstitutionAddress', 'X'],
+    ['00080082', 'InstitutionCodeSequence', 'X/Z/D'],
+    ['00080090', 'ReferringPhysicianName', 'Z'],
+    ['00080092', 'ReferringPhysicianAddress', 'X'],
+    ['00080094', 'ReferringPhysicianTelephoneNumbers', 'X'],
+    ['00080096', 'ReferringPhysicianIdentificationSequence', 'X'],
+    ['0008010D', 'ContextGroupExtensionCreatorUID', 'U', RTN_UIDS],
+    ['00080201', 'TimezoneOffsetFromUTC', 'X', RTN_LONG],
+    ['00081010', 'StationName', 'X/Z/D', RTN_DEV],
+    ['00081030', 'StudyDescription', 'X', CLEAN_DESC],
+    ['0008103E', 'SeriesDescription', 'X', CLEAN_DESC],
+    ['00081040', 'InstitutionalDepartmentName', 'X'],
+    ['00081048', 'PhysiciansOfRecord', 'X'],
+    ['00081049', 'PhysiciansOfRecordIdentificationSequence', 'X'],
+    ['00081050', 'PerformingPhysicianName', 'X'],
+    ['00081052', 'PerformingPhysicianIdentificationSequence', 'X'],
+    ['00081060', 'NameOfPhysiciansReadingStudy', 'X'],
+    ['00081062', 'PhysiciansReadingStudyIdentificationSequence', 'X'],
+    ['00081070', 'OperatorsName', 'X/Z/D'],
+    ['00081072', 'OperatorIdentificationSequence', 'X/D'],
+    ['00081080', 'AdmittingDiagnosesDescription', 'X', CLEAN_DESC],
+    ['00081084', 'AdmittingDiagnosesCodeSequence', 'X'],
+    ['00081110', 'ReferencedStudySequence', 'X/Z'],
+    ['00081111', 'ReferencedPerformedProcedureStepSequence', 'X/Z/D'],
+    ['00081120', 'ReferencedPatientSequence', 'X'],
+    ['00081140', 'ReferencedImageSequence', 'X/Z/U*'],
+    ['00081155', 'ReferencedSOPInstanceUID', 'U', RTN_UIDS],
+    ['00081195', 'TransactionUID', 'U', RTN_UIDS],
+    ['00082111', 'DerivationDescription', 'X', CLEAN_DESC],
+    ['00083010', 'IrradiationEventUID', 'U', RTN_UIDS],
+    ['00084000', 'RETIRED_IdentifyingComments', 'X', CLEAN_DESC],
+    ['00089123', 'CreatorVersionUID', 'U', RTN_UIDS],
+    ['00100010', 'PatientName', 'Z'],
+    ['00100020', 'PatientID', 'Z'],
+    ['00100021', 'IssuerOfPatientID', 'X'],
+    ['00100030', 'PatientBirthDate', 'Z'],
+    ['00100032', 'PatientBirthTime', 'X', RTN_LONG],
+    ['00100040', 'PatientSex', 'Z', RTN_PAT],
+    ['00100050', 'PatientInsurancePlanCodeSequence', 'X'],
+    ['00100101', 'PatientPrimaryLanguageCodeSequence', 'X'],
+    ['00100102', 'PatientPrimaryLanguageModifierCodeSequence', 'X'],
+    ['00101000', 'OtherPatientIDs', 'X'],
+    ['00101001', 'OtherPatientNames', 'X'],
+    ['00101002', 'OtherPatientIDsSequence', 'X'],
+    ['00101005', 'PatientBirthName', 'X'],
+    ['00101010', 'PatientAge', 'X', RTN_PAT],
+    ['00101020', 'PatientSize', 'X', RTN_PAT],
+    ['00101030', 'PatientWeight', 'X', RTN_PAT],
+    ['00101040', 'PatientAddress', 'X'],
+    ['00101050', 'RETIRED_InsurancePlanIdentification', 'X'],
+    ['00101060', 'PatientMotherBirthName', 'X'],
+    ['00101080', 'MilitaryRank', 'X'],
+    ['00101081', 'BranchOfService', 'X'],
+    ['00101090', 'MedicalRecordLocator', 'X'],
+    ['00101100', 'ReferencedPatientPhotoSequence', 'X'],
+    ['00102000', 'MedicalAlerts', 'X', RTN_PAT_C],
+    ['00102110', 'Allergies', 'X', RTN_PAT_C],
+    ['00102150', 'CountryOfResidence', 'X'],
+    ['00102152', 'RegionOfResidence', 'X'],
+    ['00102154', 'PatientTelephoneNumbers', 'X'],
+    ['00102155', 'PatientTelecomInformation', 'X'],
+    ['00102160', 'EthnicGroup', 'X', RTN_PAT],
+    ['00102180', 'Occupation', 'X', CLEAN_DESC],
+    ['001021A0', 'SmokingStatus', 'X', RTN_PAT],
+    ['001021B0', 'AdditionalPatientHistory', 'X', CLEAN_DESC],
+    ['001021C0', 'PregnancyStatus', 'X', RTN_PAT],
+    ['001021D0', 'LastMenstrualDate', 'X', RTN_LONG],
+    ['001021F0', 'PatientReligiousPreference', 'X'],
+    ['00102203', 'PatientSexNeutered', 'X/Z', RTN_PAT],
+    ['00102297', 'ResponsiblePerson', 'X'],
+    ['00102299', 'ResponsibleOrganization', 'X'],
+    ['00104000', 'PatientComments', 'X', CLEAN_DESC],
+    ['00120010', 'ClinicalTrialSponsorName', 'D'],
+    ['00120020', 'ClinicalTrialProtocolID', 'D'],
+    ['00120021', 'ClinicalTrialProtocolName', 'Z'],
+    ['00120030', 'ClinicalTrialSiteID', 'Z'],
+    ['00120031', 'ClinicalTrialSiteName', 'Z'],
+    ['00120040', 'ClinicalTrialSubjectID', 'D'],
+    ['00120042', 'ClinicalTrialSubjectReadingID', 'D'],
+    ['00120050', 'ClinicalTrialTimePointID', 'Z'],
+    ['00120051', 'ClinicalTrialTimePointDescription', 'Z'],
+    ['00120060', 'ClinicalTrialCoordinatingCenterName', 'Z'],
+    ['00120081', 'ClinicalTrialProtocolEthicsCommitteeName', 'D'],
+    ['00120082', 'ClinicalTrialProtocolEthicsCommitteeApprovalNumber', 'Z'],
+    ['00180010', 'ContrastBolusAgent', 'Z/D', CLEAN_DESC],
+    ['00181000', 'DeviceSerialNumber', 'X/Z/D', RTN_DEV],
+    ['00181002', 'DeviceUID', 'U', { ...RTN_UIDS, ...RTN_DEV }],
+    ['00181004', 'PlateID', 'X', RTN_DEV],
+    ['00181005', 'GeneratorID', 'X', RTN_DEV],
+    ['00181007', 'CassetteID', 'X', RTN_DEV],
+    ['00181008', 'GantryID', 'X', RTN_DEV],
+    ['0018100B', 'ManufacturerDeviceClassUID', 'U', RTN_UIDS],
+    ['00181010', 'SecondaryCaptureDeviceID', 'X', RTN_DEV],
+    ['00181012', 'DateOfSecondaryCapture', 'X', RTN_LONG],
+    ['00181014', 'TimeOfSecondaryCapture', 'X', RTN_LONG],
+    ['00181016', 'SecondaryCaptureDeviceManufacturer', 'X', RTN_DEV],
+    ['00181018', 'SecondaryCaptureDeviceManufacturerModelName', 'X', RTN_DEV],
+    ['00181019', 'SecondaryCaptureDeviceSoftwareVersions', 'X', RTN_DEV],
+    ['00181020', 'SoftwareVersions', 'X', RTN_DEV],
+    ['00181030', 'ProtocolName', 'X/D', CLEAN_DESC],
+    ['00181200', 'DateOfLastCalibration', 'X', RTN_LONG],
+    ['00181201', 'TimeOfLastCalibration', 'X', RTN_LONG],
+    ['00181202', 'DateTimeOfLastCalibration', 'X', RTN_LONG],
+    ['00181400', 'AcquisitionDeviceProcessingDescription', 'X/D', { ...CLEAN_DESC, ...RTN_DEV_C }],
+    ['00182042', 'TargetUID', 'U', RTN_UIDS],
+    ['00184000', 'RETIRED_AcquisitionComments', 'X', CLEAN_DESC],
+    ['0018700A', 'DetectorID', 'X/D', RTN_DEV],
+    ['0018700C', 'DateOfLastDetectorCalibration', 'X', RTN_LONG],
+    ['0018700E', 'TimeOfLastDetectorCalibration', 'X', RTN_LONG],
+    ['00189074', 'FrameAcquisitionDateTime', 'X', RTN_LONG],
+    ['00189151', 'FrameReferenceDateTime', 'X', RTN_LONG],
+    ['00189424', 'AcquisitionProtocolDescription', 'X', CLEAN_DESC],
+    ['00189516', 'StartAcquisitionDateTime', 'X', RTN_LONG],
+    ['00189517', 'EndAcquisitionDateTime', 'X', RTN_LONG],
+    ['00189701', 'DecayCorrectionDateTime', 'X', RTN_LONG],
+    ['00189804', 'ExclusionStartDateTime', 'X', RTN_LONG],
+    ['0018A001', 'ContributingEquipmentSequence', 'X'],
+    ['0018A002', 'ContributionDateTime', 'X', RTN_LONG],
+    ['0018A003', 'ContributionDescription', 'X', CLEAN_DESC],
+    ['0020000D', 'StudyInstanceUID', 'U', RTN_UIDS],
+    ['0020000E', 'SeriesInstanceUID', 'U', RTN_UIDS],
+    ['00200010', 'StudyID', 'Z'],
+    ['00200052', 'FrameOfReferenceUID', 'U', RTN_UIDS],
+    ['00200200', 'SynchronizationFrameOfReferenceUID', 'U', RTN_UIDS],
+    ['00203401', 'RETIRED_ModifyingDeviceID', 'X'],
+    ['00203406', 'RETIRED_ModifiedImageDescription', 'X'],
+    ['00204000', 'ImageComments', 'X', CLEAN_DESC],
+    ['00209158', 'FrameComments', 'X', CLEAN_DESC],
+    ['00209161', 'ConcatenationUID', 'U', RTN_UIDS],
+    ['00209164', 'DimensionOrganizationUID', 'U', RTN_UIDS],
+    ['00281199', 'PaletteColorLookupTableUID', 'U', RTN_UIDS],
+    ['00281214', 'RETIRED_LargePaletteColorLookupTableUID', 'U', RTN_UIDS],
+    ['00284000', 'RETIRED_ImagePresentationComments', 'X'],
+    ['00287FE0', 'PixelDataProviderURL', 'X'],
+    ['00320012', 'RETIRED_StudyIDIssuer', 'X'],
+    ['00321000', 'RETIRED_ScheduledStudyStartDate', 'X', RTN_LONG],
+    ['00321001', 'RETIRED_ScheduledStudyStartTime', 'X', RTN_LONG],
+    ['00321020', 'RETIRED_ScheduledStudyLocation', 'X'],
+    ['00321021', 'RETIRED_ScheduledStudyLocationAETitle', 'X'],
+    ['00321030', 'RETIRED_ReasonForStudy', 'X', CLEAN_DESC],
+    ['00321032', 'RequestingPhysician', 'X'],
+    ['00321033', 'RequestingService', 'X'],
+    ['00321040', 'RETIRED_StudyArrivalDate', 'X', RTN_LONG],
+    ['00321041', 'RETIRED_StudyArrivalTime', 'X', RTN_LONG],
+    ['00321050', 'RETIRED_StudyCompletionDate', 'X', RTN_LONG],
+    ['00321051', 'RETIRED_StudyCompletionTime', 'X', RTN_LONG],
+    ['00321060', 'RequestedProcedureDescription', 'X/Z', CLEAN_DESC],
+    ['00324000', 'RETIRED_StudyComments', 'X', CLEAN_DESC],
+    ['00380004', 'ReferencedPatientAliasSequence', 'X'],
+    ['00380010', 'AdmissionID', 'X'],
+    ['00380011', 'RETIRED_IssuerOfAdmissionID', 'X'],
+    ['0038001A', 'RETIRED_ScheduledAdmissionDate', 'X', RTN_LONG],
+    ['0038001B', 'RETIRED_ScheduledAdmissionTime', 'X', RTN_LONG],
+    ['0038001C', 'RETIRED_ScheduledDischargeDate', 'X', RTN_LONG],
+    ['0038001D', 'RETIRED_ScheduledDischargeTime', 'X', RTN_LONG],
+    ['00380020', 'AdmittingDate', 'X', RTN_LONG],
+    ['00380021', 'AdmittingTime', 'X', RTN_LONG],
+    ['00380030', 'RETIRED_DischargeDate', 'X', RTN_LONG],
+    ['00380032', 'RETIRED_DischargeTime', 'X', RTN_LONG],
+    ['00380040', 'RETIRED_DischargeDiagnosisDescription', 'X', CLEAN_DESC],
+    ['00380050', 'SpecialNeeds', 'X', CLEAN_DESC],
+    ['00380060', 'ServiceEpisodeID', 'X'],
+    ['00380061', 'RETIRED_IssuerOfServiceEpisodeID', 'X'],
+    ['00380062', 'ServiceEpisodeDescription', 'X', CLEAN_DESC],
+    ['00380300', 'CurrentPatientLocation', 'X'],
+    ['00380400', 'PatientInstitutionResidence', 'X'],
+    ['00380500', 'PatientState', 'X', RTN_PAT_C],
+    ['00400001', 'ScheduledStationAETitle', 'X'],
+    ['00400002', 'ScheduledProcedureStepStartDate', 'X', RTN_LONG],
+    ['00400003', 'ScheduledProcedureStepStartTime', 'X', RTN_LONG],
+    ['00400004', 'ScheduledProcedureStepEndDate', 'X', RTN_LONG],
+    ['00400005', 'ScheduledProcedureStepEndTime', 'X', RTN_LONG],
+    ['00400006', 'ScheduledPerformingPhysicianName', 'X'],
+    ['00400007', 'ScheduledProcedureStepDescription', 'X', CLEAN_DESC],
+    ['00400009', 'ScheduledProcedureStepID', 'X'],
+    ['0040000B', 'ScheduledPerformingPhysicianIdentificationSequence', 'X'],
+    ['00400010', 'ScheduledStationName', 'X'],
+    ['00400011', 'ScheduledProcedureStepLocation', 'X'],
+    ['00400012', 'PreMedication', 'X', RTN_PAT_C],
+    ['00400241', 'PerformedStationAETitle', 'X'],
+    ['00400242', 'PerformedStationName', 'X'],
+    ['00400243', 'PerformedLocation', 'X'],
+    ['00400244', 'PerformedProcedureStepStartDate', 'X', RTN_LONG],
+    ['00400245', 'PerformedProcedureStepStartTime', 'X', RTN_LONG],
+    ['00400250', 'PerformedProcedureStepEndDate', 'X', RTN_LONG],
+    ['00400251', 'PerformedProcedureStepEndTime', 'X', RTN_LONG],
+    ['00400253', 'PerformedProcedureStepID', 'X'],
+    ['00400254', 'PerformedProcedureStepDescription', 'X', CLEAN_DESC],
+    ['00400275', 'RequestAttributesSequence', 'X'],
+    ['00400280', 'CommentsOnThePerformedProcedureStep', 'X', CLEAN_DESC],
+    ['00400310', 'CommentsOnRadiationDose', 'X', CLEAN_DESC],
+    ['00400555', 'AcquisitionContextSequence', 'X'],
+    ['00400556', 'AcquisitionContextDescription', 'X', CLEAN_DESC],
+    ['00401001', 'RequestedProcedureID', 'X'],
+    ['00401002', 'ReasonForTheRequestedProcedure', 'X', CLEAN_DESC],
+    ['00401004', 'PatientTransportArrangements', 'X'],
+    ['00401010', 'NamesOfIntendedRecipientsOfResults', 'X'],
+    ['00401011', 'IntendedRecipientsOfResultsIdentificationSequence', 'X'],
+    ['00401101', 'PersonIdentificationCodeSequence', 'D'],
+    ['00401102', 'PersonAddress', 'X'],
+    ['00401103', 'PersonTelephoneNumbers', 'X'],
+    ['00401104', 'PersonTelecomInformation', 'X'],
+    ['00401400', 'RequestedProcedureComments', 'X', CLEAN_DESC],
+    ['00402001', 'RETIRED_ReasonForTheImagingServiceRequest', 'X', CLEAN_DESC],
+    ['00402004', 'IssueDateOfImagingServiceRequest', 'X', RTN_LONG],
+    ['00402005', 'IssueTimeOfImagingServiceRequest', 'X', RTN_LONG],
+    ['00402008', 'OrderEnteredBy', 'X'],
+    ['00402009', 'OrderEntererLocation', 'X'],
+    ['00402010', 'OrderCallbackPhoneNumber', 'X'],
+    ['00402016', 'PlacerOrderNumberImagingServiceRequest', 'Z'],
+    ['00402017', 'FillerOrderNumberImagingServiceRequest', 'Z'],
+    ['00402400', 'ImagingServiceRequestComments', 'X', CLEAN_DESC],
+    ['00403001', 'ConfidentialityConstraintOnPatientDataDescription', 'X'],
+    ['00404025', 'ScheduledStationNameCodeSequence', 'X'],
+    ['00404027', 'ScheduledStationGeographicLocationCodeSequence', 'X'],
+    ['00404030', 'PerformedStationGeographicLocationCodeSequence', 'X'],
+    ['00404035', 'ActualHumanPerformersSequence', 'X'],
+    ['00404036', 'HumanPerformerOrganization', 'X'],
+    ['00404037', 'HumanPerformerName', 'X'],
+    ['0040A027', 'VerifyingOrganization', 'X'],
+    ['0040A073', 'VerifyingObserverSequence', 'D'],
+    ['0040A075', 'VerifyingObserverName', 'D'],
+    ['0040A078', 'AuthorObserverSequence', 'X'],
+    ['0040A07A', 'ParticipantSequence', 'X'],
+    ['0040A07C', 'CustodialOrganizationSequence', 'X'],
+    ['0040A082', 'ParticipationDateTime', 'X', RTN_LONG],
+    ['0040A088', 'VerifyingObserverIdentificationCodeSequence', 'Z'],
+    ['0040A123', 'PersonName', 'D'],
+    ['0040A124', 'UID', 'U', RTN_UIDS],
+    ['0040A730', 'ContentSequence', 'X'],
+    ['0040DB0C', 'RETIRED_TemplateExtensionOrganizationUID', 'U', RTN_UIDS],
+    ['0040DB0D', 'RETIRED_TemplateExtensionCreatorUID', 'U', RTN_UIDS],
+    ['00620021', 'TrackingUID', 'U', RTN_UIDS],
+    ['00700001', 'GraphicAnnotationSequence', 'D'],
+    ['00700082', 'PresentationCreationDate', 'X', RTN_LONG],
+    ['00700083', 'PresentationCreationTime', 'X', RTN_LONG],
+    ['00700084', 'ContentCreatorName', 'Z'],
+    ['00700086', 'ContentCreatorIdentificationCodeSequence', 'X'],
+    ['0070031A', 'FiducialUID', 'U', RTN_UIDS],
+    ['00880140', 'StorageMediaFileSetUID', 'U', RTN_UIDS],
+    ['00880200', 'IconImageSequence', 'X'],
+    ['01000420', 'SOPAuthorizationDateTime', 'X'],
+    ['01000424', 'SOPAuthorizationComment', 'X'],
+    ['01000426', 'AuthorizationEquipmentCertificationNumber', 'X'],
+    ['04000100', 'DigitalSignatureUID', 'X'],
+    ['04000105', 'DigitalSignatureDateTime', 'X'],
+    ['04000310', 'CertifiedTimestamp', 'X'],
+    ['04000402', 'ReferencedDigitalSignatureSequence', 'X'],
+    ['04000403', 'ReferencedSOPInstanceMACSequence', 'X'],
+    ['04000404', 'MAC', 'X'],
+    ['04000550', 'ModifiedAttributesSequence', 'X'],
+    ['04000561', 'OriginalAttributesSequence', 'X'],
+    ['04000562', 'AttributeModificationDateTime', 'X', RTN_LONG],
+    ['04000563', 'ModifyingSystem', 'X'],
+    ['04000564', 'SourceOfPreviousValues', 'Z'],
+    ['20300020', 'TextString', 'X'],
+    ['30060002', 'StructureSetLabel', 'D'],
+    ['30060004', 'StructureSetName', 'X'],
+    ['30060008', 'StructureSetDate', 'X', RTN_LONG],
+    ['30060009', 'StructureSetTime', 'X', RTN_LONG],
+    ['30060024', 'ReferencedFrameOfReferenceUID', 'U', RTN_UIDS],
+    ['30060028', 'ROIDescription', 'X', CLEAN_DESC],
+    ['30060038', 'ROIGenerationDescription', 'X', CLEAN_DESC],
+    ['300600A6', 'ROIInterpreter', 'Z'],
+    ['300600C2', 'RETIRED_RelatedFrameOfReferenceUID', 'U', RTN_UIDS],
+    ['300A0002', 'RTPlanLabel', 'D'],
+    ['300A0003', 'RTPlanName', 'X'],
+    ['300A0004', 'RTPlanDescription', 'X', CLEAN_DESC],
+    ['300A0006', 'RTPlanDate', 'X', RTN_LONG],
+    ['300A0007', 'RTPlanTime', 'X', RTN_LONG],
+    ['300A0013', 'DoseReferenceUID', 'U', RTN_UIDS],
+    ['300A0016', 'DoseReferenceDescription', 'X', CLEAN_DESC],
+    ['300E0004', 'ReviewDate', 'X', RTN_LONG],
+    ['300E0005', 'ReviewTime', 'X', RTN_LONG],
+    ['300E0008', 'ReviewerName', 'X/Z'],
+    ['40000010', 'RETIRED_Arbitrary', 'X'],
+    ['40080102', 'RETIRED_InterpretationRecorder', 'X'],
+    ['4008010A', 'RETIRED_InterpretationTranscriber', 'X'],
+    ['4008010B', 'RETIRED_InterpretationText', 'X', CLEAN_DESC],
+    ['4008010C', 'RETIRED_InterpretationAuthor', 'X'],
+    ['40080111', 'RETIRED_InterpretationApproverSequence', 'X'],
+    ['40080114', 'RETIRED_PhysicianApprovingInterpretation', 'X'],
+    ['40080115', 'RETIRED_InterpretationDiagnosisDescription', 'X', CLEAN_DESC],
+    ['40080119', 'RETIRED_DistributionName', 'X'],
+    ['4008011A', 'RETIRED_DistributionAddress', 'X'],
+    ['40080202', 'RETIRED_InterpretationIDIssuer', 'X'],
+    ['40080300', 'RETIRED_Impressions', 'X', CLEAN_DESC],
+];
+
+// Repeating groups from Table E.1-1 (x matches any hex digit)
+const BASIC_PROFILE_MASK_RULES = [
+    ['50xxxxxx', 'CurveData', 'X'],
+    ['60xx3000', 'OverlayData', 'X'],
+    ['60xx4000', 'OverlayComments', 'X', CLEAN_DESC]
+];
+
+// Original custom whitelist - listed tags are kept or scrambled, everything else is removed
+const WHITELIST_PROFILE_RULES = [
+
+    // File Meta Information
+    ['00020000', 'FileMetaInformationGroupLength', 'K'],
+    ['00020001', 'FileMetaInformationVersion', 'K'],
+    ['00020002', 'MediaStorageSOPClassUID', 'K'],
+    ['00020003', 'MediaStorageSOPInstanceUID', 'U'],
+    ['00020010', 'TransferSyntaxUID', 'K'],
+    ['00020012', 'ImplementationClassUID', 'K'],
+    ['00020013', 'ImplementationVersionName', 'K'],
+
+    // Dataset
+    ['00080005', 'SpecificCharacterSet', 'K'],
+    ['00080008', 'ImageType', 'K'],
+    ['00080016', 'SOPClassUID', 'K'],
+    ['0020000D', 'StudyInstanceUID', 'U'],
+    ['0020000E', 'SeriesInstanceUID', 'U'],
+    ['00080018', 'SOPInstanceUID', 'U'],
+    ['00080020', 'StudyDate', 'C'],
+    ['00080021', 'SeriesDate', 'C'],
+    ['00080022', 'AcquisitionDate', 'C'],
+    ['00080023', 'ContentDate', 'C'],
+    ['00080030', 'StudyTime', 'C'],
+    ['00080031', 'SeriesTime', 'C'],
+    ['00080032', 'AcquisitionTime', 'C'],
+    ['00080033', 'ContentTime', 'C'],
+    ['0008002A', 'AcquisitionDateTime', 'C'],
+    ['00189074', 'FrameAcquisitionDateTime', 'C'],
+    ['00189151', 'FrameReferenceDateTime', 'C'],
+    ['00080050', 'AccessionNumber', 'D'],
+    ['00080060', 'Modality', 'K'],
+    ['00080068', 'PresentationIntentType', 'K'],
+    ['00080070', 'Manufacturer', 'K'],
+    ['00080080', 'InstitutionName', 'D'],
+    ['00081030', 'StudyDescription', 'K'],
+    ['0008103E', 'SeriesDescription', 'K'],
+    ['00081090', 'ManufacturerModelName', 'K'],
+    ['00100010', 'PatientName', 'D'],
+    ['00100020', 'PatientID', 'D'],
+    ['00100030', 'PatientBirthDate', 'C'],
+    ['00100040', 'PatientSex', 'K'],
+    ['00101010', 'PatientAge', 'K'],
+    ['00180015', 'BodyPartExamined', 'K'],
+    ['00180050', 'SliceThickness', 'K'],
+    ['00180060', 'KVP', 'K'],
+    ['00181164', 'ImagerPixelSpacing', 'K'],
+    ['00280030', 'PixelSpacing', 'K'],
+    ['00280034', 'PixelAspectRatio', 'K'],
+    ['00181405', 'DetectorElementSpacing', 'K'],
+    ['00181411', 'ExposureIndex', 'K'],
+    ['00200011', 'SeriesNumber', 'K'],
+    ['00200012', 'AcquisitionNumber', 'K'],
+    ['00200013', 'InstanceNumber', 'K'],
+    ['00200020', 'PatientOrientation', 'K'],
+    ['00280002', 'SamplesPerPixel', 'K'],
+    ['00280004', 'PhotometricInterpretation', 'K'],
+    ['00280010', 'Rows', 'K'],
+    ['00280011', 'Columns', 'K'],
+    ['20500020', 'PresentationLUTShape', 'K'],
+    ['00082218', 'AnatomicRegionSequence', 'K'],
+    // Code Sequence item attributes, so coded sequences keep their content
+    ['00080100', 'CodeValue', 'K'],
+    ['00080102', 'CodingSchemeDesignator', 'K'],
+    ['00080103', 'CodingSchemeVersion', 'K'],
+    ['00080104', 'CodeMeaning', 'K'],
+    ['00080105', 'MappingResource', 'K'],
+    ['0008010F', 'ContextIdentifier', 'K'],
+    ['00281054', 'RescaleType', 'K'],
+    ['00200062', 'ImageLaterality', 'K'],
+    ['00280006', 'PlanarConfiguration', 'K'],
+    ['00280101', 'BitsStored', 'K'],
+    ['00280100', 'BitsAllocated', 'K'],
+    ['00280102', 'HighBit', 'K'],
+    ['00280103', 'PixelRepresentation', 'K'],
+    ['00280106', 'SmallestImagePixelValue', 'K'],
+    ['00280107', 'LargestImagePixelValue', 'K'],
+    ['00281040', 'PixelIntensityRelationship', 'K'],
+    ['00281041', 'PixelIntensityRelationshipSign', 'K'],
+    ['00281050', 'WindowCenter', 'K'],
+    ['00281051', 'WindowWidth', 'K'],
+    ['00281052', 'RescaleIntercept', 'K'],
+    ['00281053', 'RescaleSlope', 'K'],
+    ['00181210', 'ConvolutionKernel', 'K'],
+    ['00281056', 'VOILUTFunction', 'K'],
+    ['00283010', 'VOILUTSequence', 'K'],
+    ['00283002', 'LUTDescriptor', 'K'],
+    ['00283003', 'LUTExplanation', 'K'],
+    ['00283006', 'LUTData', 'K'],
+    ['00180010', 'ContrastBolusAgent', 'K'],
+    ['00200052', 'FrameOfReferenceUID', 'U'],
+    ['00201040', 'PositionReferenceIndicator', 'K'],
+    ['00180088', 'SpacingBetweenSlices', 'K'],
+    ['00200032', 'ImagePositionPatient', 'K'],
+    ['00200037', 'ImageOrientationPatient', 'K'],
+    ['00201041', 'SliceLocation', 'K'],
+
+    // References between instances, remapped with the same UID mapping
+    ['00081115', 'ReferencedSeriesSequence', 'K'],
+    ['00081140', 'ReferencedImageSequence', 'K'],
+    ['00081199', 'ReferencedSOPSequence', 'K'],
+    ['00081150', 'ReferencedSOPClassUID', 'K'],
+    ['00081155', 'ReferencedSOPInstanceUID', 'U'],
+    ['00081160', 'ReferencedFrameNumber', 'K'],
+];
+
+// Value representations shifted by the date-time offset wherever they are kept
+const DATE_TIME_VRS = ['DA', 'TM', 'DT'];
+
+// UI attributes naming a class, syntax or coding resource rather than an
+// instance; every other kept UID is remapped so references still resolve
+const PRESERVED_UID_TAGS = [
+    '00020002', // MediaStorageSOPClassUID
+    '00020010', // TransferSyntaxUID
+    '00020012', // ImplementationClassUID
+    '00041510', // ReferencedSOPClassUIDInFile
+    '00041512', // ReferencedTransferSyntaxUIDInFile
+    '00080016', // SOPClassUID
+    '0008001A', // RelatedGeneralSOPClassUID
+    '0008001B', // OriginalSpecializedSOPClassUID
+    '0008010C', // CodingSchemeUID
+    '0008010D', // ContextGroupExtensionCreatorUID
+    '00080118', // MappingResourceUID
+    '00081150', // ReferencedSOPClassUID
+    '04000010'  // MACCalculationTransferSyntaxUID
+];
+
+// Well-known UIDs (SOP Classes, Transfer Syntaxes, ...) are under the DICOM root
+const DICOM_UID_ROOT = '1.2.840.10008.';
+
+// Composite codes resolve to the option that keeps the dataset valid for any IOD
+const COMPOSITE_ACTIONS = {
+    'Z/D': 'D',
+    'X/Z': 'Z',
+    'X/D': 'D',
+    'X/Z/D': 'D',
+    'X/Z/U*': 'U'
+};
+
+// CID 7050 De-identification Method codes
+const DEID_METHOD_CODES = {
+    basic: { value: '113100', meaning: 'Basic Application Confidentiality Profile' },
+    cleanDescriptors: { value: '113105', meaning: 'Clean Descriptors Option' },
+    retainLongitudinalFullDates: { value: '113106', meaning: 'Retain Longitudinal Temporal Information Full Dates Option' },
+    retainLongitudinalModifiedDates: { value: '113107', meaning: 'Retain Longitudinal Temporal Information Modified Dates Option' },
+    retainPatientCharacteristics: { value: '113108', meaning: 'Retain Patient Characteristics Option' },
+    retainDeviceIdentity: { value: '113109', meaning: 'Retain Device Identity Option' },
+    retainUIDs: { value: '113110', meaning: 'Retain UIDs Option' },
+    retainSafePrivate: { value: '113111', meaning: 'Retain Safe Private Option' }
+};
+
+// Vendor private attributes commonly needed for diffusion research; not applied
+// unless loaded into the safe private list. Elements are the low byte of the
+// element number within the block reserved by the private creator (gggg,00xx).
+const VENDOR_SAFE_PRIVATE_ATTRIBUTES = [
+    { group: '0019', creator: 'SIEMENS MR HEADER', elements: ['08', '09', '0A', '0B', '0C', '0D', '0E', '27'] },
+    { group: '0029', creator: 'SIEMENS CSA HEADER', elements: ['08', '09', '10'] },
+    { group: '0019', creator: 'GEMS_ACQU_01', elements: ['BB', 'BC', 'BD'] },
+    { group: '0043', creator: 'GEMS_PARM_01', elements: ['39'] },
+    { group: '2001', creator: 'Philips Imaging DD 001', elements: ['03', '04'] },
+    { group: '2005', creator: 'Philips MR Imaging DD 001', elements: ['B0', 'B1', 'B2'] }
+];
+
+const DEID_PROFILES = {
+    whitelist: { label: 'Custom tag whitelist', rules: WHITELIST_PROFILE_RULES, maskRules: [], defaultAction: 'X' },
+    basic: { label: 'DICOM PS3.15 Basic Profile', rules: BASIC_PROFILE_RULES, maskRules: BASIC_PROFILE_MASK_RULES, defaultAction: 'K' }
+};
+
+// Options in the order they are recorded in DeidentificationMethod
+const DEID_PROFILE_OPTIONS = [
+    'retainLongitudinalFullDates',
+    'retainLongitudinalModifiedDates',
+    'retainPatientCharacteristics',
+    'retainDeviceIdentity',
+    'cleanDescriptors',
+    'retainUIDs'
+];
+
+class DeidentificationProfile {
+    /**
+     * @param {string} name - key of DEID_PROFILES
+     * @param {Object} options - profile option flags, e.g. { retainUIDs: true }.
+     *   Options only apply to PS3.15 profiles.
+     * @param {Array} safePrivateAttributes - private elements to keep, as
+     *   { group, creator, elements } with elements '*' for the whole block
+     */
+    constructor(name = 'whitelist', options = {}, safePrivateAttributes = []) {
+        this.name = DEID_PROFILES[name] ? name : 'whitelist';
+        this.definition = DEID_PROFILES[this.name];
+        this.options = this.name === 'whitelist' ? {} : { ...options };
+        // Full and modified dates are mutually exclusive; full dates wins
+        if (this.options.retainLongitudinalFullDates) {
+            this.options.retainLongitudinalModifiedDates = false;
+        }
+        this.rules = {};
+        for (const [tag, name, action, optionActions] of this.definition.rules) {
+            this.rules[tag] = { name, action, optionActions: optionActions || {} };
+        }
+        this.maskRules = this.definition.maskRules.map(([mask, name, action, optionActions]) => ({
+            pattern: new RegExp('^' + mask.replace(/x/g, '[0-9A-F]') + '$'),
+            name,
+            action,
+            optionActions: optionActions || {}
+        }));
+        // "gggg|CREATOR" -> Set of element offsets (or '*')
+        this.safePrivate = new Map();
+        for (const entry of safePrivateAttributes || []) {
+            const key = this.getSafePrivateKey(entry.group, entry.creator);
+            const elements = this.safePrivate.get(key) || new Set();
+            for (const element of entry.elements || []) {
+                elements.add(element === '*' ? '*' : element.toUpperCase());
+            }
+            this.safePrivate.set(key, elements);
+        }
+    }
+
+    getSafePrivateKey(group, creator) {
+        return `${group.toUpperCase()}|${(creator || '').trim().toUpperCase()}`;
+    }
+
+    hasSafePrivateAttributes() {
+        return this.safePrivate.size > 0;
+    }
+
+    isPrivateTag(tag) {
+        return parseInt(tag.substr(0, 4), 16) % 2 === 1;
+    }
+
+    /**
+     * Private creator elements reserve blocks: (gggg,0010-00FF)
+     */
+    isPrivateCreatorTag(tag) {
+        const element = parseInt(tag.substr(4, 4), 16);
+        return this.isPrivateTag(tag) && element >= 0x0010 && element <= 0x00FF;
+    }
+
+    /**
+     * The creator element that reserves the block of a private data element,
+     * e.g. 00291010 -> 00290010
+     */
+    getPrivateCreatorTag(tag) {
+        if (!this.isPrivateTag(tag) || parseInt(tag.substr(4, 4), 16) < 0x1000) return null;
+        return `${tag.substr(0, 4)}00${tag.substr(4, 2)}`.toUpperCase();
+    }
+
+    /**
+     * True when a private data element is on the safe list for its creator
+     */
+    isSafePrivateElement(tag, creator) {
+        const elements = this.safePrivate.get(this.getSafePrivateKey(tag.substr(0, 4), creator));
+        if (!elements) return false;
+        return elements.has('*') || elements.has(tag.substr(6, 2).toUpperCase());
+    }
+
+    /**
+     * True when any element of the creator's block in this group is safe
+     */
+    isSafePrivateCreator(tag, creator) {
+        return this.safePrivate.has(this.getSafePrivateKey(tag.substr(0, 4), creator));
+    }
+
+    getRule(tag) {
+        const upperTag = tag.toUpperCase();
+        if (this.rules[upperTag]) return this.rules[upperTag];
+        return this.maskRules.find(rule => rule.pattern.test(upperTag)) || null;
+    }
+
+    /**
+     * Resolve the single action code (D, Z, X, K, C or U) for a tag. Dates,
+     * times and UIDs are driven by VR: a kept DA, TM or DT is cleaned
+     * (shifted) unless full dates are retained, and a kept instance UID is
+     * remapped unless UIDs are retained.
+     */
+    getAction(tag, vr = null) {
+        const action = this.getRuleAction(tag);
+        if (action === 'K' && DATE_TIME_VRS.includes(vr) && !this.options.retainLongitudinalFullDates) {
+            return 'C';
+        }
+        if (action === 'K' && vr === 'UI' && !this.options.retainUIDs && !PRESERVED_UID_TAGS.includes(tag.toUpperCase())) {
+            return 'U';
+        }
+        return action;
+    }
+
+    /**
+     * Standard UIDs identify no patient and must never be remapped
+     */
+    isWellKnownUID(uid) {
+        return String(uid).startsWith(DICOM_UID_ROOT);
+    }
+
+    getRuleAction(tag) {
+        const rule = this.getRule(tag);
+        if (!rule) {
+            // Private attributes are removed unless a later rule says otherwise
+            return this.isPrivateTag(tag) ? 'X' : this.definition.defaultAction;
+        }
+
+        // An option that retains the attribute wins over one that cleans it
+        let optionAction = null;
+        for (const [option, action] of Object.entries(rule.optionActions)) {
+            if (this.options[option] && (optionAction === null || action === 'K')) {
+                optionAction = action;
+            }
+        }
+        const action = optionAction || rule.action;
+        return COMPOSITE_ACTIONS[action] || action;
+    }
+
+    getTagName(tag) {
+        const rule = this.getRule(tag);
+        return rule ? rule.name : null;
+    }
+
+    getEnabledOptions() {
+        return DEID_PROFILE_OPTIONS.filter(option => this.options[option]);
+    }
+
+    /**
+     * Values for DeidentificationMethod (0012,0063), each within the LO limit
+     */
+    getMethodDescription() {
+        const description = [this.definition.label];
+        for (const option of this.getEnabledOptions()) {
+            description.push(DEID_METHOD_CODES[option].meaning.substr(0, 64));
+        }
+        if (this.hasSafePrivateAttributes()) {
+            description.push(DEID_METHOD_CODES.retainSafePrivate.meaning);
+        }
+        return description;
+    }
+
+    /**
+     * Coded entries for DeidentificationMethodCodeSequence (0012,0064)
+     */
+    getMethodCodes() {
+        if (this.name === 'whitelist') return [];
+        const codes = [DEID_METHOD_CODES.basic, ...this.getEnabledOptions().map(option => DEID_METHOD_CODES[option])];
+        if (this.hasSafePrivateAttributes()) codes.push(DEID_METHOD_CODES.retainSafePrivate);
+        return codes;
+    }
+
+    /**
+     * Value for LongitudinalTemporalInformationModified (0028,0303), from
+     * whether any date or time of the file was shifted; otherwise dates are
+     * kept as recorded (whitelist or full dates retained) or removed
+     */
+    getLongitudinalTemporalInformationModified(datesShifted) {
+        if (datesShifted) return 'MODIFIED';
+        if (this.name === 'whitelist' || this.options.retainLongitudinalFullDates) return 'UNMODIFIED';
+        return 'REMOVED';
+    }
+}
+
+/**
+ * Parse the safe private list from text, one entry per line:
+ *   gggg | PRIVATE CREATOR | xx xx xx   (or * for the whole block)
+ * Blank lines and lines starting with # are ignored.
+ */
+function parseSafePrivateAttributes(text) {
+    const entries = [];
+    (text || '').split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+        const [group, creator, elements] = trimmed.split('|').map(part => (part || '').trim());
+        if (!/^[0-9A-Fa-f]{4}$/.test(group) || parseInt(group, 16) % 2 === 0) {
+            throw new Error(`Line ${index + 1}: "${group}" is not a private (odd) group`);
+        }
+        if (!creator) {
+            throw new Error(`Line ${index + 1}: private creator is missing`);
+        }
+        const offsets = (elements || '').split(/[\s,]+/).filter(Boolean);
+        if (offsets.length === 0 || offsets.some(offset => offset !== '*' && !/^[0-9A-Fa-f]{2}$/.test(offset))) {
+            throw new Error(`Line ${index + 1}: element offsets must be two hex digits or *`);
+        }
+        entries.push({ group: group.toUpperCase(), creator, elements: offsets.map(offset => offset.toUpperCase()) });
+    });
+    return entries;
+}
+
+function formatSafePrivateAttributes(entries) {
+    return (entries || []).map(entry => `${entry.group} | ${entry.creator} | ${entry.elements.join(' ')}`).join('\n');
+}
+
+/**
+ * Throw unless the PatientAge rules are usable: mode 'keep' or
+ * 'recalculate', and bins as ascending lower bounds in whole years
+ */
+function validatePatientAge({ mode, bins = [] }) {
+    if (!['keep', 'recalculate'].includes(mode)) {
+        throw new Error(`Unknown patient age mode "${mode}"`);
+    }
+    if (bins.some((bin, i) => !Number.isInteger(bin) || bin < 0 || bin > 999 || (i > 0 && bin <= bins[i - 1]))) {
+        throw new Error('Age bins must be whole numbers of years in ascending order, e.g. 0,18,30,45,65,90');
+    }
+}
+
+function describePatientAge({ mode, capOver89, bins = [] }) {
+    const rules = [mode === 'recalculate' ? 'recalculated from shifted dates' : 'kept as recorded'];
+    if (capOver89) rules.push('ages over 89 capped at 090Y');
+    if (bins.length > 0) rules.push(`binned at ${bins.join(', ')} years`);
+    return rules.join(', ');
+}
+
+/**
+ * Default tag configuration (the "Configuration" page) for a profile
+ */
+function createDefaultTagConfigurations(profileName = 'whitelist') {
+    // Based on current whitelisted tags and their handling
+    const configurations = {
+        '00020003': { ifPresent: 'scramble', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Media Storage SOP Instance UID' },
+        '0020000D': { ifPresent: 'scramble', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Study Instance UID' },
+        '0020000E': { ifPresent: 'scramble', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Series Instance UID' },
+        '00080018': { ifPresent: 'scramble', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'SOP Instance UID' },
+        '00080050': { ifPresent: 'scramble', ifNotPresent: 'scrambleFromStudyUID', presentValue: '', notPresentValue: '', description: 'Accession Number' },
+        '00100010': { ifPresent: 'scramble', ifNotPresent: 'replace', presentValue: '', notPresentValue: 'ANONYMOUS^PATIENT', description: 'Patient Name' },
+        '00100020': { ifPresent: 'scramble', ifNotPresent: 'replace', presentValue: '', notPresentValue: 'PATIENTID1', description: 'Patient ID' },
+        '00100030': { ifPresent: 'scramble', ifNotPresent: 'replace', presentValue: '', notPresentValue: '19000101', description: 'Patient Birth Date' },
+        '00100040': { ifPresent: 'unchanged', ifNotPresent: 'replace', presentValue: '', notPresentValue: 'M', description: 'Patient Sex' },
+        '00101010': { ifPresent: 'unchanged', ifNotPresent: 'replace', presentValue: '', notPresentValue: '027Y', description: 'Patient Age' },
+        '00080020': { ifPresent: 'scramble', ifNotPresent: 'replace', presentValue: '', notPresentValue: '19270101', description: 'Study Date' },
+        '00080030': { ifPresent: 'scramble', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Study Time' },
+        '00080060': { ifPresent: 'unchanged', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Modality' },
+        '00080070': { ifPresent: 'unchanged', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Manufacturer' },
+        '00080080': { ifPresent: 'scramble', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Institution Name' },
+        '00081030': { ifPresent: 'unchanged', ifNotPresent: 'replace', presentValue: '', notPresentValue: 'UNKNOWNSTUDY', description: 'Study Description' },
+        '0008103E': { ifPresent: 'unchanged', ifNotPresent: 'replace', presentValue: '', notPresentValue: 'UNKNOWNSTUDY', description: 'Series Description' },
+        '00200011': { ifPresent: 'unchanged', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Series Number' },
+        '00200013': { ifPresent: 'unchanged', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Instance Number' },
+        '00280010': { ifPresent: 'unchanged', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Rows' },
+        '00280011': { ifPresent: 'unchanged', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Columns' },
+        '00280100': { ifPresent: 'unchanged', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Bits Allocated' },
+        '00280101': { ifPresent: 'unchanged', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Bits Stored' },
+        '00280102': { ifPresent: 'unchanged', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'High Bit' },
+        '00280103': { ifPresent: 'unchanged', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Pixel Representation' }
+    };
+
+    // Under a PS3.15 profile only the pseudonymised identifiers are overridden;
+    // everything else follows the profile so the output matches what is
+    // recorded, which also means no placeholder values for missing tags
+    if (profileName !== 'whitelist') {
+        const pseudonymTags = ['00080050', '00100010', '00100020'];
+        for (const [tag, config] of Object.entries(configurations)) {
+            if (!pseudonymTags.includes(tag)) {
+                config.ifPresent = 'profile';
+                config.ifNotPresent = 'profile';
+            }
+        }
+    }
+
+    return configurations;
+}
+
+return {
+    DeidentificationProfile,
+    DEID_PROFILES,
+    DEID_PROFILE_OPTIONS,
+    VENDOR_SAFE_PRIVATE_ATTRIBUTES,
+    parseSafePrivateAttributes,
+    formatSafePrivateAttributes,
+    validatePatientAge,
+    describePatientAge,
+    createDefaultTagConfigurations
+};
+}));
@@ -0,0 +1,71 @@
+/**
+ * ES module entry point for the de-identification library
+ *
+ *   import { deidentify } from './dicom-deid.mjs';
+ *   const { buffer, audit, actions, errors } = await deidentify(arrayBuffer, { passphrase });
+ *
+ * Runs in browsers, workers and Node. The shared scripts next to this file
+ * are UMD modules: Node requires them, and elsewhere they are imported in
+ * dependency order, each adding its exports to the global object as it does
+ * under importScripts in the worker.
+ */
+
+// In dependency order
+const LIBRARY_SCRIPTS = [
+    'scrambler.js',
+    'deid-profiles.js',
+    'pixel-redaction.js',
+    'pseudonym-lookup.js',
+    'pseudonym-template.js',
+    'person-names.js',
+    'audit-trail.js',
+    'reidentification.js',
+    'uid-registry.js',
+    'dicom-processor.js',
+    'dry-run-report.js',
+    'tag-inventory.js',
+    'tag-comparison.js',
+    'image-preview.js'
+];
+
+const isNode = typeof process !== 'undefined' && !!(process.versions && process.versions.node);
+
+async function loadLibrary() {
+    if (isNode) {
+        const { createRequire } = await import('node:module');
+        const require = createRequire(import.meta.url);
+        return Object.assign({}, ...LIBRARY_SCRIPTS.map(name => require(`./${name}`)));
+    }
+    // The dcmjs UMD build attaches itself to self in the same way
+    if (!globalThis.dcmjs) {
+        await import(new URL('./dcmjs.min.js', import.meta.url).href);
+    }
+    for (const name of LIBRARY_SCRIPTS) {
+        await import(new URL(name, import.meta.url).href);
+    }
+    return globalThis;
+}
+
+export const {
+    deidentify,
+    DicomProcessor,
+    DicomScrambler,
+    DeidentificationProfile,
+    PixelRedactor,
+    parsePixelRedactionRules,
+    PseudonymLookup,
+    parsePseudonymLookup,
+    PseudonymRegistry,
+    UIDRegistry,
+    DryRunReport,
+    TagInventory,
+    compareHeaders,
+    ImagePreview,
+    parseCSV,
+    AuditReidentifier,
+    createDefaultTagConfigurations,
+    DEID_PROFILES,
+    generateAuditCSV,
+    PSEUDONYM_SCHEMES,
+    DEFAULT_PSEUDONYM_SCHEME
+} = await loadLibrary();
@@ -0,0 +1,1426 @@
+/**
+ * DICOM de-identification library
+ * Parses a DICOM file, applies the tag configuration and de-identification
+ * profile, and writes the result. Requires its dependencies as a CommonJS
+ * module; as a script, the worker's importScripts or an import from
+ * dicom-deid.mjs, it takes them from the global object, where dcmjs,
+ * scrambler.js, deid-profiles.js, pixel-redaction.js, pseudonym-lookup.js,
+ * pseudonym-template.js, person-names.js and uid-registry.js put them.
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(
+            require('./dcmjs.min.js'),
+            require('./scrambler.js'),
+            require('./deid-profiles.js'),
+            require('./pixel-redaction.js'),
+            require('./pseudonym-lookup.js'),
+            require('./pseudonym-template.js'),
+            require('./person-names.js'),
+            require('./uid-registry.js')
+        );
+    } else {
+        Object.assign(root, factory(root.dcmjs, root, root, root, root, root, root, root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (
+    dcmjs,
+    { DicomScrambler, DEFAULT_PSEUDONYM_SCHEME },
+    { DeidentificationProfile, createDefaultTagConfigurations },
+    { PixelRedactor },
+    { PseudonymLookup },
+    { getPseudonymTemplateKind, createPseudonymTemplates },
+    { getPersonNameKey, createFakePersonName },
+    { UIDRegistry }
+) {
+
+const DEFAULT_CODECS_BASE_URL = 'https://cdn.jsdelivr.net/npm/dcmjs-codecs@0.0.6/build';
+let codecsInitPromise = null;
+// Stretched pseudonym key and its passphrase, derived once per passphrase
+// rather than once per file or batch
+let cachedHMACKey = null;
+
+// Tags scrambled by a tag configuration "scramble" action, by type
+const SCRAMBLE_UID_TAGS = ['00020003', '0020000D', '0020000E', '00080018'];
+const SCRAMBLE_DATE_TAGS = ['00080020', '00080021', '00080022', '00080023', '00100030'];
+const SCRAMBLE_TIME_TAGS = ['00080030', '00080031', '00080032', '00080033'];
+const SCRAMBLE_TEXT_TAGS = ['00080050', '00100010', '00100020', '00080080'];
+
+// DA attributes and the TM attribute recorded with each, shifted as one
+// date-time so a time shift past midnight carries into the date
+const DATE_TIME_PAIRS = {
+    '00080012': '00080013', // InstanceCreation
+    '00080020': '00080030', // Study
+    '00080021': '00080031', // Series
+    '00080022': '00080032', // Acquisition
+    '00080023': '00080033', // Content
+    '00100030': '00100032', // PatientBirth
+    '00181012': '00181014', // DateOfSecondaryCapture
+    '00400002': '00400003', // ScheduledProcedureStepStart
+    '00400004': '00400005', // ScheduledProcedureStepEnd
+    '00400244': '00400245', // PerformedProcedureStepStart
+    '00400250': '00400251'  // PerformedProcedureStepEnd
+};
+
+// Actions that shift dates and times, making them MODIFIED in (0028,0303)
+const DATE_SHIFT_ACTIONS = ['SCRAMBLE_DATE', 'SCRAMBLE_TIME', 'SCRAMBLE_DATETIME'];
+
+class DicomProcessor {
+    constructor(passphrase, tagConfigurations = {}, verboseMode = false, decompressMode = false, deidProfile = {}, pixelRedactionRules = [], dateShift = {}, patientAge = {}, uidOptions = {}, pseudonymScheme = DEFAULT_PSEUDONYM_SCHEME) {
+        this.scrambler = new DicomScrambler(passphrase, dateShift, uidOptions, pseudonymScheme);
+        this.profile = new DeidentificationProfile(deidProfile.name, deidProfile.options, deidProfile.safePrivateAttributes);
+        this.pixelRedactor = new PixelRedactor(pixelRedactionRules);
+        // PatientAge: mode 'keep' or 'recalculate', capOver89, bins (lower bounds in years)
+        this.patientAge = { mode: 'keep', capOver89: false, bins: [], ...patientAge };
+        this.auditTrail = [];
+        this.errorLog = [];
+        // New UID digest -> original UID digest, to detect collisions; the
+        // worker reports each chunk's registry to be checked against the run's
+        this.uidRegistry = new UIDRegistry();
+        this.uidCollisions = 0;
+        this.tagConfigurations = tagConfigurations;
+        this.verboseMode = verboseMode;
+        this.decompressMode = decompressMode;
+        // Pre-formatted string instead of array-of-objects: avoids per-tag object
+        // allocation overhead (8M+ objects for large datasets) and redundant filename
+        // storage. Timestamp is emitted once per file, not once per tag.
+        this.verboseLog = '';
+        this._verboseCurrentFile = null;
+        // Structured per-file actions, recorded by deidentify() unless disabled
+        this.recordActions = false;
+        this.actions = null;
+        // SOP Class UIDs deidentify() accepts; null accepts every file
+        this.allowedSOPClassUIDs = null;
+        // Replacement Patient ID, Patient Name and Accession pseudonyms
+        this.pseudonymLookup = null;
+        // Patient and study pseudonym templates, and the registry assigning
+        // their sequence numbers: anything with assign(kind, key) returning
+        // a number or a promise of one
+        this.pseudonymTemplates = {};
+        this.pseudonymRegistry = null;
+        // dcmjs-codecs namespace (defaults to the global) and its WASM location
+        this.codecs = null;
+        this.codecsBaseUrl = DEFAULT_CODECS_BASE_URL;
+    }
+
+    /**
+     * Build a processor from the options documented on deidentify()
+     */
+    static fromOptions(options = {}) {
+        if (!options.passphrase) {
+            throw new Error('A passphrase is required');
+        }
+        const deidProfile = options.deidProfile || { name: 'whitelist', options: {} };
+        const processor = new DicomProcessor(
+            options.passphrase,
+            options.tagConfigurations || createDefaultTagConfigurations(deidProfile.name),
+            !!options.verboseMode,
+            !!options.decompressMode,
+            deidProfile,
+            options.pixelRedactionRules || [],
+            options.dateShift || {},
+            options.patientAge || {},
+            options.uidOptions || {},
+            options.pseudonymScheme || DEFAULT_PSEUDONYM_SCHEME
+        );
+        processor.recordActions = options.recordActions !== false;
+        processor.allowedSOPClassUIDs = options.allowedSOPClassUIDs || null;
+        if (options.pseudonymLookup) {
+            processor.pseudonymLookup = new PseudonymLookup(options.pseudonymLookup, options.pseudonymLookup.unmatched);
+        }
+        if (options.pseudonymTemplates) {
+            processor.pseudonymTemplates = createPseudonymTemplates(options.pseudonymTemplates);
+            processor.pseudonymRegistry = options.pseudonymRegistry || null;
+            const usesSequence = Object.values(processor.pseudonymTemplates).some(template => template.usesSequence);
+            if (usesSequence && !processor.pseudonymRegistry) {
+                throw new Error('Pseudonym templates with {seq} need a pseudonymRegistry shared across files');
+            }
+        }
+        processor.codecs = options.codecs || null;
+        processor.codecsBaseUrl = options.codecsBaseUrl || DEFAULT_CODECS_BASE_URL;
+        if (options.uidRegistry) {
+            processor.uidRegistry = options.uidRegistry;
+        }
+
+        if (cachedHMACKey && cachedHMACKey.passphrase === options.passphrase) {
+            processor.scrambler.hmacKey = cachedHMACKey.key;
+        } else if (processor.scrambler.pseudonymScheme !== 'v1') {
+            cachedHMACKey = { passphrase: options.passphrase, key: processor.scrambler.getHMACKey() };
+        }
+        return processor;
+    }
+
+    /**
+     * De-identify one file. Returns { buffer, audit, actions, errors, skipped }:
+     * buffer is null when the file fails or is skipped by the SOP Class UID
+     * filter or the pseudonym lookup, audit is null when no audit entry was
+     * recorded, and errors holds this file's error log entries
+     */
+    async deidentify(arrayBuffer, filename = 'input.dcm') {
+        const firstError = this.errorLog.length;
+        const firstAudit = this.auditTrail.length;
+        const actions = this.recordActions ? [] : null;
+        const outcome = { buffer: null, audit: null, actions: actions || [], errors: [], skipped: false };
+
+        this.actions = actions;
+        try {
+            if (this.allowedSOPClassUIDs && !(await this.checkSOPClassUID(arrayBuffer, filename, this.allowedSOPClassUIDs))) {
+                outcome.skipped = true;
+            } else {
+                const result = await this.processDicomFile(arrayBuffer, filename);
+                outcome.buffer = result.success ? result.data : null;
+                outcome.audit = this.auditTrail.length > firstAudit ? this.auditTrail[this.auditTrail.length - 1] : null;
+                outcome.skipped = !!result.skipped;
+            }
+        } finally {
+            this.actions = null;
+        }
+
+        outcome.errors = this.errorLog.slice(firstError);
+        return outcome;
+    }
+
+    logError(filename, errorType, errorMessage, sopClassUID = null) {
+        const logEntry = {
+            filename: filename,
+            errorType: errorType,
+            errorMessage: errorMessage,
+            sopClassUID: sopClassUID,
+            timestamp: new Date().toISOString()
+        };
+        this.errorLog.push(logEntry);
+    }
+
+    logVerbose(filename, tag, tagName, originalValue, action, newValue) {
+        if (this.actions) {
+            this.actions.push({ tag, name: tagName, original: originalValue, action, value: newValue });
+        }
+        if (!this.verboseMode) return;
+        // Emit a per-file header the first time we see a new filename, so the
+        // timestamp is recorded once per file rather than once per tag.
+        if (filename !== this._verboseCurrentFile) {
+            this._verboseCurrentFile = filename;
+            this.verboseLog += `\n--- ${filename} [${new Date().toISOString()}] ---\n`;
+        }
+        const orig = originalValue || '[empty]';
+        const next = newValue || '[removed]';
+        this.verboseLog += `  ${tag} (${tagName}): "${orig}" → ${action} → "${next}"\n`;
+    }
+
+    generateErrorLog() {
+        if (this.errorLog.length === 0) {
+            return '';
+        }
+
+        const headers = [
+            'Filename',
+            'Error Type',
+            'Error Message', 
+            'SOPClassUID',
+            'Timestamp'
+        ];
+
+        let log = 'DICOM Processing Error Log\n';
+        log += '=' .repeat(50) + '\n\n';
+        log += headers.join('\t') + '\n';
+        log += '-'.repeat(100) + '\n';
+
+        for (const entry of this.errorLog) {
+            const row = [
+                entry.filename || 'N/A',
+                entry.errorType || 'N/A',
+                entry.errorMessage || 'N/A',
+                entry.sopClassUID || 'N/A',
+                entry.timestamp || 'N/A'
+            ];
+            log += row.join('\t') + '\n';
+        }
+
+        return log;
+    }
+
+    extractSOPClassUIDFallback(arrayBuffer, allowedSOPClassUIDs = []) {
+        try {
+            const bytes = new Uint8Array(arrayBuffer);
+
+            function readAscii(start, length) {
+                let s = '';
+                const end = Math.min(start + length, bytes.length);
+                for (let i = start; i < end; i++) {
+                    const ch = bytes[i];
+                    if (ch === 0) break; // stop at NUL
+                    if (ch >= 32 && ch <= 126) {
+                        s += String.fromCharCode(ch);
+                    }
+                }
+                return s.trim();
+            }
+
+            function isUID(text) {
+                return /^\d+(?:\.\d+)+$/.test(text);
+            }
+
+            function parseTagAt(i, littleEndian) {
+                // Attempt explicit VR 'UI'
+                const vr1 = bytes[i + 4];
+                const vr2 = bytes[i + 5];
+                if (vr1 === 0x55 && vr2 === 0x49) { // 'U''I'
+                    let length;
+                    if (littleEndian) {
+                        length = bytes[i + 6] | (bytes[i + 7] << 8);
+                    } else {
+                        length = (bytes[i + 6] << 8) | bytes[i + 7];
+                    }
+                    if (length > 0 && length < 128 && i + 8 + length <= bytes.length) {
+                        const s = readAscii(i + 8, length);
+                        if (isUID(s)) return s;
+                    }
+                }
+                // Implicit VR: 4-byte length
+                let length;
+                if (littleEndian) {
+                    length = (bytes[i + 4]) | (bytes[i + 5] << 8) | (bytes[i + 6] << 16) | (bytes[i + 7] << 24);
+                } else {
+                    length = (bytes[i + 7]) | (bytes[i + 6] << 8) | (bytes[i + 5] << 16) | (bytes[i + 4] << 24);
+                }
+                if (length > 0 && length < 128 && i + 8 + length <= bytes.length) {
+                    const s = readAscii(i + 8, length);
+                    if (isUID(s)) return s;
+                }
+                return null;
+            }
+
+            // Scan for 0008,0016 in LE and BE
+            for (let i = 0; i + 8 <= bytes.length; i++) {
+                // Little Endian tag: 08 00 16 00
+                if (bytes[i] === 0x08 && bytes[i + 1] === 0x00 && bytes[i + 2] === 0x16 && bytes[i + 3] === 0x00) {
+                    const uid = parseTagAt(i, true);
+                    if (uid) return uid;
+                }
+                // Big Endian tag: 00 08 00 16
+                if (bytes[i] === 0x00 && bytes[i + 1] === 0x08 && bytes[i + 2] === 0x00 && bytes[i + 3] === 0x16) {
+                    const uid = parseTagAt(i, false);
+                    if (uid) return uid;
+                }
+            }
+
+            // As a last resort, scan first 1MB for ASCII UIDs and prefer those in allowed set
+            const MAX_SCAN = Math.min(bytes.length, 1024 * 1024);
+            const head = bytes.subarray(0, MAX_SCAN);
+            const decoder = new TextDecoder('latin1');
+            const text = decoder.decode(head);
+            const regex = /1\.2\.840\.10008(?:\.[0-9]+)+/g;
+            const seen = new Set();
+            let match;
+            while ((match = regex.exec(text)) !== null) {
+                const candidate = match[0];
+                if (!seen.has(candidate)) {
+                    seen.add(candidate);
+                    if (allowedSOPClassUIDs.includes(candidate)) {
+                        return candidate;
+                    }
+                }
+            }
+            // If none matched allowed, return the first seen candidate
+            if (seen.size > 0) {
+                for (const c of seen) return c;
+            }
+        } catch (e) {
+            // ignore fallback errors
+        }
+        return null;
+    }
+
+    async checkSOPClassUID(arrayBuffer, filename, allowedSOPClassUIDs) {
+        try {
+            // Parse DICOM file to check SOPClassUID
+            const dataSet = dcmjs.data.DicomMessage.readFile(arrayBuffer);
+            const dict = dataSet.dict;
+            
+            // Get SOPClassUID from the file (tag 00080016)
+            const sopClassUID = this.getTagValue(dict, '00080016');
+            // Check SOPClassUID
+            
+            if (!sopClassUID) {
+                // No SOPClassUID found
+                this.logError(filename, 'MISSING_SOPCLASSUID', 'File does not contain SOPClassUID tag (00080016)');
+                return false;
+            }
+            
+            // Check if this SOPClassUID is in the allowed list
+            const isAllowed = allowedSOPClassUIDs.includes(sopClassUID);
+            if (!isAllowed) {
+                this.logError(filename, 'SOPCLASSUID_FILTERED', `SOPClassUID ${sopClassUID} not in allowed list`, sopClassUID);
+            }
+            // SOPClassUID check complete
+            return isAllowed;
+            
+        } catch (error) {
+            console.error(`Error checking SOPClassUID for ${filename}:`, error);
+            // Fallback: heuristic extraction
+            const fallbackUID = this.extractSOPClassUIDFallback(arrayBuffer, allowedSOPClassUIDs);
+            if (fallbackUID) {
+                const isAllowed = allowedSOPClassUIDs.includes(fallbackUID);
+                if (!isAllowed) {
+                    this.logError(filename, 'SOPCLASSUID_FILTERED', `SOPClassUID ${fallbackUID} not in allowed list (heuristic)`, fallbackUID);
+                } else {
+                    this.logVerbose(filename, '00080016', 'SOPClassUID', '[PARSE FAILED]', 'HEURISTIC_PARSE', fallbackUID);
+                }
+                return isAllowed;
+            }
+            this.logError(filename, 'SOPCLASSUID_PARSE_ERROR', error.message);
+            return false;
+        }
+    }
+
+
+
+    async ensureCodecsInitialized() {
+        if (!codecsInitPromise) {
+            const nativeCodecs = this.getCodecs()?.NativeCodecs;
+            if (!nativeCodecs || typeof nativeCodecs.initializeAsync !== 'function') {
+                throw new Error('dcmjs-codecs NativeCodecs.initializeAsync is unavailable');
+            }
+            codecsInitPromise = nativeCodecs.initializeAsync({
+                webAssemblyModulePathOrUrl: `${this.codecsBaseUrl}/dcmjs-native-codecs.wasm`,
+                logCodecsInfo: false,
+                logCodecsTrace: false
+            });
+        }
+        return codecsInitPromise;
+    }
+
+    getCodecs() {
+        return this.codecs || globalThis.dcmjsCodecs;
+    }
+
+    async decompressIfRequested(arrayBuffer, filename, force = false) {
+        if (!this.decompressMode && !force) return { arrayBuffer, transferSyntax: null, decompressed: false };
+        if (!(arrayBuffer instanceof ArrayBuffer)) {
+            this.logError(filename, 'DECOMPRESS_INVALID_INPUT', 'Expected ArrayBuffer input for decompression');
+            return { arrayBuffer, transferSyntax: null, decompressed: false };
+        }
+
+        const parsed = dcmjs.data.DicomMessage.readFile(arrayBuffer);
+        const transferSyntax = this.getTagValue(parsed.meta, '00020010');
+        if (!transferSyntax || transferSyntax === '1.2.840.10008.1.2.1') {
+            return { arrayBuffer, transferSyntax, decompressed: false };
+        }
+
+        try {
+            await this.ensureCodecsInitialized();
+        } catch (e) {
+            // If WASM codecs fail to load (e.g., CDN/network/CORS issues), continue
+            // processing without decompression so de-identification can still proceed.
+            this.logError(filename, 'DECOMPRESS_CODEC_INIT_ERROR', e.message);
+            this.logVerbose(filename, '00020010', 'TransferSyntaxUID', transferSyntax, 'DECOMPRESS_SKIPPED', transferSyntax);
+            return { arrayBuffer, transferSyntax, decompressed: false };
+        }
+
+        const transferrer = this.getCodecs()?.Transcoder;
+        const explicitLE = this.getCodecs()?.constants?.TransferSyntax?.ExplicitVRLittleEndian || '1.2.840.10008.1.2.1';
+
+        if (!transferrer) {
+            this.logError(filename, 'DECOMPRESS_TRANSCODER_UNAVAILABLE', 'dcmjs-codecs Transcoder is unavailable');
+            this.logVerbose(filename, '00020010', 'TransferSyntaxUID', transferSyntax, 'DECOMPRESS_SKIPPED', transferSyntax);
+            return { arrayBuffer, transferSyntax, decompressed: false };
+        }
+
+        try {
+            const transcoder = new transferrer(arrayBuffer);
+            transcoder.transcode(explicitLE);
+            const decompressedBuffer = transcoder.getDicomPart10();
+            this.logVerbose(filename, '00020010', 'TransferSyntaxUID', transferSyntax, 'DECOMPRESS', '1.2.840.10008.1.2.1');
+            return { arrayBuffer: decompressedBuffer, transferSyntax, decompressed: true };
+        } catch (e) {
+            this.logError(filename, 'DECOMPRESS_ERROR', e.message);
+            throw new Error(`Unable to decompress pixel data: ${e.message}`);
+        }
+    }
+
+    async processDicomFile(arrayBuffer, filename) {
+        // Processing DICOM file
+        try {
+            // Parse DICOM file
+            // Parsing DICOM data
+            const decompressResult = await this.decompressIfRequested(arrayBuffer, filename);
+            let dataSet = dcmjs.data.DicomMessage.readFile(decompressResult.arrayBuffer);
+            
+            // Burned-in annotation rules match the original header; compressed
+            // pixel data is decompressed for redaction even without decompress mode
+            const redactionMatches = this.pixelRedactor.findRegions(dataSet.dict);
+            if (redactionMatches.length > 0 &&
+                !this.pixelRedactor.isNativeTransferSyntax(this.getTagValue(dataSet.meta, '00020010'))) {
+                const forced = await this.decompressIfRequested(arrayBuffer, filename, true);
+                if (!forced.decompressed) {
+                    throw new Error('Pixel redaction requires decompression, which is unavailable for this file');
+                }
+                dataSet = dcmjs.data.DicomMessage.readFile(forced.arrayBuffer);
+            }
+            const dict = dataSet.dict;
+            const pixelRedactions = this.redactPixelData(dict, redactionMatches, filename);
+            // DICOM data parsed
+            
+            // Extract original values for audit trail
+            // Extracting original values
+            const originalStudyUID = this.getTagValue(dict, '0020000D');
+            const originalAccession = this.getTagValue(dict, '00080050');
+            const originalPatientID = this.getTagValue(dict, '00100020');
+            // Original values extracted
+            
+            // Pseudonyms from the lookup table; unmatched identifiers are
+            // hashed as usual, or skip or fail the file
+            const lookup = this.pseudonymLookup ? this.pseudonymLookup.resolve(originalPatientID, originalAccession) : null;
+            if (lookup && lookup.unmatched.length > 0 && this.pseudonymLookup.unmatched !== 'hash') {
+                const message = `No pseudonym lookup entry for ${lookup.unmatched.join(' or ')}`;
+                this.auditTrail.push({
+                    filename,
+                    originalStudyUID: originalStudyUID || '',
+                    originalAccession: originalAccession || '',
+                    originalPatientID: originalPatientID || '',
+                    pseudonymScheme: this.scrambler.pseudonymScheme,
+                    patientIDSource: lookup.patientIDSource,
+                    accessionSource: lookup.accessionSource
+                });
+                const skipped = this.pseudonymLookup.unmatched === 'skip';
+                this.logError(filename, 'PSEUDONYM_UNMATCHED', skipped ? `${message}; file skipped` : message);
+                return {
+                    success: false,
+                    skipped,
+                    error: message,
+                    filename: filename
+                };
+            }
+            
+            // Identifying values that Clean (C) actions strip from free text
+            const identifiers = this.collectIdentifiers(dict);
+            
+            // Record which configured tags are missing before any action runs, so a
+            // tag removed by its "if present" action is not re-added as "not present"
+            const missingConfiguredTags = new Set();
+            for (const tag of Object.keys(this.tagConfigurations || {})) {
+                const tagValue = this.getTagValue(dict, tag);
+                if (!dict[tag] || !tagValue || tagValue.toString().trim() === '') {
+                    missingConfiguredTags.add(tag);
+                }
+            }
+            
+            // Apply the tag configuration "if present" action where one is set,
+            // otherwise the de-identification profile action, recursing into sequences
+            // Dates and times sharing a shift key (patient, study or global) get one date-time offset
+            const shiftKey = this.scrambler.getShiftKey({
+                patientID: originalPatientID,
+                studyUID: originalStudyUID,
+                birthDate: this.getTagValue(dict, '00100030'),
+                studyDate: this.getTagValue(dict, '00080020')
+            });
+            // Originals identifying the patient and study a templated pseudonym stands for
+            const templateKeys = {
+                patient: originalPatientID || this.getTagValue(dict, '00100010'),
+                study: originalStudyUID || originalAccession
+            };
+            const context = { filename, identifiers, shiftKey, templateKeys, templatedTags: new Set(), retainedPrivateTags: [], datesShifted: false };
+            await this.processDataset(dict, context);
+            
+            // MediaStorageSOPInstanceUID lives in the file meta header, not the dataset
+            if (dataSet.meta && this.getTagValue(dataSet.meta, '00020003') !== null) {
+                await this.processElement(dataSet.meta, '00020003', context);
+            }
+            
+            if (lookup) {
+                this.applyPseudonymLookup(dict, lookup, filename);
+            }
+            
+            // Handle missing tags based on configuration
+            if (this.tagConfigurations) {
+                for (const [tag, config] of Object.entries(this.tagConfigurations)) {
+                    // Check if tag is missing OR has empty/null value and has a configured action for "if not present"
+                    const tagValue = this.getTagValue(dict, tag);
+
+                    if (missingConfiguredTags.has(tag)) {
+                        if (config.ifNotPresent === 'replace' && config.notPresentValue) {
+                            // Get the VR for this tag from the whitelist definition
+                            const vr = this.getVRForTag(tag);
+                            if (vr) {
+                                // Create or update the tag with the replacement value
+                                dict[tag] = {
+                                    vr: vr,
+                                    Value: [config.notPresentValue]
+                                };
+                                // Log the addition of missing tag
+                                this.logVerbose(
+                                    filename,
+                                    tag,
+                                    config.description,
+                                    tagValue || '[MISSING]',
+                                    'ADD_MISSING',
+                                    config.notPresentValue
+                                );
+                            }
+                        } else if (config.ifNotPresent === 'scrambleFromStudyUID') {
+                            const studySourceUID = originalStudyUID || this.getTagValue(dict, '0020000D');
+                            if (studySourceUID) {
+                                const vr = this.getVRForTag(tag);
+                                const maxLength = this.getVRMaxLength(vr);
+                                const template = this.findPseudonymTemplate(tag, '', context);
+                                const generatedValue = template
+                                    ? await this.renderPseudonymTemplate(template, filename, maxLength)
+                                    : await this.scrambler.scrambleFromStudyUID(studySourceUID, maxLength);
+                                if (generatedValue) {
+                                    if (!dict[tag]) {
+                                        dict[tag] = { vr: vr, Value: [] };
+                                    } else {
+                                        dict[tag].vr = dict[tag].vr || vr;
+                                    }
+                                    dict[tag].Value = [generatedValue];
+                                    this.logVerbose(
+                                        filename,
+                                        tag,
+                                        config.description,
+                                        tagValue || '[MISSING]',
+                                        'SCRAMBLE_FROM_STUDY_UID',
+                                        generatedValue
+                                    );
+                                }
+                            } else {
+                                this.logVerbose(
+                                    filename,
+                                    tag,
+                                    config.description,
+                                    tagValue || '[MISSING]',
+                                    'SCRAMBLE_FROM_STUDY_UID_SKIPPED',
+                                    '[NO_STUDY_UID]'
+                                );
+                            }
+                        }
+                    }
+                }
+            }
+            
+            // Redacted images no longer carry burned-in annotations
+            if (pixelRedactions.length > 0) {
+                dict['00280301'] = { vr: 'CS', Value: ['NO'] };
+            }
+            
+            // Keep PatientAge consistent with the shifted dates, capped or binned
+            const ageRule = this.processPatientAge(dict, filename);
+            
+            // Record the profile and options that were applied
+            this.recordDeidentificationMethod(dict, filename, context.datesShifted);
+            
+            // Final pass: validate all remaining tags for length constraints
+            // Starting final validation pass
+            for (const tag of Object.keys(dict)) {
+                if (dict[tag] && dict[tag].Value && dict[tag].Value.length > 0) {
+                    const vr = dict[tag].vr;
+                    const value = this.validateValueLength(dict[tag].Value, vr);
+                    dict[tag].Value = value;
+                }
+            }
+            
+            // Create audit trail entry
+            // Creating audit trail entry
+            const scrambledStudyUID = this.getTagValue(dict, '0020000D');
+            const scrambledAccession = this.getTagValue(dict, '00080050');
+            const scrambledPatientID = this.getTagValue(dict, '00100020');
+            // A lookup entry replaces a templated pseudonym, so it is the source when it matched
+            const getSource = (tag, lookupSource) => {
+                if (lookupSource === 'lookup') return lookupSource;
+                return context.templatedTags.has(tag) ? 'template' : (lookupSource || '');
+            };
+            
+            this.auditTrail.push({
+                filename,
+                originalStudyUID: originalStudyUID || '',
+                scrambledStudyUID: scrambledStudyUID || '',
+                originalAccession: originalAccession || '',
+                scrambledAccession: scrambledAccession || '',
+                originalPatientID: originalPatientID || '',
+                scrambledPatientID: scrambledPatientID || '',
+                retainedPrivateTags: context.retainedPrivateTags.join('; '),
+                pixelRedactions: pixelRedactions.join('; '),
+                ageRule,
+                pseudonymScheme: this.scrambler.pseudonymScheme,
+                patientIDSource: getSource('00100020', lookup && lookup.patientIDSource),
+                accessionSource: getSource('00080050', lookup && lookup.accessionSource)
+            });
+            
+            // Write the modified dataset back to buffer
+            // Writing DICOM output
+            // Use the original dataSet but with modified dict
+            dataSet.dict = dict;
+            let outputBuffer;
+            
+            try {
+                outputBuffer = dataSet.write();
+                // DICOM output written successfully
+                // Ensure we have a proper ArrayBuffer
+                if (outputBuffer && outputBuffer.byteLength) {
+                    return {
+                        success: true,
+                        data: outputBuffer,
+                        filename: filename
+                    };
+                } else {
+                    throw new Error('Write operation produced empty buffer');
+                }
+            } catch (writeError) {
+                console.error('Write error:', writeError);
+                this.logError(filename, 'WRITE_ERROR', 'Failed to write DICOM file: ' + writeError.message);
+                return {
+                    success: false,
+                    error: 'Failed to write DICOM file: ' + writeError.message,
+                    filename: filename
+                };
+            }
+            
+        } catch (error) {
+            console.error(`Error in processDicomFile for ${filename}:`, error);
+            this.logError(filename, 'PROCESSING_ERROR', error.message);
+            return {
+                success: false,
+                error: error.message,
+                filename: filename
+            };
+        }
+    }
+    
+    /**
+     * Replace the hashed identifiers with the lookup table's pseudonyms where
+     * the tag actions kept the attribute; Patient Name falls back to the
+     * Patient ID pseudonym
+     */
+    applyPseudonymLookup(dict, lookup, filename) {
+        const replacements = [];
+        if (lookup.patient) {
+            replacements.push(['00100020', lookup.patient.patientID]);
+            replacements.push(['00100010', lookup.patient.patientName || lookup.patient.patientID]);
+        }
+        if (lookup.accession) {
+            replacements.push(['00080050', lookup.accession]);
+        }
+
+        for (const [tag, value] of replacements) {
+            if (!dict[tag]) continue;
+            this.logVerbose(filename, tag, this.getTagName(tag), this.getTagValue(dict, tag), 'PSEUDONYM_LOOKUP', value);
+            dict[tag].Value = [value];
+        }
+    }
+
+    /**
+     * The template a top-level Patient ID, Patient Name or Accession is
+     * rendered from, with the kind and original it stands for; null when
+     * the tag keeps its hashed pseudonym. Found tags are noted in the
+     * context, so the audit can record the template as their source
+     */
+    findPseudonymTemplate(tag, path, context) {
+        const kind = path === '' ? getPseudonymTemplateKind(tag) : null;
+        const template = kind && this.pseudonymTemplates[kind];
+        const key = template && context.templateKeys && context.templateKeys[kind];
+        if (!key) return null;
+        if (context.templatedTags) context.templatedTags.add(tag);
+        return { kind, key, template };
+    }
+
+    /**
+     * Render a pseudonym template. The registry is keyed by a keyed hash of
+     * the original, so the registry file holds no identifiers
+     */
+    async renderPseudonymTemplate({ kind, key, template }, filename, maxLength) {
+        const value = await template.render(
+            async () => {
+                const registryKey = this.scrambler.hashToHex(await this.scrambler.generateHash(`registry:${kind}:${key}`)).slice(0, 32);
+                return this.pseudonymRegistry.assign(kind, registryKey);
+            },
+            async length => this.scrambler.hashToAlphanumeric(await this.scrambler.generateHash(`template:${kind}:${key}`), length)
+        );
+        if (maxLength > 0 && value.length > maxLength) {
+            this.logError(filename, 'PSEUDONYM_TEMPLATE', `Pseudonym "${value}" from template "${template.template}" is longer than ${maxLength} characters and was truncated`);
+            return value.substr(0, maxLength);
+        }
+        return value;
+    }
+
+    /**
+     * Fake Family^Given name for a PN value, picked by a keyed hash of the
+     * original so each person keeps one fake name
+     */
+    async fakePersonName(value) {
+        const hash = await this.scrambler.generateHash(`pn:${getPersonNameKey(value)}`);
+        return createFakePersonName(value, hash);
+    }
+
+    isConfiguredTag(tag) {
+        return !!(this.tagConfigurations && this.tagConfigurations[tag]);
+    }
+
+    /**
+     * True when the tag configuration sets an "if present" action other than
+     * deferring to the de-identification profile
+     */
+    hasPresentOverride(tag) {
+        if (!this.isConfiguredTag(tag)) return false;
+        const ifPresent = this.tagConfigurations[tag].ifPresent;
+        return !!ifPresent && ifPresent !== 'profile';
+    }
+
+    getTagName(tag) {
+        const profileName = this.profile.getTagName(tag);
+        if (profileName) return profileName;
+        const entry = dcmjs.data.DicomMetaDictionary.dictionary[`(${tag.substr(0, 4)},${tag.substr(4, 4)})`];
+        if (entry) return entry.name;
+        if (this.isConfiguredTag(tag) && this.tagConfigurations[tag].description) {
+            return this.tagConfigurations[tag].description;
+        }
+        return this.profile.isPrivateTag(tag) ? 'Private Tag' : 'Unknown Tag';
+    }
+
+    /**
+     * Pick the scrambling method for a tag: the built-in lists first, then the VR
+     */
+    getScrambleAction(tag, vr) {
+        if (SCRAMBLE_UID_TAGS.includes(tag)) return 'SCRAMBLE_UID';
+        if (SCRAMBLE_DATE_TAGS.includes(tag)) return 'SCRAMBLE_DATE';
+        if (SCRAMBLE_TIME_TAGS.includes(tag)) return 'SCRAMBLE_TIME';
+        if (SCRAMBLE_TEXT_TAGS.includes(tag)) return 'SCRAMBLE_TEXT';
+        if (vr === 'UI') return 'SCRAMBLE_UID';
+        if (vr === 'DA') return 'SCRAMBLE_DATE';
+        if (vr === 'TM') return 'SCRAMBLE_TIME';
+        if (vr === 'DT') return 'SCRAMBLE_DATETIME';
+        return 'SCRAMBLE_TEXT';
+    }
+
+    /**
+     * Process every element of a dataset or sequence item. Private creators
+     * are read up front, since their own elements may be removed first.
+     */
+    async processDataset(dict, context, path = '') {
+        const creators = {};
+        for (const tag of Object.keys(dict)) {
+            if (this.profile.isPrivateCreatorTag(tag)) {
+                creators[tag] = this.getTagValue(dict, tag);
+            }
+        }
+        
+        for (const tag of Object.keys(dict)) {
+            if (tag === '7FE00010') continue; // Always preserve pixel data
+            await this.processElement(dict, tag, context, path, creators);
+        }
+        
+        this.removeUnusedPrivateCreators(dict, context, path);
+    }
+
+    /**
+     * Process one element, then every element of every item of a kept
+     * sequence at any depth. Nested tags are logged with their path,
+     * e.g. 00082218[0].00080104.
+     */
+    async processElement(dict, tag, context, path = '', creators = {}) {
+        if (this.hasPresentOverride(tag) && this.getTagValue(dict, tag) !== null) {
+            await this.processPresentTag(dict, tag, context, path);
+        } else if (this.isSafePrivateTag(tag, creators)) {
+            this.keepPrivateTag(dict, tag, context, path, creators);
+        } else {
+            await this.applyProfileAction(dict, tag, context, path);
+        }
+        
+        const element = dict[tag];
+        if (!element || element.vr !== 'SQ' || !Array.isArray(element.Value)) return;
+        
+        for (let i = 0; i < element.Value.length; i++) {
+            const item = element.Value[i];
+            if (!item || typeof item !== 'object') continue;
+            await this.processDataset(item, context, `${path}${tag}[${i}].`);
+        }
+    }
+
+    /**
+     * True when a private creator or private data element is on the safe
+     * private list, resolved through the creator reserving its block
+     */
+    isSafePrivateTag(tag, creators) {
+        if (!this.profile.isPrivateTag(tag) || !this.profile.hasSafePrivateAttributes()) return false;
+        if (this.profile.isPrivateCreatorTag(tag)) {
+            return !!creators[tag] && this.profile.isSafePrivateCreator(tag, creators[tag]);
+        }
+        const creator = creators[this.profile.getPrivateCreatorTag(tag)];
+        return !!creator && this.profile.isSafePrivateElement(tag, creator);
+    }
+
+    keepPrivateTag(dict, tag, context, path, creators) {
+        const element = dict[tag];
+        const creatorTag = this.profile.isPrivateCreatorTag(tag) ? tag : this.profile.getPrivateCreatorTag(tag);
+        const creator = creators[creatorTag];
+        const value = this.describeValue(element.vr, element.Value);
+        const name = creatorTag === tag ? 'PrivateCreator' : `Private (${creator})`;
+        
+        if (creatorTag !== tag) {
+            context.retainedPrivateTags.push(`${path}${tag} ${creator}`);
+        }
+        this.logVerbose(context.filename, path + tag, name, value, 'KEEP_PRIVATE', value);
+    }
+
+    /**
+     * Drop kept private creators whose block has no elements left
+     */
+    removeUnusedPrivateCreators(dict, context, path) {
+        for (const tag of Object.keys(dict)) {
+            if (!this.profile.isPrivateCreatorTag(tag)) continue;
+            const inUse = Object.keys(dict).some(other => this.profile.getPrivateCreatorTag(other) === tag);
+            if (!inUse) {
+                const value = this.getTagValue(dict, tag);
+                delete dict[tag];
+                this.logVerbose(context.filename, path + tag, 'PrivateCreator', value, 'DELETE', '');
+            }
+        }
+    }
+
+    /**
+     * Value shown in the verbose log: sequences are summarised by item count,
+     * binary values by size
+     */
+    describeValue(vr, values) {
+        if (vr === 'SQ') return `[${(values || []).length} item(s)]`;
+        if (!values || values.length === 0) return null;
+        if (values[0] instanceof ArrayBuffer) return `[${values[0].byteLength} bytes]`;
+        return values[0];
+    }
+
+    /**
+     * Apply the "if present" action (scramble, scramble keeping the format,
+     * fake name, delete, unchanged or replace) to a tag that has a value, then
+     * log the result
+     */
+    async processPresentTag(dict, tag, context, path = '') {
+        const { filename, shiftKey } = context;
+        const name = this.getTagName(tag);
+        const vr = dict[tag].vr;
+        const originalValue = this.describeValue(vr, dict[tag].Value);
+        let value = dict[tag].Value;
+        let action = 'UNCHANGED';
+        
+        const presentAction = this.tagConfigurations[tag].ifPresent;
+        
+        if (presentAction === 'delete') {
+            delete dict[tag];
+            this.logVerbose(filename, path + tag, name, originalValue, 'DELETE', '');
+            return;
+        }
+        
+        if (presentAction === 'replace') {
+            const presentValue = this.tagConfigurations[tag].presentValue;
+            value = presentValue ? [presentValue] : [];
+            action = 'REPLACE';
+        } else if (['scramble', 'scrambleFormat', 'fakeName'].includes(presentAction)) {
+            // Numeric VRs are never scrambled; sequence items are handled one by one.
+            // scrambleFormat and fakeName only change how text is scrambled: UIDs,
+            // dates and times are scrambled as usual, and fakeName needs a PN
+            const isNumericVR = ['DS', 'IS', 'FL', 'FD', 'SL', 'SS', 'UL', 'US'].includes(vr);
+            
+            if (!isNumericVR && vr !== 'SQ') {
+                action = this.getScrambleAction(tag, vr);
+                if (action === 'SCRAMBLE_UID') {
+                    value = await this.scrambleUIDs(value.slice(0, 1), filename);
+                } else if (action === 'SCRAMBLE_DATE') {
+                    value = await this.shiftDates(dict, tag, value.slice(0, 1), shiftKey);
+                } else if (action === 'SCRAMBLE_TIME') {
+                    value = [await this.scrambler.scrambleTime(value[0], shiftKey)];
+                } else if (action === 'SCRAMBLE_DATETIME') {
+                    value = [await this.scrambler.scrambleDateTime(value[0], shiftKey)];
+                } else {
+                    const maxLength = this.getVRMaxLength(vr);
+                    const template = this.findPseudonymTemplate(tag, path, context);
+                    if (template) {
+                        value = [await this.renderPseudonymTemplate(template, filename, maxLength)];
+                        action = 'PSEUDONYM_TEMPLATE';
+                    } else if (presentAction === 'scrambleFormat') {
+                        value = await Promise.all(value.map(item => this.scrambler.scrambleFormatPreserving(item)));
+                        action = 'SCRAMBLE_FORMAT';
+                    } else if (presentAction === 'fakeName' && vr === 'PN') {
+                        value = await Promise.all(value.map(item => this.fakePersonName(item)));
+                        action = 'FAKE_NAME';
+                    } else {
+                        value = [await this.scrambler.scrambleText(value[0], maxLength)];
+                    }
+                }
+            }
+        }
+        
+        // Validate and truncate ALL values based on VR constraints
+        value = this.validateValueLength(value, vr);
+        dict[tag].Value = value;
+        if (DATE_SHIFT_ACTIONS.includes(action) && value.some(Boolean)) context.datesShifted = true;
+        
+        // Log the processing action
+        this.logVerbose(filename, path + tag, name, originalValue, action, this.describeValue(vr, value));
+    }
+
+    /**
+     * Apply the profile's PS3.15 action code for a tag, then log the result
+     */
+    async applyProfileAction(dict, tag, context, path = '') {
+        const { filename } = context;
+        const element = dict[tag];
+        const name = this.getTagName(tag);
+        const vr = element.vr;
+        const originalValue = this.describeValue(vr, element.Value);
+        let value = element.Value || [];
+        let action = 'UNCHANGED';
+        
+        switch (this.profile.getAction(tag, vr)) {
+            case 'X':
+                delete dict[tag];
+                this.logVerbose(filename, path + tag, name, originalValue, 'DELETE', '');
+                return;
+            case 'Z':
+                value = [];
+                action = 'EMPTY';
+                break;
+            case 'D': {
+                const template = this.findPseudonymTemplate(tag, path, context);
+                if (template) {
+                    value = [await this.renderPseudonymTemplate(template, filename, this.getVRMaxLength(vr))];
+                    action = 'PSEUDONYM_TEMPLATE';
+                } else {
+                    value = await this.getDummyValue(value, vr, filename);
+                    action = 'DUMMY';
+                }
+                break;
+            }
+            case 'U':
+                // U* on a sequence: the UIDs inside its items follow their own rules
+                if (vr !== 'SQ') {
+                    value = await this.scrambleUIDs(value, filename);
+                    action = 'SCRAMBLE_UID';
+                }
+                break;
+            case 'C':
+                ({ value, action } = await this.cleanValue(dict, tag, value, vr, context));
+                break;
+        }
+        
+        value = this.validateValueLength(value, vr);
+        element.Value = value;
+        if (DATE_SHIFT_ACTIONS.includes(action) && value.some(Boolean)) context.datesShifted = true;
+        this.logVerbose(filename, path + tag, name, originalValue, action, this.describeValue(vr, value));
+    }
+
+    async scrambleUIDs(values, filename) {
+        const scrambled = [];
+        for (const uid of values) {
+            if (this.profile.isWellKnownUID(uid)) {
+                scrambled.push(uid);
+                continue;
+            }
+            const newUID = await this.scrambler.scrambleUID(String(uid));
+            this.checkUIDCollision(String(uid), newUID, filename);
+            scrambled.push(newUID);
+        }
+        return scrambled;
+    }
+
+    /**
+     * Report two different original UIDs that map to the same new UID, which
+     * would silently merge instances. Under the uuid scheme that is as
+     * unlikely as a random UUID clash, so its UIDs are not recorded
+     */
+    checkUIDCollision(originalUID, newUID, filename) {
+        if (this.scrambler.uidOptions.scheme === 'uuid') return;
+        if (this.uidRegistry.check(newUID, originalUID, filename)) {
+            this.uidCollisions++;
+            this.logError(filename, 'UID_COLLISION', `${originalUID} maps to ${newUID}, as does a different original UID`);
+        }
+    }
+
+    /**
+     * D: a non-empty dummy value consistent with the VR. Text is replaced with
+     * a deterministic pseudonym so linked records stay linked.
+     */
+    async getDummyValue(value, vr, filename) {
+        switch (vr) {
+            case 'UI':
+                return this.scrambleUIDs(value, filename);
+            case 'DA':
+                return ['19000101'];
+            case 'TM':
+                return ['000000'];
+            case 'DT':
+                return ['19000101000000'];
+            case 'AS':
+                return ['000Y'];
+            case 'DS': case 'IS':
+                return ['0'];
+            case 'FL': case 'FD': case 'SL': case 'SS': case 'UL': case 'US':
+                return [0];
+            case 'AE': case 'CS': case 'LO': case 'LT': case 'PN': case 'SH':
+            case 'ST': case 'UC': case 'UT': {
+                const source = value.length > 0 ? String(value[0]) : 'DUMMY';
+                const maxLength = this.getVRMaxLength(vr);
+                return [await this.scrambler.scrambleText(source, maxLength > 0 ? maxLength : 64)];
+            }
+            default:
+                // Sequences and binary VRs have no meaningful dummy
+                return [];
+        }
+    }
+
+    /**
+     * C: shift dates and times, strip known identifiers from free text
+     */
+    async cleanValue(dict, tag, value, vr, context) {
+        const { shiftKey, identifiers } = context;
+        const cleaned = [];
+        if (vr === 'DA') {
+            return { value: await this.shiftDates(dict, tag, value, shiftKey), action: 'SCRAMBLE_DATE' };
+        }
+        if (vr === 'TM') {
+            for (const time of value) {
+                cleaned.push(await this.scrambler.scrambleTime(time, shiftKey));
+            }
+            return { value: cleaned, action: 'SCRAMBLE_TIME' };
+        }
+        if (vr === 'DT') {
+            for (const dateTime of value) {
+                cleaned.push(await this.scrambler.scrambleDateTime(dateTime, shiftKey));
+            }
+            return { value: cleaned, action: 'SCRAMBLE_DATETIME' };
+        }
+        if (['LO', 'LT', 'PN', 'SH', 'ST', 'UC', 'UT'].includes(vr)) {
+            for (const text of value) {
+                cleaned.push(typeof text === 'string' ? this.cleanText(text, identifiers) : text);
+            }
+            return { value: cleaned, action: 'CLEAN_TEXT' };
+        }
+        return { value, action: 'UNCHANGED' };
+    }
+
+    /**
+     * Shift the dates of a DA element, carrying midnight rollovers from the
+     * paired TM element. Tags are processed in ascending order, so the paired
+     * time still holds its original value here.
+     */
+    async shiftDates(dict, tag, dates, shiftKey) {
+        const pairedTime = dict[DATE_TIME_PAIRS[tag]];
+        const times = pairedTime && pairedTime.Value ? pairedTime.Value : [];
+        const shifted = [];
+        for (let i = 0; i < dates.length; i++) {
+            shifted.push(await this.scrambler.scrambleDate(dates[i], shiftKey, times[i] || null));
+        }
+        return shifted;
+    }
+
+    /**
+     * Identifying values (names, IDs, institution) to remove from descriptions
+     */
+    collectIdentifiers(dict) {
+        const identifierTags = [
+            '00100010', '00100020', '00101000', '00101001', '00101005', '00101060',
+            '00080050', '00080080', '00080090', '00081050', '00081070', '00200010'
+        ];
+        const identifiers = new Set();
+        for (const tag of identifierTags) {
+            if (!dict[tag] || !dict[tag].Value) continue;
+            for (const value of dict[tag].Value) {
+                if (typeof value !== 'string') continue;
+                identifiers.add(value.trim());
+                // Person names: also match each component on its own
+                if (dict[tag].vr === 'PN') {
+                    value.split(/[\^=]/).forEach(part => identifiers.add(part.trim()));
+                }
+            }
+        }
+        // Very short fragments would remove ordinary words such as "CT"
+        return Array.from(identifiers)
+            .filter(identifier => identifier.length >= 3)
+            .sort((a, b) => b.length - a.length);
+    }
+
+    cleanText(text, identifiers) {
+        let cleaned = text;
+        for (const identifier of identifiers) {
+            const escaped = identifier.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            cleaned = cleaned.replace(new RegExp(escaped, 'gi'), '');
+        }
+        return cleaned.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Recalculate, cap and bin a PatientAge the policy kept. Runs after the
+     * dates are shifted, so a recalculated age matches them. Returns the rule
+     * applied, for the audit.
+     */
+    processPatientAge(dict, filename) {
+        const originalAge = this.getTagValue(dict, '00101010');
+        // A configured delete or replace decides the value; the rules refine any other action
+        const ifPresent = this.hasPresentOverride('00101010') ? this.tagConfigurations['00101010'].ifPresent : null;
+        if (originalAge === null || ['delete', 'replace'].includes(ifPresent)) return '';
+        
+        const rules = [];
+        let age = String(originalAge);
+        
+        if (this.patientAge.mode === 'recalculate') {
+            const birthDate = this.getTagValue(dict, '00100030');
+            const referenceDate = ['00080020', '00080021', '00080022', '00080023']
+                .map(tag => this.getTagValue(dict, tag))
+                .find(date => /^\d{8}$/.test(date || ''));
+            const recalculated = /^\d{8}$/.test(birthDate || '') && referenceDate
+                ? this.calculateAge(birthDate, referenceDate)
+                : null;
+            if (recalculated) {
+                age = recalculated;
+                rules.push('recalculated');
+            }
+        }
+        
+        const years = this.parseAgeYears(age);
+        if (years !== null && this.patientAge.capOver89 && years > 89) {
+            age = '090Y';
+            rules.push('capped at 090Y');
+            // A birth date would still reveal the age
+            if (this.getTagValue(dict, '00100030') !== null) {
+                this.logVerbose(filename, '00100030', 'PatientBirthDate', this.getTagValue(dict, '00100030'), 'EMPTY', '');
+                dict['00100030'].Value = [];
+            }
+        }
+        
+        const bins = this.patientAge.bins || [];
+        const binYears = this.parseAgeYears(age);
+        const binIndex = binYears === null ? -1 : bins.findIndex((lower, i) => binYears >= lower && (i === bins.length - 1 || binYears < bins[i + 1]));
+        if (binIndex !== -1) {
+            const lower = bins[binIndex];
+            age = `${String(lower).padStart(3, '0')}Y`;
+            rules.push(binIndex === bins.length - 1 ? `binned ${lower}Y+` : `binned ${lower}-${bins[binIndex + 1] - 1}Y`);
+        }
+        
+        if (rules.length === 0) return 'unchanged';
+        dict['00101010'].Value = [age];
+        this.logVerbose(filename, '00101010', 'PatientAge', originalAge, 'AGE_RULE', `${age} (${rules.join(', ')})`);
+        return rules.join(', ');
+    }
+
+    /**
+     * Age string (AS) between two YYYYMMDD dates: days under a month,
+     * months under two years, otherwise years
+     */
+    calculateAge(birthDate, referenceDate) {
+        const parse = date => ({ year: +date.substr(0, 4), month: +date.substr(4, 2), day: +date.substr(6, 2) });
+        const birth = parse(birthDate);
+        const reference = parse(referenceDate);
+        const days = Math.round((Date.UTC(reference.year, reference.month - 1, reference.day) -
+            Date.UTC(birth.year, birth.month - 1, birth.day)) / 86400000);
+        if (days < 0) return null;
+        
+        let months = (reference.year - birth.year) * 12 + (reference.month - birth.month);
+        if (reference.day < birth.day) months--;
+        
+        if (months < 1) return `${String(days).padStart(3, '0')}D`;
+        if (months < 24) return `${String(months).padStart(3, '0')}M`;
+        return `${String(Math.min(999, Math.floor(months / 12))).padStart(3, '0')}Y`;
+    }
+
+    parseAgeYears(age) {
+        const match = /^(\d{3})([DWMY])$/.exec(String(age || '').trim());
+        if (!match) return null;
+        const perYear = { D: 365.25, W: 52.1775, M: 12, Y: 1 };
+        return parseInt(match[1], 10) / perYear[match[2]];
+    }
+
+    /**
+     * Black out the matched regions of native pixel data and log each one.
+     * Returns "rule @ x,y,width,height" descriptions for the audit.
+     */
+    redactPixelData(dict, matches, filename) {
+        if (matches.length === 0) return [];
+        const redacted = this.pixelRedactor.redact(dict, matches);
+        return redacted.map(({ rule, region }) => {
+            const area = `${region.x},${region.y},${region.width},${region.height}`;
+            this.logVerbose(filename, '7FE00010', 'PixelData', rule, 'REDACT_PIXELS', area);
+            return `${rule} @ ${area}`;
+        });
+    }
+
+    /**
+     * Record the profile and options in the dataset (PS3.15 E.1.1), and
+     * whether dates were shifted
+     */
+    recordDeidentificationMethod(dict, filename, datesShifted = false) {
+        const method = [...this.profile.getMethodDescription(), `Pseudonym scheme ${this.scrambler.pseudonymScheme}`];
+        dict['00120062'] = { vr: 'CS', Value: ['YES'] };
+        dict['00120063'] = { vr: 'LO', Value: method };
+        const codes = this.profile.getMethodCodes();
+        if (codes.length > 0) {
+            dict['00120064'] = {
+                vr: 'SQ',
+                Value: codes.map(code => ({
+                    '00080100': { vr: 'SH', Value: [code.value] },
+                    '00080102': { vr: 'SH', Value: ['DCM'] },
+                    '00080104': { vr: 'LO', Value: [code.meaning] }
+                }))
+            };
+        } else {
+            delete dict['00120064'];
+        }
+        dict['00280303'] = { vr: 'CS', Value: [this.profile.getLongitudinalTemporalInformationModified(datesShifted)] };
+        this.logVerbose(filename, '00120063', 'DeidentificationMethod', '', 'RECORD_PROFILE', method.join('\\'));
+    }
+
+    getTagValue(dict, tag) {
+        if (dict[tag] && dict[tag].Value && dict[tag].Value.length > 0) {
+            return dict[tag].Value[0];
+        }
+        return null;
+    }
+
+    getVRForTag(tag) {
+        // Map DICOM tags to their standard VR (Value Representation)
+        const tagVRMap = {
+            '00020003': 'UI', // Media Storage SOP Instance UID
+            '0020000D': 'UI', // Study Instance UID
+            '0020000E': 'UI', // Series Instance UID
+            '00080018': 'UI', // SOP Instance UID
+            '00080050': 'SH', // Accession Number
+            '00100010': 'PN', // Patient Name
+            '00100020': 'LO', // Patient ID
+            '00100030': 'DA', // Patient Birth Date
+            '00100040': 'CS', // Patient Sex
+            '00101010': 'AS', // Patient Age
+            '00080020': 'DA', // Study Date
+            '00080030': 'TM', // Study Time
+            '00080060': 'CS', // Modality
+            '00080070': 'LO', // Manufacturer
+            '00081030': 'LO', // Study Description
+            '0008103E': 'LO', // Series Description
+            '00200011': 'IS', // Series Number
+            '00200013': 'IS', // Instance Number
+            '00280010': 'US', // Rows
+            '00280011': 'US', // Columns
+            '00280100': 'US', // Bits Allocated
+            '00280101': 'US', // Bits Stored
+            '00280102': 'US', // High Bit
+            '00280103': 'US'  // Pixel Representation
+        };
+        
+        return tagVRMap[tag] || 'LO'; // Default to LO (Long String) if not found
+    }
+    
+    getVRMaxLength(vr) {
+        const vrLimits = {
+            'AE': 16, 'AS': 4, 'AT': 4, 'CS': 16, 'DA': 8, 'DS': 16, 'DT': 26,
+            'FL': 4, 'FD': 8, 'IS': 12, 'LO': 64, 'LT': 10240, 'OB': -1,
+            'OD': -1, 'OF': -1, 'OL': -1, 'OW': -1, 'PN': 64, 'SH': 16,
+            'SL': 4, 'SQ': -1, 'SS': 2, 'ST': 1024, 'TM': 16, 'UC': -1,
+            'UI': 64, 'UL': 4, 'UN': -1, 'UR': -1, 'US': 2, 'UT': -1
+        };
+        return vrLimits[vr] || 64;
+    }
+    
+    validateValueLength(valueArray, vr) {
+        if (!valueArray || !vr) return valueArray;
+        
+        return valueArray.map(value => {
+            // Handle different VR types properly
+            switch (vr) {
+                case 'US': // Unsigned Short (0-65535)
+                    if (typeof value === 'number') {
+                        return Math.min(Math.max(Math.floor(value), 0), 65535);
+                    } else if (typeof value === 'string') {
+                        const num = parseInt(value);
+                        return isNaN(num) ? 0 : Math.min(Math.max(num, 0), 65535);
+                    }
+                    return value;
+                    
+                case 'SS': // Signed Short (-32768 to 32767)
+                    if (typeof value === 'number') {
+                        return Math.min(Math.max(Math.floor(value), -32768), 32767);
+                    } else if (typeof value === 'string') {
+                        const num = parseInt(value);
+                        return isNaN(num) ? 0 : Math.min(Math.max(num, -32768), 32767);
+                    }
+                    return value;
+                    
+                case 'UL': // Unsigned Long (0-4294967295)
+                    if (typeof value === 'number') {
+                        return Math.min(Math.max(Math.floor(value), 0), 4294967295);
+                    } else if (typeof value === 'string') {
+                        const num = parseInt(value);
+                        return isNaN(num) ? 0 : Math.min(Math.max(num, 0), 4294967295);
+                    }
+                    return value;
+                    
+                case 'SL': // Signed Long (-2147483648 to 2147483647)
+                    if (typeof value === 'number') {
+                        return Math.min(Math.max(Math.floor(value), -2147483648), 2147483647);
+                    } else if (typeof value === 'string') {
+                        const num = parseInt(value);
+                        return isNaN(num) ? 0 : Math.min(Math.max(num, -2147483648), 2147483647);
+                    }
+                    return value;
+                    
+                case 'FL': // Float (32-bit)
+                case 'FD': // Double (64-bit)
+                    if (typeof value === 'string') {
+                        const num = parseFloat(value);
+                        return isNaN(num) ? 0.0 : num;
+                    }
+                    return value;
+                    
+                case 'DS': // Decimal String - max 16 characters
+                    if (typeof value === 'number') {
+                        let strValue = value.toString();
+                        // Handle scientific notation
+                        if (strValue.includes('e')) {
+                            const num = parseFloat(strValue);
+                            strValue = num.toFixed(6).replace(/\.?0+$/, ''); // Remove trailing zeros
+                        }
+                        return strValue.length > 16 ? strValue.substr(0, 16) : strValue;
+                    } else if (typeof value === 'string') {
+                        return value.length > 16 ? value.substr(0, 16) : value;
+                    }
+                    return value;
+                    
+                case 'IS': // Integer String - max 12 characters
+                    if (typeof value === 'number') {
+                        const strValue = Math.floor(value).toString();
+                        return strValue.length > 12 ? strValue.substr(0, 12) : strValue;
+                    } else if (typeof value === 'string') {
+                        return value.length > 12 ? value.substr(0, 12) : value;
+                    }
+                    return value;
+                    
+                // String VRs - apply character length limits
+                case 'AE': case 'AS': case 'CS': case 'DA': case 'DT': case 'LO': 
+                case 'LT': case 'PN': case 'SH': case 'ST': case 'TM': case 'UI':
+                    if (typeof value === 'string') {
+                        const maxLength = this.getVRMaxLength(vr);
+                        return maxLength > 0 && value.length > maxLength ? value.substr(0, maxLength) : value;
+                    }
+                    return value;
+                    
+                default:
+                    return value;
+            }
+        });
+    }
+}
+
+/**
+ * De-identify one DICOM file held in an ArrayBuffer
+ *
+ * Options: passphrase (required), filename, tagConfigurations (defaults to
+ * the profile's defaults), deidProfile ({ name, options }), allowedSOPClassUIDs,
+ * verboseMode, decompressMode, pixelRedactionRules, dateShift, patientAge,
+ * uidOptions, pseudonymScheme, uidRegistry (a UIDRegistry shared across
+ * calls to detect UID collisions), pseudonymLookup, pseudonymTemplates ({ patient,
+ * study, project }), pseudonymRegistry (a PseudonymRegistry shared across
+ * calls, required by {seq} templates), recordActions, codecs and codecsBaseUrl.
+ *
+ * Resolves to { buffer, audit, actions, errors, skipped }; see
+ * DicomProcessor.deidentify
+ */
+async function deidentify(arrayBuffer, options = {}) {
+    const processor = DicomProcessor.fromOptions(options);
+    return processor.deidentify(arrayBuffer, options.filename);
+}
+
+return { DicomProcessor, deidentify, DEFAULT_CODECS_BASE_URL };
+}));
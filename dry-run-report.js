@@ -0,0 +1,278 @@
+/**
+ * Dry-run report
+ * Summarises what de-identification would do to a dataset from the outcomes
+ * of DicomProcessor.deidentify, keeping none of the output. Each worker
+ * builds one per batch and the page or command line merges them.
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+// Report column each logged action is counted under; unlisted actions count as other
+const DRY_RUN_ACTION_CATEGORIES = {
+    UNCHANGED: 'kept',
+    KEEP_PRIVATE: 'kept',
+    DELETE: 'deleted',
+    SCRAMBLE_UID: 'scrambled',
+    SCRAMBLE_DATE: 'scrambled',
+    SCRAMBLE_TIME: 'scrambled',
+    SCRAMBLE_DATETIME: 'scrambled',
+    SCRAMBLE_TEXT: 'scrambled',
+    SCRAMBLE_FORMAT: 'scrambled',
+    FAKE_NAME: 'scrambled',
+    PSEUDONYM_TEMPLATE: 'scrambled',
+    DUMMY: 'scrambled',
+    CLEAN_TEXT: 'scrambled',
+    AGE_RULE: 'scrambled',
+    EMPTY: 'replaced',
+    REPLACE: 'replaced',
+    PSEUDONYM_LOOKUP: 'replaced',
+    ADD_MISSING: 'added',
+    SCRAMBLE_FROM_STUDY_UID: 'added',
+    RECORD_PROFILE: 'added'
+};
+const DRY_RUN_CATEGORIES = ['kept', 'deleted', 'scrambled', 'replaced', 'added', 'other'];
+
+// Distinct before/after samples kept per tag, and the characters kept of each
+const DRY_RUN_SAMPLES_PER_TAG = 3;
+const DRY_RUN_SAMPLE_MAX_LENGTH = 64;
+
+// Errors that leave a file out of the output because of the SOP Class UID filter
+const DRY_RUN_FILTER_ERRORS = ['SOPCLASSUID_FILTERED', 'MISSING_SOPCLASSUID'];
+
+/**
+ * Logged tag value as sample text: multiple values joined with \, person
+ * names as Alphabetic=Ideographic=Phonetic, binary data as its size
+ */
+function formatSampleValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+        return `[${value.byteLength} bytes]`;
+    }
+    if (Array.isArray(value)) {
+        return value.map(formatSampleValue).join('\\');
+    }
+    if (typeof value === 'object') {
+        if (['Alphabetic', 'Ideographic', 'Phonetic'].some(group => group in value)) {
+            return [value.Alphabetic, value.Ideographic, value.Phonetic].map(group => group || '').join('=').replace(/=+$/, '');
+        }
+        return JSON.stringify(value);
+    }
+    const text = String(value);
+    return text.length > DRY_RUN_SAMPLE_MAX_LENGTH ? text.slice(0, DRY_RUN_SAMPLE_MAX_LENGTH) + '...' : text;
+}
+
+class DryRunReport {
+    /**
+     * @param {Object} data - a report's toJSON(), or { includeSamples: false }
+     *   to leave original values out of the report
+     */
+    constructor(data = {}) {
+        this.includeSamples = data.includeSamples !== false;
+        this.files = data.files || 0;
+        this.written = data.written || 0;
+        this.skipped = data.skipped || 0;
+        // Tag path (item indexes dropped) -> { tag, name, files, actions, samples }
+        this.tags = new Map(Object.entries(data.tags || {}));
+        // SOP Class UID -> { included, excluded, skipped, failed } file counts
+        this.sopClasses = new Map(Object.entries(data.sopClasses || {}));
+        this.failures = data.failures ? [...data.failures] : [];
+    }
+
+    /**
+     * Count one file's outcome. outcome is DicomProcessor.deidentify's
+     * result, recorded with recordActions
+     */
+    addFile(filename, outcome) {
+        const filtered = outcome.errors.find(error => DRY_RUN_FILTER_ERRORS.includes(error.errorType));
+        const unreadable = outcome.errors.find(error => error.errorType === 'SOPCLASSUID_PARSE_ERROR');
+        const sopClassAction = outcome.actions.find(action => action.tag === '00080016');
+        const sopClassUID = (filtered ? filtered.sopClassUID : sopClassAction && sopClassAction.original) || '';
+
+        if (outcome.buffer) {
+            this.files++;
+            this.written++;
+            this.getSOPClass(sopClassUID).included++;
+        } else if (outcome.skipped && !unreadable) {
+            this.files++;
+            this.skipped++;
+            this.getSOPClass(sopClassUID)[filtered ? 'excluded' : 'skipped']++;
+        } else {
+            // Files the filter could not read are skipped by a real run, but
+            // are reported here because they will never be de-identified
+            const failure = unreadable || outcome.errors[outcome.errors.length - 1];
+            this.addFailure(filename, failure ? failure.errorMessage : 'Processing failed', sopClassUID);
+        }
+
+        const seen = new Set();
+        for (const action of outcome.actions) {
+            const key = action.tag.replace(/\[\d+\]/g, '[]');
+            let entry = this.tags.get(key);
+            if (!entry) {
+                entry = { tag: key, name: action.name, files: 0, actions: {}, samples: [] };
+                this.tags.set(key, entry);
+            }
+            if (!seen.has(key)) {
+                seen.add(key);
+                entry.files++;
+            }
+            entry.actions[action.action] = (entry.actions[action.action] || 0) + 1;
+            if (this.includeSamples) {
+                this.addSample(entry, { original: formatSampleValue(action.original), value: formatSampleValue(action.value) });
+            }
+        }
+    }
+
+    /**
+     * Count a file that could not be de-identified, e.g. one that threw
+     */
+    addFailure(filename, error, sopClassUID = '') {
+        this.files++;
+        this.failures.push({ filename, error });
+        this.getSOPClass(sopClassUID).failed++;
+    }
+
+    getSOPClass(sopClassUID) {
+        if (!this.sopClasses.has(sopClassUID)) {
+            this.sopClasses.set(sopClassUID, { included: 0, excluded: 0, skipped: 0, failed: 0 });
+        }
+        return this.sopClasses.get(sopClassUID);
+    }
+
+    addSample(entry, sample) {
+        if (entry.samples.length >= DRY_RUN_SAMPLES_PER_TAG) return;
+        if (entry.samples.some(existing => existing.original === sample.original)) return;
+        entry.samples.push(sample);
+    }
+
+    /**
+     * Add another report's counts, e.g. one posted by a worker
+     */
+    merge(data) {
+        const other = data instanceof DryRunReport ? data : new DryRunReport(data);
+        this.files += other.files;
+        this.written += other.written;
+        this.skipped += other.skipped;
+        this.failures.push(...other.failures);
+
+        for (const [uid, counts] of other.sopClasses) {
+            const sopClass = this.getSOPClass(uid);
+            for (const result of Object.keys(sopClass)) {
+                sopClass[result] += counts[result] || 0;
+            }
+        }
+        for (const [key, theirs] of other.tags) {
+            const ours = this.tags.get(key);
+            if (!ours) {
+                this.tags.set(key, { ...theirs, actions: { ...theirs.actions }, samples: this.includeSamples ? [...theirs.samples] : [] });
+                continue;
+            }
+            ours.files += theirs.files;
+            for (const [action, count] of Object.entries(theirs.actions)) {
+                ours.actions[action] = (ours.actions[action] || 0) + count;
+            }
+            if (this.includeSamples) {
+                theirs.samples.forEach(sample => this.addSample(ours, sample));
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Occurrences of each category's actions for a tag
+     */
+    countCategories(entry) {
+        const counts = Object.fromEntries(DRY_RUN_CATEGORIES.map(category => [category, 0]));
+        for (const [action, count] of Object.entries(entry.actions)) {
+            counts[DRY_RUN_ACTION_CATEGORIES[action] || 'other'] += count;
+        }
+        return counts;
+    }
+
+    /**
+     * One row per tag: files containing it, action counts and sample values
+     */
+    generateCSV() {
+        const headers = ['Tag', 'Name', 'Files', 'Kept', 'Deleted', 'Scrambled', 'Replaced', 'Added', 'Other', 'Actions', 'Sample Before', 'Sample After'];
+        let csv = headers.join(',') + '\n';
+        const entries = [...this.tags.values()].sort((a, b) => a.tag.localeCompare(b.tag));
+        for (const entry of entries) {
+            const counts = this.countCategories(entry);
+            const row = [
+                entry.tag,
+                this.escapeCSV(entry.name),
+                entry.files,
+                ...DRY_RUN_CATEGORIES.map(category => counts[category]),
+                this.escapeCSV(Object.entries(entry.actions).map(([action, count]) => `${action} ${count}`).join('; ')),
+                this.escapeCSV(entry.samples.map(sample => sample.original).join(' | ')),
+                this.escapeCSV(entry.samples.map(sample => sample.value).join(' | '))
+            ];
+            csv += row.join(',') + '\n';
+        }
+        return csv;
+    }
+
+    generateSummary() {
+        const totals = Object.fromEntries(DRY_RUN_CATEGORIES.map(category => [category, 0]));
+        for (const entry of this.tags.values()) {
+            const counts = this.countCategories(entry);
+            DRY_RUN_CATEGORIES.forEach(category => { totals[category] += counts[category]; });
+        }
+
+        let summary = 'Dry Run Summary (no files written)\n';
+        summary += '='.repeat(30) + '\n\n';
+        summary += `Files examined: ${this.files}\n`;
+        summary += `Would be written: ${this.written}\n`;
+        summary += `Skipped: ${this.skipped}\n`;
+        summary += `Predicted failures: ${this.failures.length}\n`;
+        summary += `Tag actions: ${DRY_RUN_CATEGORIES.map(category => `${totals[category]} ${category}`).join(', ')} across ${this.tags.size} tags\n`;
+
+        summary += '\nSOP classes:\n';
+        for (const [uid, counts] of [...this.sopClasses].sort(([a], [b]) => a.localeCompare(b))) {
+            const outcomes = Object.entries(counts)
+                .filter(([, count]) => count > 0)
+                .map(([result, count]) => `${count} ${result}`);
+            summary += `- ${uid || '(no SOP Class UID)'}: ${outcomes.join(', ')}\n`;
+        }
+
+        if (this.failures.length > 0) {
+            summary += '\nPredicted failures:\n';
+            this.failures.forEach(failure => {
+                summary += `- ${failure.filename}: ${failure.error}\n`;
+            });
+        }
+        if (!this.includeSamples) {
+            summary += '\nSample values are left out because the audit is encrypted.\n';
+        }
+        return summary;
+    }
+
+    toJSON() {
+        return {
+            includeSamples: this.includeSamples,
+            files: this.files,
+            written: this.written,
+            skipped: this.skipped,
+            tags: Object.fromEntries(this.tags),
+            sopClasses: Object.fromEntries(this.sopClasses),
+            failures: this.failures
+        };
+    }
+
+    escapeCSV(value) {
+        if (!value) return '';
+        value = value.toString();
+        if (value.includes(',') || value.includes('"') || value.includes('\n')) {
+            return '"' + value.replace(/"/g, '""') + '"';
+        }
+        return value;
+    }
+}
+
+return { DryRunReport, DRY_RUN_ACTION_CATEGORIES, formatSampleValue };
+}));
@@ -0,0 +1,217 @@
+/**
+ * Image preview of de-identified output
+ * Splits native pixel data into frames and renders a frame as RGBA through
+ * the modality rescale and a linear window, so reviewers can look for
+ * burned-in text. Compressed pixel data has to be decoded first, as the
+ * worker does on the processor's decompress path.
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+// Photometric interpretations the preview can render
+const PREVIEW_PHOTOMETRICS = ['MONOCHROME1', 'MONOCHROME2', 'RGB', 'YBR_FULL'];
+
+class ImagePreview {
+    /**
+     * @param {Object} data - what fromDataset returns, e.g. after a postMessage:
+     *   { rows, columns, frames (one ArrayBuffer each), bitsAllocated, bitsStored,
+     *   pixelRepresentation, samplesPerPixel, planarConfiguration, photometric,
+     *   rescaleSlope, rescaleIntercept, windows: [{ center, width, explanation }] }
+     */
+    constructor(data) {
+        this.rows = data.rows;
+        this.columns = data.columns;
+        this.frames = data.frames;
+        this.bitsAllocated = data.bitsAllocated;
+        this.bitsStored = data.bitsStored;
+        this.pixelRepresentation = data.pixelRepresentation;
+        this.samplesPerPixel = data.samplesPerPixel;
+        this.planarConfiguration = data.planarConfiguration;
+        this.photometric = data.photometric;
+        this.rescaleSlope = data.rescaleSlope;
+        this.rescaleIntercept = data.rescaleIntercept;
+        this.windows = data.windows;
+    }
+
+    /**
+     * Preview of a dataset with native pixel data, each frame copied into a
+     * buffer of its own so it can be transferred
+     */
+    static fromDataset(dict) {
+        const values = tag => ((dict[tag] && dict[tag].Value) || []);
+        const number = (tag, fallback) => {
+            const value = Number(values(tag)[0]);
+            return values(tag).length > 0 && Number.isFinite(value) ? value : fallback;
+        };
+
+        const pixelElement = dict['7FE00010'];
+        if (!pixelElement || !pixelElement.Value || pixelElement.Value.length === 0) {
+            throw new Error('The file has no pixel data');
+        }
+        const rows = number('00280010', 0);
+        const columns = number('00280011', 0);
+        const bitsAllocated = number('00280100', 0);
+        const samplesPerPixel = number('00280002', 1);
+        const photometric = String(values('00280004')[0] || 'MONOCHROME2').trim().toUpperCase();
+        const frameCount = number('00280008', 1);
+        if (!rows || !columns || ![8, 16, 32].includes(bitsAllocated)) {
+            throw new Error(`Preview does not support ${bitsAllocated}-bit pixel data`);
+        }
+        if (!PREVIEW_PHOTOMETRICS.includes(photometric)) {
+            throw new Error(`Preview does not support ${photometric} pixel data`);
+        }
+
+        const frameSize = rows * columns * samplesPerPixel * (bitsAllocated / 8);
+        const buffers = pixelElement.Value;
+        const frames = [];
+        for (let frame = 0; frame < frameCount; frame++) {
+            // Native pixel data is one buffer of contiguous frames, or one buffer per frame
+            const buffer = buffers.length > 1 ? buffers[frame] : buffers[0];
+            const offset = buffers.length > 1 ? 0 : frame * frameSize;
+            if (!buffer || offset + frameSize > buffer.byteLength) {
+                throw new Error(`Pixel data is shorter than ${frameCount} frame(s) of ${rows}x${columns}`);
+            }
+            frames.push(buffer.slice(offset, offset + frameSize));
+        }
+
+        const centers = values('00281050').map(Number);
+        const widths = values('00281051').map(Number);
+        const explanations = values('00281055');
+        const windows = centers
+            .map((center, i) => ({ center, width: widths[i] !== undefined ? widths[i] : widths[0], explanation: explanations[i] || '' }))
+            .filter(window => Number.isFinite(window.center) && window.width >= 1);
+
+        return new ImagePreview({
+            rows,
+            columns,
+            frames,
+            bitsAllocated,
+            bitsStored: number('00280101', bitsAllocated),
+            pixelRepresentation: number('00280103', 0),
+            samplesPerPixel,
+            planarConfiguration: number('00280006', 0),
+            photometric,
+            rescaleSlope: number('00281053', 1),
+            rescaleIntercept: number('00281052', 0),
+            windows
+        });
+    }
+
+    isColor() {
+        return this.samplesPerPixel === 3;
+    }
+
+    /**
+     * Raw sample words of a frame, still holding any bits above bitsStored
+     */
+    getSamples(frameIndex) {
+        const ArrayType = { 8: Uint8Array, 16: Uint16Array, 32: Uint32Array }[this.bitsAllocated];
+        return new ArrayType(this.frames[frameIndex]);
+    }
+
+    /**
+     * Function from a raw sample word to its modality value
+     */
+    getModalityValue() {
+        const bitsStored = this.bitsStored;
+        const mask = bitsStored >= 32 ? 0xFFFFFFFF : (2 ** bitsStored) - 1;
+        const signed = this.pixelRepresentation === 1;
+        const slope = this.rescaleSlope;
+        const intercept = this.rescaleIntercept;
+        return raw => {
+            let stored = (raw & mask) >>> 0;
+            if (signed && stored >= 2 ** (bitsStored - 1)) stored -= 2 ** bitsStored;
+            return stored * slope + intercept;
+        };
+    }
+
+    /**
+     * Window from the header, or one spanning the first frame's values
+     */
+    getDefaultWindow() {
+        if (this.windows.length > 0) return { center: this.windows[0].center, width: this.windows[0].width };
+        const { min, max } = this.getRange(0);
+        return { center: (min + max) / 2, width: Math.max(1, max - min + 1) };
+    }
+
+    getRange(frameIndex) {
+        const toModality = this.getModalityValue();
+        let min = Infinity;
+        let max = -Infinity;
+        for (const raw of this.getSamples(frameIndex)) {
+            const value = toModality(raw);
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+        return { min, max };
+    }
+
+    /**
+     * RGBA pixels of a frame, ready for ImageData. Grayscale goes through the
+     * linear window of PS3.3 C.11.2.1.2; color is shown as stored
+     */
+    render(frameIndex, center, width) {
+        const samples = this.getSamples(frameIndex);
+        const pixels = this.rows * this.columns;
+        const rgba = new Uint8ClampedArray(pixels * 4);
+
+        if (this.isColor()) {
+            const shift = Math.max(0, this.bitsStored - 8);
+            for (let pixel = 0; pixel < pixels; pixel++) {
+                const channel = sample => samples[this.planarConfiguration === 1 ? sample * pixels + pixel : pixel * 3 + sample] >>> shift;
+                const rgb = this.photometric === 'YBR_FULL'
+                    ? convertYBRFull(channel(0), channel(1), channel(2))
+                    : [channel(0), channel(1), channel(2)];
+                rgba.set(rgb, pixel * 4);
+                rgba[pixel * 4 + 3] = 255;
+            }
+            return rgba;
+        }
+
+        const toModality = this.getModalityValue();
+        const toDisplay = raw => {
+            const value = applyLinearWindow(toModality(raw), center, width);
+            return this.photometric === 'MONOCHROME1' ? 255 - value : value;
+        };
+        // Up to 16 bits, every possible sample word is looked up once
+        let lookup = null;
+        if (this.bitsAllocated <= 16) {
+            lookup = new Uint8ClampedArray(2 ** this.bitsAllocated);
+            for (let raw = 0; raw < lookup.length; raw++) lookup[raw] = toDisplay(raw);
+        }
+        for (let pixel = 0; pixel < pixels; pixel++) {
+            const value = lookup ? lookup[samples[pixel]] : toDisplay(samples[pixel]);
+            rgba[pixel * 4] = value;
+            rgba[pixel * 4 + 1] = value;
+            rgba[pixel * 4 + 2] = value;
+            rgba[pixel * 4 + 3] = 255;
+        }
+        return rgba;
+    }
+}
+
+/**
+ * Display value from 0 to 255 of a modality value under a linear window
+ */
+function applyLinearWindow(value, center, width) {
+    if (width <= 1) return value < center - 0.5 ? 0 : 255;
+    const display = ((value - (center - 0.5)) / (width - 1) + 0.5) * 255;
+    return Math.min(255, Math.max(0, display));
+}
+
+function convertYBRFull(y, cb, cr) {
+    return [
+        y + 1.402 * (cr - 128),
+        y - 0.344136 * (cb - 128) - 0.714136 * (cr - 128),
+        y + 1.772 * (cb - 128)
+    ];
+}
+
+return { ImagePreview };
+}));
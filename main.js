@@ -14,8 +14,35 @@ class DicomDeidentifier {
         this.auditTrails = [];
         this.errorLogs = [];
         this.verboseLog = '';
+        this.uidCollisions = 0;
+        // Digests of the whole run's new UIDs, to catch collisions between workers
+        this.uidRegistry = new UIDRegistry();
         this.completedWorkers = 0;
         this.decompressMode = false;
+        // Dry run: parse and report without writing output
+        this.dryRun = false;
+        this.dryRunReport = null;
+        // Tag inventory: list the tags of the input without de-identifying it
+        this.inventoryMode = false;
+        this.tagInventory = null;
+        // Before/after view of one file: a worker of its own, and the ZIP it reads from
+        this.inspectWorker = null;
+        this.inputZip = null;
+        // Image preview of the file: its frames, the frame shown, and the window,
+        // kept across files once the user sets one
+        this.preview = null;
+        this.previewFrameIndex = 0;
+        this.previewWindow = null;
+        this.windowAdjusted = false;
+
+        // Passphrase fingerprints: this run's, and a previous run's to check against
+        this.passphraseFingerprint = '';
+        this.previousFingerprint = null;
+
+        // Audit encryption: audit CSV and output.log go to a separate encrypted file
+        this.encryptAudit = false;
+        this.auditPassphrase = '';
+        this.encryptedAudit = null;
 
         // Memory management: max files per worker batch and max total in-flight
         this.BATCH_SIZE = 50;   // files per worker batch dispatch
@@ -29,7 +56,25 @@ class DicomDeidentifier {
         
         // Configuration variables
         this.currentPage = 'main';
+        this.deidProfile = { name: 'whitelist', options: {}, safePrivateAttributes: [] };
+        this.pixelRedactionRules = [];
+        this.dateShift = { ...DEFAULT_DATE_SHIFT };
+        this.patientAge = { mode: 'keep', capOver89: false, bins: [] };
+        this.uidOptions = { ...DEFAULT_UID_OPTIONS };
+        this.pseudonymScheme = DEFAULT_PSEUDONYM_SCHEME;
+        // { patients, accessions, unmatched } from the pseudonym lookup CSV
+        this.pseudonymLookup = null;
+        // { patient, study, project } template settings, null when no template is set
+        this.pseudonymTemplates = null;
+        // Registry data loaded from a previous run, and the registry of the current run
+        this.previousRegistry = null;
+        this.pseudonymRegistry = null;
         this.tagConfigurations = this.getDefaultTagConfigurations();
+
+        // Re-identification variables
+        this.reidDirectoryHandle = null;
+        this.reidResults = [];
+        this.reidentifier = null;
         
         this.initializeUI();
     }
@@ -37,12 +82,18 @@ class DicomDeidentifier {
     initializeUI() {
         // Get DOM elements
         this.passphraseInput = document.getElementById('passphrase');
+        this.previousRunInput = document.getElementById('previousRunInput');
+        this.passphraseCheck = document.getElementById('passphraseCheck');
         this.verboseModeInput = document.getElementById('verboseMode');
         this.verboseMode = false;
+        this.encryptAuditInput = document.getElementById('encryptAudit');
+        this.auditPassphraseInput = document.getElementById('auditPassphrase');
         this.uploadArea = document.getElementById('uploadArea');
         this.fileInput = document.getElementById('fileInput');
         this.processBtn = document.getElementById('processBtn');
         this.decompressBtn = document.getElementById('decompressBtn');
+        this.dryRunBtn = document.getElementById('dryRunBtn');
+        this.inventoryBtn = document.getElementById('inventoryBtn');
         this.progressSection = document.getElementById('progressSection');
         this.progressFill = document.getElementById('progressFill');
         this.progressText = document.getElementById('progressText');
@@ -51,6 +102,24 @@ class DicomDeidentifier {
         this.resultsSection = document.getElementById('resultsSection');
         this.resultsText = document.getElementById('resultsText');
         this.downloadBtn = document.getElementById('downloadBtn');
+        this.downloadAuditBtn = document.getElementById('downloadAuditBtn');
+        this.downloadReportBtn = document.getElementById('downloadReportBtn');
+        this.dryRunSummary = document.getElementById('dryRunSummary');
+        this.downloadInventoryBtn = document.getElementById('downloadInventoryBtn');
+        this.tagInventoryTable = document.getElementById('tagInventoryTable');
+        this.fileInspector = document.getElementById('fileInspector');
+        this.inspectFileSelect = document.getElementById('inspectFileSelect');
+        this.tagComparison = document.getElementById('tagComparison');
+        this.previousFileBtn = document.getElementById('previousFileBtn');
+        this.nextFileBtn = document.getElementById('nextFileBtn');
+        this.imagePreview = document.getElementById('imagePreview');
+        this.previewCanvas = document.getElementById('previewCanvas');
+        this.previewFrame = document.getElementById('previewFrame');
+        this.previewFrameLabel = document.getElementById('previewFrameLabel');
+        this.windowCenterInput = document.getElementById('windowCenter');
+        this.windowWidthInput = document.getElementById('windowWidth');
+        this.windowPreset = document.getElementById('windowPreset');
+        this.previewStatus = document.getElementById('previewStatus');
         this.errorSection = document.getElementById('errorSection');
         this.errorText = document.getElementById('errorText');
         this.resetBtn = document.getElementById('resetBtn');
@@ -71,12 +140,47 @@ class DicomDeidentifier {
         this.configPageBtn = document.getElementById('configPageBtn');
         this.mainPage = document.getElementById('mainPage');
         this.configPage = document.getElementById('configPage');
+        this.reidentifyPageBtn = document.getElementById('reidentifyPageBtn');
+        this.reidentifyPage = document.getElementById('reidentifyPage');
         
         // Configuration elements
         this.saveConfigBtn = document.getElementById('saveConfigBtn');
         this.loadConfigBtn = document.getElementById('loadConfigBtn');
         this.resetConfigBtn = document.getElementById('resetConfigBtn');
         this.tagConfigList = document.getElementById('tagConfigList');
+        this.deidProfileSelect = document.getElementById('deidProfileSelect');
+        this.profileOptions = document.getElementById('profileOptions');
+        this.longitudinalOption = document.getElementById('longitudinalOption');
+        this.safePrivateList = document.getElementById('safePrivateList');
+        this.loadVendorPrivateBtn = document.getElementById('loadVendorPrivateBtn');
+        this.pixelRedactionList = document.getElementById('pixelRedactionList');
+        this.dateShiftOptions = document.getElementById('dateShiftOptions');
+        this.patientAgeOptions = document.getElementById('patientAgeOptions');
+        this.uidOptionsSection = document.getElementById('uidOptions');
+        this.pseudonymSchemeSelect = document.getElementById('pseudonymScheme');
+        this.pseudonymLookupInput = document.getElementById('pseudonymLookupInput');
+        this.pseudonymLookupUnmatched = document.getElementById('pseudonymLookupUnmatched');
+        this.pseudonymLookupStatus = document.getElementById('pseudonymLookupStatus');
+        this.pseudonymTemplateOptions = document.getElementById('pseudonymTemplateOptions');
+        this.patientPseudonymTemplate = document.getElementById('patientPseudonymTemplate');
+        this.studyPseudonymTemplate = document.getElementById('studyPseudonymTemplate');
+        this.pseudonymProject = document.getElementById('pseudonymProject');
+        this.pseudonymRegistryInput = document.getElementById('pseudonymRegistryInput');
+        this.pseudonymTemplateStatus = document.getElementById('pseudonymTemplateStatus');
+
+        // Re-identification elements
+        this.reidAuditInput = document.getElementById('reidAuditInput');
+        this.reidPassphrase = document.getElementById('reidPassphrase');
+        this.reidAuditPassphrase = document.getElementById('reidAuditPassphrase');
+        this.reidDecryptBtn = document.getElementById('reidDecryptBtn');
+        this.reidFileInput = document.getElementById('reidFileInput');
+        this.reidFolderBtn = document.getElementById('reidFolderBtn');
+        this.reidFolderPath = document.getElementById('reidFolderPath');
+        this.reidPseudonyms = document.getElementById('reidPseudonyms');
+        this.reidRunBtn = document.getElementById('reidRunBtn');
+        this.reidExportBtn = document.getElementById('reidExportBtn');
+        this.reidStatus = document.getElementById('reidStatus');
+        this.reidResultsContainer = document.getElementById('reidResults');
 
         // Disclaimer modal elements
         this.disclaimerModal = document.getElementById('disclaimerModal');
@@ -103,10 +207,31 @@ class DicomDeidentifier {
             this.updateProcessButton();
         });
 
+        // Passphrase fingerprint check, once typing is done
+        this.passphraseInput.addEventListener('change', () => {
+            this.checkPassphraseFingerprint();
+        });
+
+        this.previousRunInput.addEventListener('change', () => {
+            this.loadPreviousFingerprint(this.previousRunInput.files[0]);
+        });
+
         // Verbose mode checkbox
         this.verboseModeInput.addEventListener('change', () => {
             this.verboseMode = this.verboseModeInput.checked;
         });
+
+        // Audit encryption
+        this.encryptAuditInput.addEventListener('change', () => {
+            this.encryptAudit = this.encryptAuditInput.checked;
+            this.auditPassphraseInput.style.display = this.encryptAudit ? 'block' : 'none';
+            this.updateProcessButton();
+        });
+
+        this.auditPassphraseInput.addEventListener('input', () => {
+            this.auditPassphrase = this.auditPassphraseInput.value;
+            this.updateProcessButton();
+        });
         
         // File upload events
         this.uploadArea.addEventListener('click', () => {
@@ -142,10 +267,26 @@ class DicomDeidentifier {
         // Process button
         this.processBtn.addEventListener('click', () => {
             this.decompressMode = false;
+            this.dryRun = false;
+            this.inventoryMode = false;
             this.processFiles();
         });
         this.decompressBtn.addEventListener('click', () => {
             this.decompressMode = true;
+            this.dryRun = false;
+            this.inventoryMode = false;
+            this.processFiles();
+        });
+        this.dryRunBtn.addEventListener('click', () => {
+            this.decompressMode = false;
+            this.dryRun = true;
+            this.inventoryMode = false;
+            this.processFiles();
+        });
+        this.inventoryBtn.addEventListener('click', () => {
+            this.decompressMode = false;
+            this.dryRun = false;
+            this.inventoryMode = true;
             this.processFiles();
         });
         
@@ -153,6 +294,34 @@ class DicomDeidentifier {
         this.downloadBtn.addEventListener('click', () => {
             this.downloadResults();
         });
+
+        this.downloadAuditBtn.addEventListener('click', () => {
+            this.downloadEncryptedAudit();
+        });
+
+        this.downloadReportBtn.addEventListener('click', () => {
+            this.downloadDryRunReport();
+        });
+
+        this.downloadInventoryBtn.addEventListener('click', () => {
+            this.downloadTagInventory();
+        });
+
+        // The image goes first, so paging through a series shows it soonest
+        this.inspectFileSelect.addEventListener('change', () => {
+            this.previewResultFile(this.inspectFileSelect.value);
+            this.inspectResultFile(this.inspectFileSelect.value);
+        });
+
+        this.previousFileBtn.addEventListener('click', () => {
+            this.stepInspectedFile(-1);
+        });
+
+        this.nextFileBtn.addEventListener('click', () => {
+            this.stepInspectedFile(1);
+        });
+
+        this.bindPreviewEvents();
         
         // Reset button
         this.resetBtn.addEventListener('click', () => {
@@ -214,6 +383,32 @@ class DicomDeidentifier {
         this.configPageBtn.addEventListener('click', () => {
             this.showConfigPage();
         });
+
+        this.reidentifyPageBtn.addEventListener('click', () => {
+            this.showReidentifyPage();
+        });
+
+        // Re-identification events
+        if (!this.fileSystemSupported) {
+            this.reidFolderBtn.disabled = true;
+            this.reidFolderBtn.title = 'File System Access API not supported in this browser';
+        }
+
+        this.reidFolderBtn.addEventListener('click', () => {
+            this.selectReidentifyDirectory();
+        });
+
+        this.reidRunBtn.addEventListener('click', () => {
+            this.runReidentification();
+        });
+
+        this.reidExportBtn.addEventListener('click', () => {
+            this.exportReidentification();
+        });
+
+        this.reidDecryptBtn.addEventListener('click', () => {
+            this.downloadDecryptedAudit();
+        });
         
         // Configuration events
         this.saveConfigBtn.addEventListener('click', () => {
@@ -228,6 +423,89 @@ class DicomDeidentifier {
             this.resetConfiguration();
         });
 
+        if (this.deidProfileSelect) {
+            this.deidProfileSelect.addEventListener('change', () => {
+                this.updateDeidProfile();
+            });
+        }
+
+        if (this.profileOptions) {
+            this.profileOptions.addEventListener('change', () => {
+                this.updateDeidProfile();
+            });
+        }
+
+        if (this.safePrivateList) {
+            this.safePrivateList.addEventListener('change', () => {
+                this.updateSafePrivateAttributes();
+            });
+        }
+
+        if (this.dateShiftOptions) {
+            this.renderDateShiftOptions();
+            this.dateShiftOptions.addEventListener('change', () => {
+                this.updateDateShift();
+            });
+        }
+
+        if (this.patientAgeOptions) {
+            this.patientAgeOptions.addEventListener('change', () => {
+                this.updatePatientAge();
+            });
+        }
+
+        if (this.uidOptionsSection) {
+            this.uidOptionsSection.addEventListener('change', () => {
+                this.updateUIDOptions();
+            });
+        }
+
+        if (this.pseudonymSchemeSelect) {
+            this.pseudonymSchemeSelect.addEventListener('change', () => {
+                this.pseudonymScheme = this.pseudonymSchemeSelect.value;
+            });
+        }
+
+        if (this.pseudonymLookupInput) {
+            this.pseudonymLookupInput.addEventListener('change', (e) => {
+                this.loadPseudonymLookup(e.target.files[0]);
+            });
+            this.pseudonymLookupUnmatched.addEventListener('change', () => {
+                if (this.pseudonymLookup) {
+                    this.pseudonymLookup.unmatched = this.pseudonymLookupUnmatched.value;
+                    this.showPseudonymLookupStatus();
+                }
+            });
+        }
+
+        if (this.pseudonymTemplateOptions) {
+            this.pseudonymTemplateOptions.addEventListener('input', () => {
+                this.updatePseudonymTemplates();
+            });
+            this.pseudonymRegistryInput.addEventListener('change', (e) => {
+                this.loadPseudonymRegistry(e.target.files[0]);
+            });
+        }
+
+        if (this.pixelRedactionList) {
+            this.pixelRedactionList.addEventListener('change', () => {
+                try {
+                    this.pixelRedactionRules = parsePixelRedactionRules(this.pixelRedactionList.value);
+                } catch (error) {
+                    alert('Error in pixel redaction rules: ' + error.message);
+                }
+            });
+        }
+
+        if (this.loadVendorPrivateBtn) {
+            this.loadVendorPrivateBtn.addEventListener('click', () => {
+                const current = this.safePrivateList.value.trim();
+                const vendor = formatSafePrivateAttributes(VENDOR_SAFE_PRIVATE_ATTRIBUTES);
+                this.safePrivateList.value = current ? `${current}\n${vendor}` : vendor;
+                this.updateSafePrivateAttributes();
+            });
+        }
+
         if (this.disclaimerCheckbox) {
             this.disclaimerCheckbox.addEventListener('change', () => {
                 const isChecked = this.disclaimerCheckbox.checked;
@@ -286,17 +564,181 @@ class DicomDeidentifier {
         this.updateProcessButton();
     }
     
+    /**
+     * First passphrase fingerprint in an audit CSV, output.log or fingerprint file
+     */
+    findPassphraseFingerprint(text) {
+        const match = PASSPHRASE_FINGERPRINT_PATTERN.exec(text || '');
+        return match ? match[0] : null;
+    }
+
+    async loadPreviousFingerprint(file) {
+        this.previousFingerprint = null;
+        this.passphraseCheck.className = 'passphrase-check';
+        this.passphraseCheck.textContent = '';
+        if (!file) return;
+
+        this.previousFingerprint = this.findPassphraseFingerprint(await file.text());
+        if (!this.previousFingerprint) {
+            this.passphraseCheck.className = 'passphrase-check mismatch';
+            this.passphraseCheck.textContent = `No passphrase fingerprint found in ${file.name}.`;
+            return;
+        }
+        await this.checkPassphraseFingerprint();
+    }
+
+    async loadPseudonymLookup(file) {
+        this.pseudonymLookup = null;
+        this.pseudonymLookupStatus.className = 'pseudonym-lookup-status';
+        this.pseudonymLookupStatus.textContent = '';
+        if (!file) return;
+
+        try {
+            const table = parsePseudonymLookup(parseCSV(await file.text()));
+            this.pseudonymLookup = { ...table, unmatched: this.pseudonymLookupUnmatched.value };
+            this.showPseudonymLookupStatus();
+        } catch (error) {
+            this.pseudonymLookupStatus.className = 'pseudonym-lookup-status invalid';
+            this.pseudonymLookupStatus.textContent = `${file.name}: ${error.message}`;
+        }
+    }
+
+    showPseudonymLookupStatus() {
+        const lookup = new PseudonymLookup(this.pseudonymLookup, this.pseudonymLookup.unmatched);
+        this.pseudonymLookupStatus.className = 'pseudonym-lookup-status loaded';
+        this.pseudonymLookupStatus.textContent = `Loaded ${lookup.describe()}.`;
+    }
+
+    updatePseudonymTemplates() {
+        const settings = {
+            patient: this.patientPseudonymTemplate.value.trim(),
+            study: this.studyPseudonymTemplate.value.trim(),
+            project: this.pseudonymProject.value.trim()
+        };
+        this.pseudonymTemplates = settings.patient || settings.study ? settings : null;
+        this.showPseudonymTemplateStatus();
+    }
+
+    async loadPseudonymRegistry(file) {
+        this.previousRegistry = null;
+        if (file) {
+            try {
+                this.previousRegistry = PseudonymRegistry.fromJSON(await file.text()).toJSON();
+            } catch (error) {
+                this.pseudonymTemplateStatus.className = 'pseudonym-lookup-status invalid';
+                this.pseudonymTemplateStatus.textContent = `${file.name}: ${error.message}`;
+                return;
+            }
+        }
+        this.showPseudonymTemplateStatus();
+    }
+
+    showPseudonymTemplateStatus() {
+        this.pseudonymTemplateStatus.className = 'pseudonym-lookup-status';
+        this.pseudonymTemplateStatus.textContent = '';
+        try {
+            if (this.pseudonymTemplates) createPseudonymTemplates(this.pseudonymTemplates);
+        } catch (error) {
+            this.pseudonymTemplateStatus.className = 'pseudonym-lookup-status invalid';
+            this.pseudonymTemplateStatus.textContent = error.message;
+            return;
+        }
+        if (this.previousRegistry) {
+            this.pseudonymTemplateStatus.className = 'pseudonym-lookup-status loaded';
+            this.pseudonymTemplateStatus.textContent = `Loaded registry of ${new PseudonymRegistry(this.previousRegistry).describe()}; numbering continues from it.`;
+        }
+    }
+
+    /**
+     * Validate the pseudonym templates and start this run's registry from the
+     * previous one, which only matches subjects under the same passphrase.
+     * Returns false, after showing why, when processing cannot start.
+     */
+    async preparePseudonymRegistry() {
+        this.pseudonymRegistry = null;
+        if (!this.pseudonymTemplates) return true;
+
+        try {
+            createPseudonymTemplates(this.pseudonymTemplates);
+        } catch (error) {
+            this.showError('Pseudonym template: ' + error.message);
+            return false;
+        }
+        const registry = new PseudonymRegistry(this.previousRegistry || {});
+        if (registry.passphraseFingerprint
+            && !(await DicomScrambler.verifyPassphraseFingerprint(this.passphrase, registry.passphraseFingerprint))) {
+            this.showError('The pseudonym registry was saved with a different passphrase, so its sequence numbers cannot be matched to patients or studies. Use the same passphrase or process without the registry.');
+            return false;
+        }
+        registry.passphraseFingerprint = this.passphraseFingerprint;
+        this.pseudonymRegistry = registry;
+        return true;
+    }
+
+    /**
+     * Answer a worker's request for a subject's sequence number from the
+     * registry shared by all workers
+     */
+    answerSequenceRequest(worker, { requestId, kind, key }) {
+        worker.postMessage({ type: 'SEQUENCE_ASSIGNED', requestId, sequence: this.pseudonymRegistry.assign(kind, key) });
+    }
+
+    /**
+     * Why files were skipped, for the summaries
+     */
+    describeSkippedFiles() {
+        return this.pseudonymLookup && this.pseudonymLookup.unmatched === 'skip'
+            ? 'SOPClassUID filter or no pseudonym lookup entry'
+            : 'SOPClassUID filter';
+    }
+
+    /**
+     * Compare the passphrase with the previous run's fingerprint and show the
+     * result. Returns false only on a mismatch.
+     */
+    async checkPassphraseFingerprint() {
+        if (!this.previousFingerprint || !this.passphrase) return true;
+
+        const matches = await DicomScrambler.verifyPassphraseFingerprint(this.passphrase, this.previousFingerprint);
+        this.passphraseCheck.className = `passphrase-check ${matches ? 'match' : 'mismatch'}`;
+        this.passphraseCheck.textContent = matches
+            ? 'Passphrase matches the previous run.'
+            : 'Passphrase does NOT match the previous run: pseudonyms will not be consistent with it.';
+        return matches;
+    }
+
+    /**
+     * Before processing, let the user stop on a passphrase mismatch
+     */
+    async confirmPassphraseFingerprint() {
+        if (await this.checkPassphraseFingerprint()) return true;
+        return confirm('The passphrase does not match the previous run\'s fingerprint. Pseudonyms, UIDs and dates will not line up with that run. Process anyway?');
+    }
+
     updateProcessButton() {
         let canProcess = false;
+        // A dry run writes nothing, so needs neither an output folder nor an audit passphrase
+        let canDryRun = false;
+        // An inventory only reads the input, so needs no passphrase either
+        let canInventory = false;
         
         if (this.processingMode === 'zip') {
             canProcess = this.uploadedFile && this.passphrase.length > 0;
+            canDryRun = canProcess;
+            canInventory = !!this.uploadedFile;
         } else if (this.processingMode === 'folder') {
             canProcess = this.inputDirectoryHandle && this.outputDirectoryHandle && this.passphrase.length > 0;
+            canDryRun = this.inputDirectoryHandle && this.passphrase.length > 0;
+            canInventory = !!this.inputDirectoryHandle;
+        }
+        if (this.encryptAudit && this.auditPassphrase.length === 0) {
+            canProcess = false;
         }
         
         this.processBtn.disabled = !canProcess;
         this.decompressBtn.disabled = !canProcess;
+        this.dryRunBtn.disabled = !canDryRun;
+        this.inventoryBtn.disabled = !canInventory;
     }
     
     switchToMode(mode) {
@@ -393,6 +835,17 @@ class DicomDeidentifier {
 
     async processFiles() {
         try {
+            // An inventory de-identifies nothing, so the passphrase plays no part
+            if (!this.inventoryMode) {
+                if (!(await this.confirmPassphraseFingerprint())) {
+                    return;
+                }
+                this.passphraseFingerprint = await DicomScrambler.createPassphraseFingerprint(this.passphrase);
+                if (!(await this.preparePseudonymRegistry())) {
+                    return;
+                }
+            }
+
             this.aborted = false;
             this.showProgress();
             if (this.cancelBtn) {
@@ -403,7 +856,7 @@ class DicomDeidentifier {
             
             // Get selected SOPClassUIDs
             const allowedSOPClassUIDs = this.getSelectedSOPClassUIDs();
-            if (allowedSOPClassUIDs.length === 0) {
+            if (allowedSOPClassUIDs.length === 0 && !this.inventoryMode) {
                 this.showError('Please select at least one DICOM type to include in the processing.');
                 return;
             }
@@ -434,6 +887,12 @@ class DicomDeidentifier {
             this.errorLogs = [];
             this.completedWorkers = 0;
             this.skippedFiles = 0;
+            this.uidCollisions = 0;
+            this.uidRegistry = new UIDRegistry();
+            this.encryptedAudit = null;
+            this.dryRunReport = this.dryRun ? new DryRunReport(this.getDryRunOptions()) : null;
+            this.tagInventory = this.inventoryMode ? new TagInventory(this.getInventoryOptions()) : null;
+            this.inputZip = null;
             this.allowedSOPClassUIDs = allowedSOPClassUIDs;
             
             // Initialize workers (only create as many as we have files)
@@ -622,7 +1081,17 @@ class DicomDeidentifier {
                         allowedSOPClassUIDs: this.allowedSOPClassUIDs,
                         tagConfigurations: this.tagConfigurations,
                         verboseMode: this.verboseMode,
-                    decompressMode: this.decompressMode
+                    decompressMode: this.decompressMode,
+                        deidProfile: this.deidProfile,
+                        pixelRedactionRules: this.pixelRedactionRules,
+                        dateShift: this.dateShift,
+                        patientAge: this.patientAge,
+                        uidOptions: this.uidOptions,
+                        pseudonymScheme: this.pseudonymScheme,
+                        pseudonymLookup: this.pseudonymLookup,
+                        pseudonymTemplates: this.pseudonymTemplates,
+                        dryRun: this.getDryRunOptions(),
+                        inventoryMode: this.getInventoryOptions()
                     }
                 }, transferables);
             }
@@ -638,6 +1107,11 @@ class DicomDeidentifier {
         // sends one PROGRESS message per file (which would increment
         // processedFiles via updateProgress()) plus one COMPLETE per batch
         // (which handleWorkerComplete would mishandle).
+        if (event.data.type === 'ASSIGN_SEQUENCE') {
+            // Answered in every mode: the folder mode handlers ignore it
+            this.answerSequenceRequest(this.workers[workerId], event.data);
+            return;
+        }
         if (this.processingMode === 'folder') return;
 
         const { type } = event.data;
@@ -654,6 +1128,19 @@ class DicomDeidentifier {
         this.showError(`Processing error in worker ${workerId}: ${error.message}`);
     }
     
+    /**
+     * Check a worker chunk's new UIDs against the rest of the run's, as each
+     * worker only sees collisions among its own files
+     */
+    checkUIDMappings(uidMappings) {
+        if (!uidMappings) return;
+        const collisions = this.uidRegistry.merge(uidMappings);
+        if (collisions.length > 0) {
+            this.uidCollisions += collisions.length;
+            this.errorLogs.push(generateUIDCollisionLog(collisions));
+        }
+    }
+
     handleWorkerComplete(data, workerId) {
         // In folder mode, processWithWorkersQueue manages COMPLETE messages directly
         // via per-batch addEventListener handlers. Handling them here too causes
@@ -678,6 +1165,16 @@ class DicomDeidentifier {
         if (data.skippedFiles) {
             this.skippedFiles += data.skippedFiles;
         }
+        if (data.uidCollisions) {
+            this.uidCollisions += data.uidCollisions;
+        }
+        this.checkUIDMappings(data.uidMappings);
+        if (data.dryRunReport) {
+            this.dryRunReport.merge(data.dryRunReport);
+        }
+        if (data.tagInventory) {
+            this.tagInventory.merge(data.tagInventory);
+        }
         
         this.completedWorkers++;
         
@@ -713,6 +1210,16 @@ class DicomDeidentifier {
     }
     
     async onProcessingComplete() {
+        if (this.dryRun) {
+            this.terminateWorkers();
+            this.showDryRunResults();
+            return;
+        }
+        if (this.inventoryMode) {
+            this.terminateWorkers();
+            this.showTagInventory();
+            return;
+        }
         try {
             // Create output ZIP
             const outputZip = await this.createOutputZip();
@@ -736,18 +1243,46 @@ class DicomDeidentifier {
             zip.file(result.filename, result.data);
         });
         
-        // Generate and add CSV audit trail
+        // Generate and add CSV audit trail and output.log, or encrypt them
+        // into a separate artifact so originals never travel with the images
         const csv = this.generateMasterCSV();
-        zip.file('deidentification_audit.csv', csv);
+        const logContent = this.generateOutputLog();
+        if (this.encryptAudit) {
+            this.encryptedAudit = await this.createEncryptedAudit(csv, logContent);
+        } else {
+            zip.file('deidentification_audit.csv', csv);
+            zip.file('output.log', logContent);
+        }
+        // The registry holds keyed hashes only, so it travels with the images
+        if (this.pseudonymRegistry) {
+            zip.file(PSEUDONYM_REGISTRY_FILENAME, JSON.stringify(this.pseudonymRegistry, null, 2));
+        }
         
-        // Always generate and add output.log
+        return await zip.generateAsync({
+            type: 'blob',
+            compression: 'DEFLATE',
+            compressionOptions: { level: 6 },
+            streamFiles: true
+        });
+    }
+    
+    generateMasterCSV() {
+        // Combine all audit trails - include ALL entries (one per DICOM file)
+        return generateAuditCSV(this.auditTrails.flat(), this.passphraseFingerprint);
+    }
+    
+    /**
+     * Error log or processing summary, profile summary and, in verbose mode,
+     * the detailed tag log
+     */
+    generateOutputLog() {
         let logContent = this.generateMasterErrorLog();
         if (!logContent) {
             // Create a summary log even if no detailed errors
             logContent = 'DICOM Processing Summary\n';
             logContent += '=' .repeat(30) + '\n\n';
             if (this.skippedFiles > 0) {
-                logContent += `${this.skippedFiles} files were skipped due to SOPClassUID filtering.\n`;
+                logContent += `${this.skippedFiles} files were skipped (${this.describeSkippedFiles()}).\n`;
             }
             const failedFiles = this.results.filter(r => !r.success);
             if (failedFiles.length > 0) {
@@ -758,62 +1293,76 @@ class DicomDeidentifier {
             }
         }
         
+        logContent += '\n\n' + this.generateProfileSummary();
+
         if (this.verboseMode && this.verboseLog.length > 0) {
             logContent += '\n\nDetailed Tag Processing Log\n';
             logContent += '='.repeat(40) + '\n';
             logContent += this.verboseLog;
         }
 
+        return logContent;
+    }
+
+    /**
+     * ZIP of the audit CSV and output.log, encrypted with the audit passphrase
+     */
+    async createEncryptedAudit(csv, logContent) {
+        const zip = new JSZip();
+        zip.file('deidentification_audit.csv', csv);
         zip.file('output.log', logContent);
-        
-        return await zip.generateAsync({
-            type: 'blob',
-            compression: 'DEFLATE',
-            compressionOptions: { level: 6 },
-            streamFiles: true
-        });
+        const data = await zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+        return new Blob([await encryptAuditArtifact(data, this.auditPassphrase)], { type: 'application/octet-stream' });
     }
-    
-    generateMasterCSV() {
-        const headers = [
-            'Filename',
-            'Original Study Instance UID',
-            'Scrambled Study Instance UID',
-            'Original Accession',
-            'Scrambled Accession',
-            'Original Patient ID',
-            'Scrambled Patient ID'
-        ];
-        
-        let csv = headers.join(',') + '\n';
-        
-        // Combine all audit trails - include ALL entries (one per DICOM file)
-        const allEntries = this.auditTrails.flat();
-        
-        // Add all entries (do not remove duplicates - each file should have a row)
-        for (const entry of allEntries) {
-            const row = [
-                this.escapeCSV(entry.filename),
-                this.escapeCSV(entry.originalStudyUID),
-                this.escapeCSV(entry.scrambledStudyUID),
-                this.escapeCSV(entry.originalAccession),
-                this.escapeCSV(entry.scrambledAccession),
-                this.escapeCSV(entry.originalPatientID),
-                this.escapeCSV(entry.scrambledPatientID)
-            ];
-            csv += row.join(',') + '\n';
+
+    generateProfileSummary() {
+        const profile = new DeidentificationProfile(this.deidProfile.name, this.deidProfile.options, this.deidProfile.safePrivateAttributes);
+        const [label, ...options] = profile.getMethodDescription();
+
+        let summary = 'De-identification Profile\n';
+        summary += '='.repeat(30) + '\n';
+        summary += `Profile: ${label}\n`;
+        summary += `Options: ${options.length > 0 ? options.join(', ') : 'None'}\n`;
+        const scrambler = new DicomScrambler('', this.dateShift, this.uidOptions, this.pseudonymScheme);
+        summary += `Pseudonyms: ${scrambler.describePseudonymScheme()}\n`;
+        if (this.pseudonymLookup) {
+            summary += `Pseudonym lookup table: ${new PseudonymLookup(this.pseudonymLookup, this.pseudonymLookup.unmatched).describe()}\n`;
         }
-        
-        return csv;
-    }
-    
-    escapeCSV(value) {
-        if (!value) return '';
-        value = value.toString();
-        if (value.includes(',') || value.includes('"') || value.includes('\n')) {
-            return '"' + value.replace(/"/g, '""') + '"';
+        if (this.pseudonymRegistry) {
+            summary += `Pseudonym templates: ${describePseudonymTemplates(this.pseudonymTemplates)}; registry: ${this.pseudonymRegistry.describe()}\n`;
         }
-        return value;
+        summary += `Passphrase fingerprint: ${this.passphraseFingerprint}\n`;
+        summary += `Date shift: ${scrambler.describeDateShift()}\n`;
+        summary += `Patient age: ${describePatientAge(this.patientAge)}\n`;
+        summary += `UIDs: ${scrambler.describeUIDOptions()}`;
+        summary += this.uidCollisions > 0 ? ` - ${this.uidCollisions} collisions detected\n` : ' - no collisions detected\n';
+
+        // Tag configuration actions that replace the profile action
+        const overrides = Object.entries(this.tagConfigurations)
+            .filter(([, config]) => config.ifPresent && config.ifPresent !== 'profile');
+        if (overrides.length > 0) {
+            summary += 'Tag configuration overrides (if present):\n';
+            overrides.forEach(([tag, config]) => {
+                summary += `- ${tag} (${config.description}): ${config.ifPresent}\n`;
+            });
+        }
+
+        if (this.pixelRedactionRules.length > 0) {
+            summary += 'Pixel redaction rules:\n';
+            this.pixelRedactionRules.forEach(rule => {
+                const regions = rule.regions.map(r => `${r.x},${r.y},${r.width},${r.height}`).join(' ');
+                summary += `- ${rule.source}: ${regions}\n`;
+            });
+        }
+
+        if (profile.hasSafePrivateAttributes()) {
+            summary += 'Safe private attributes (retained):\n';
+            this.deidProfile.safePrivateAttributes.forEach(entry => {
+                summary += `- (${entry.group},00xx) ${entry.creator}: ${entry.elements.join(' ')}\n`;
+            });
+        }
+
+        return summary;
     }
 
     generateMasterErrorLog() {
@@ -839,6 +1388,12 @@ class DicomDeidentifier {
     showProgress() {
         this.hideAllSections();
         this.progressSection.style.display = 'block';
+        this.downloadBtn.style.display = '';
+        this.downloadReportBtn.style.display = 'none';
+        this.dryRunSummary.style.display = 'none';
+        this.downloadInventoryBtn.style.display = 'none';
+        this.tagInventoryTable.style.display = 'none';
+        this.fileInspector.style.display = 'none';
     }
     
     showResults(zipBlob) {
@@ -853,42 +1408,536 @@ class DicomDeidentifier {
             resultMessage += ` ${failedCount} files failed to process.`;
         }
         if (this.skippedFiles > 0) {
-            resultMessage += ` ${this.skippedFiles} files skipped due to SOPClassUID filtering.`;
+            resultMessage += ` ${this.skippedFiles} files skipped (${this.describeSkippedFiles()}).`;
         }
-        resultMessage += ` ZIP includes CSV audit trail and processing log.`;
+        if (this.uidCollisions > 0) {
+            resultMessage += ` WARNING: ${this.uidCollisions} UID collisions detected, see output.log.`;
+        }
+        resultMessage += this.encryptAudit
+            ? ` The CSV audit trail and processing log are encrypted in a separate file.`
+            : ` ZIP includes CSV audit trail and processing log.`;
         
         this.resultsText.textContent = resultMessage;
+        this.downloadAuditBtn.style.display = this.encryptedAudit ? 'flex' : 'none';
+        this.showFileInspector();
         
         // Store ZIP for download
         this.outputZip = zipBlob;
     }
     
-    showError(message) {
+    /**
+     * Report options sent to the workers: false, or { includeSamples }.
+     * Sample values are original PHI, so they stay out when the audit is encrypted
+     */
+    getDryRunOptions() {
+        return this.dryRun ? { includeSamples: !this.encryptAudit } : false;
+    }
+
+    showDryRunResults() {
+        if (this.cancelBtn) this.cancelBtn.style.display = 'none';
         this.hideAllSections();
-        this.errorSection.style.display = 'block';
-        this.errorText.textContent = message;
+        this.resultsSection.style.display = 'block';
+
+        const heading = this.aborted ? 'Dry run cancelled, report covers the files examined so far.' : 'Dry run complete.';
+        this.resultsText.textContent = `${heading} No files were written.`;
+        this.dryRunSummary.textContent = this.dryRunReport.generateSummary();
+        this.dryRunSummary.style.display = 'block';
+        this.downloadBtn.style.display = 'none';
+        this.downloadAuditBtn.style.display = 'none';
+        this.downloadReportBtn.style.display = 'flex';
+        this.showFileInspector();
     }
-    
-    hideAllSections() {
-        this.progressSection.style.display = 'none';
-        this.resultsSection.style.display = 'none';
-        this.errorSection.style.display = 'none';
+
+    async downloadDryRunReport() {
+        if (!this.dryRunReport) return;
+        const zip = new JSZip();
+        zip.file('dry_run_report.csv', this.dryRunReport.generateCSV());
+        zip.file('dry_run_summary.txt', this.dryRunReport.generateSummary());
+        const blob = await zip.generateAsync({ type: 'blob' });
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'dry_run_report.zip';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
     }
-    
-    async processWithWorkersStreaming(fileChunks) {
-        console.log('processWithWorkersStreaming started. File chunks:', fileChunks.length);
-        
-        // For streaming mode, we process files and save them directly to output directory
-        const workerPromises = fileChunks.map((chunk, index) => {
-            console.log(`Setting up worker ${index} with ${chunk.length} files`);
-            return new Promise((resolve, reject) => {
-                const worker = this.workers[index];
-                
-                worker.onmessage = async (e) => {
-                    const { type, workerId, results, auditTrail, skippedFiles, verboseLog, errorLog } = e.data;
-                    // Worker message received
+
+    /**
+     * Inventory options sent to the workers: false, or { includeSamples }.
+     * Sample values stay out when the audit is encrypted, as in a dry run
+     */
+    getInventoryOptions() {
+        return this.inventoryMode ? { includeSamples: !this.encryptAudit } : false;
+    }
+
+    showTagInventory() {
+        if (this.cancelBtn) this.cancelBtn.style.display = 'none';
+        this.hideAllSections();
+        this.resultsSection.style.display = 'block';
+        this.downloadBtn.style.display = 'none';
+        this.downloadAuditBtn.style.display = 'none';
+        this.downloadInventoryBtn.style.display = 'flex';
+        this.tagInventoryTable.style.display = 'block';
+        this.renderTagInventory();
+    }
+
+    /**
+     * Table of inventoried tags, each with what the current settings do to
+     * it and, for tags they remove, a button adding the tag to the whitelist
+     */
+    renderTagInventory() {
+        const profile = new DeidentificationProfile(this.deidProfile.name, this.deidProfile.options, this.deidProfile.safePrivateAttributes);
+        const entries = this.tagInventory.getEntries();
+        const handlings = entries.map(entry => this.tagInventory.describeHandling(entry, profile, this.tagConfigurations));
+        const removed = handlings.filter(handling => handling.removed).length;
+
+        let message = `Tag inventory of ${this.tagInventory.files} files: ${entries.length} tags, ${removed} removed by the current settings.`;
+        if (this.tagInventory.unreadable.length > 0) {
+            message += ` ${this.tagInventory.unreadable.length} files could not be read.`;
+        }
+        this.resultsText.textContent = `${message} No files were written.`;
+
+        const table = document.createElement('table');
+        const header = table.createTHead().insertRow();
+        ['Tag', 'VR', 'Name', 'Files', 'Handling', 'Sample Values', ''].forEach(label => {
+            const cell = document.createElement('th');
+            cell.textContent = label;
+            header.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        entries.forEach((entry, index) => {
+            const handling = handlings[index];
+            const row = body.insertRow();
+            // Values come from the input files, so they are set as text only
+            const cells = [entry.key.replace(/ .*$/, ''), entry.vr, entry.name, String(entry.files), `${handling.action} (${handling.source})`, entry.samples.join(' | ')];
+            cells.forEach(text => {
+                row.insertCell().textContent = text;
+            });
+            row.cells[0].className = 'tag-code';
+            if (handling.removed) row.cells[4].className = 'removed';
+
+            const actionCell = row.insertCell();
+            if (handling.removed && this.canWhitelistInventoryTag(entry, profile)) {
+                const button = document.createElement('button');
+                button.textContent = 'Add to whitelist';
+                button.addEventListener('click', () => {
+                    this.addInventoryTagToWhitelist(entry);
+                    this.renderTagInventory();
+                });
+                actionCell.appendChild(button);
+            }
+        });
+
+        this.tagInventoryTable.innerHTML = '';
+        this.tagInventoryTable.appendChild(table);
+    }
+
+    /**
+     * Private creators are kept along with their elements, and private
+     * elements can only be kept through the creator reserving their block
+     */
+    canWhitelistInventoryTag(entry, profile) {
+        if (!profile.isPrivateTag(entry.tag)) return true;
+        return !!entry.creator && !profile.isPrivateCreatorTag(entry.tag);
+    }
+
+    /**
+     * Keep a tag unchanged: standard tags through the tag configuration,
+     * private elements through the safe private list, keyed by their creator
+     */
+    addInventoryTagToWhitelist(entry) {
+        if (entry.creator) {
+            const line = `${entry.tag.substr(0, 4)} | ${entry.creator} | ${entry.tag.substr(6, 2)}`;
+            const current = this.safePrivateList.value.trim();
+            this.safePrivateList.value = current ? `${current}\n${line}` : line;
+            this.updateSafePrivateAttributes();
+            return;
+        }
+        if (this.tagConfigurations[entry.tag]) {
+            this.tagConfigurations[entry.tag].ifPresent = 'unchanged';
+        } else {
+            this.tagConfigurations[entry.tag] = { ifPresent: 'unchanged', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: entry.name };
+        }
+        this.renderTagConfigurationList();
+    }
+
+    downloadTagInventory() {
+        if (!this.tagInventory) return;
+        const profile = new DeidentificationProfile(this.deidProfile.name, this.deidProfile.options, this.deidProfile.safePrivateAttributes);
+        const blob = new Blob([this.tagInventory.generateCSV(profile, this.tagConfigurations)], { type: 'text/csv' });
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'tag_inventory.csv';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * File picker for the before/after view, listing this run's results
+     */
+    showFileInspector() {
+        this.inspectFileSelect.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = `Choose one of ${this.results.length} files...`;
+        this.inspectFileSelect.appendChild(placeholder);
+        this.results.forEach(result => {
+            const option = document.createElement('option');
+            option.value = result.filename;
+            option.textContent = result.success ? result.filename : `${result.filename} (failed)`;
+            this.inspectFileSelect.appendChild(option);
+        });
+        this.tagComparison.innerHTML = '';
+        this.imagePreview.style.display = 'none';
+        this.preview = null;
+        this.windowAdjusted = false;
+        this.fileInspector.style.display = this.results.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Original bytes of an input file, read again from the ZIP or input folder:
+     * the copies read for processing were handed over to the workers
+     */
+    async readInputFile(filename) {
+        if (this.processingMode === 'folder') {
+            const pathParts = filename.split('/');
+            let directory = this.inputDirectoryHandle;
+            for (const name of pathParts.slice(0, -1)) {
+                directory = await directory.getDirectoryHandle(name);
+            }
+            const fileHandle = await directory.getFileHandle(pathParts[pathParts.length - 1]);
+            return (await fileHandle.getFile()).arrayBuffer();
+        }
+        if (this.uploadedFile.name.toLowerCase().endsWith('.dcm')) {
+            return this.uploadedFile.arrayBuffer();
+        }
+        if (!this.inputZip) {
+            this.inputZip = await new JSZip().loadAsync(this.uploadedFile);
+        }
+        return this.inputZip.file(filename).async('arraybuffer');
+    }
+
+    /**
+     * De-identify one file again with the current settings and show its
+     * header before and after. Output is deterministic for a passphrase, so
+     * this matches what the run wrote as long as the settings are unchanged.
+     * The worker numbers subjects in a copy of the registry, so inspecting
+     * never uses up a sequence number
+     */
+    async inspectResultFile(filename) {
+        this.tagComparison.innerHTML = '';
+        if (!filename) return;
+        this.tagComparison.textContent = `Comparing ${filename}...`;
+
+        let data;
+        try {
+            data = await this.readInputFile(filename);
+        } catch (error) {
+            this.tagComparison.textContent = `Could not read ${filename}: ${error.message}`;
+            return;
+        }
+
+        this.getInspectWorker().postMessage({
+            type: 'INSPECT_FILE',
+            file: { filename, data },
+            passphrase: this.passphrase,
+            allowedSOPClassUIDs: this.allowedSOPClassUIDs,
+            tagConfigurations: this.tagConfigurations,
+            decompressMode: this.decompressMode,
+            deidProfile: this.deidProfile,
+            pixelRedactionRules: this.pixelRedactionRules,
+            dateShift: this.dateShift,
+            patientAge: this.patientAge,
+            uidOptions: this.uidOptions,
+            pseudonymScheme: this.pseudonymScheme,
+            pseudonymLookup: this.pseudonymLookup,
+            pseudonymTemplates: this.pseudonymTemplates,
+            pseudonymRegistry: this.pseudonymRegistry ? this.pseudonymRegistry.toJSON() : this.previousRegistry
+        }, [data]);
+    }
+
+    /**
+     * Worker for the before/after view and the image preview, answering for
+     * the file still selected only
+     */
+    getInspectWorker() {
+        if (!this.inspectWorker) {
+            this.inspectWorker = new Worker('dicom-worker.js');
+            this.inspectWorker.onmessage = (e) => {
+                if (e.data.filename !== this.inspectFileSelect.value) {
+                    return;
+                } else if (e.data.type === 'INSPECT_RESULT') {
+                    this.renderTagComparison(e.data);
+                } else if (e.data.type === 'PREVIEW_RESULT') {
+                    this.showImagePreview(e.data);
+                }
+            };
+        }
+        return this.inspectWorker;
+    }
+
+    /**
+     * Select the previous or next file in the picker, to page through a series
+     */
+    stepInspectedFile(step) {
+        const index = this.inspectFileSelect.selectedIndex + step;
+        // Option 0 is the placeholder
+        if (index < 1 || index >= this.inspectFileSelect.options.length) return;
+        this.inspectFileSelect.selectedIndex = index;
+        this.inspectFileSelect.dispatchEvent(new Event('change'));
+    }
+
+    /**
+     * Side-by-side table of compareHeaders rows, with each sequence's items
+     * behind an expandable summary
+     */
+    renderTagComparison({ filename, rows, errors }) {
+        this.tagComparison.innerHTML = '';
+        const heading = document.createElement('p');
+        heading.textContent = errors.length > 0
+            ? `${filename}: ${errors.join('; ')}`
+            : `${filename}: ${rows.filter(row => row.status !== 'kept').length} of ${rows.length} top-level tags changed.`;
+        this.tagComparison.appendChild(heading);
+        this.tagComparison.appendChild(this.createComparisonTable(rows));
+    }
+
+    createComparisonTable(rows) {
+        const table = document.createElement('table');
+        const header = table.createTHead().insertRow();
+        ['Tag', 'Name', 'VR', 'Original', 'De-identified', 'Action'].forEach(label => {
+            const cell = document.createElement('th');
+            cell.textContent = label;
+            header.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        rows.forEach(row => {
+            const tableRow = body.insertRow();
+            tableRow.className = row.status;
+            // Values come from the input files, so they are set as text only
+            [row.tag, row.name, row.vr, row.original, row.value, row.action].forEach(text => {
+                tableRow.insertCell().textContent = text === null ? '(absent)' : text;
+            });
+            tableRow.cells[0].className = 'tag-code';
+            if (!row.items || row.items.length === 0) return;
+
+            const itemsCell = body.insertRow().insertCell();
+            itemsCell.colSpan = 6;
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = `${row.name}: ${row.items.length} item(s)`;
+            details.appendChild(summary);
+            row.items.forEach((items, index) => {
+                const label = document.createElement('div');
+                label.className = 'item-label';
+                label.textContent = `Item ${index + 1}`;
+                details.appendChild(label);
+                details.appendChild(this.createComparisonTable(items));
+            });
+            itemsCell.appendChild(details);
+        });
+        return table;
+    }
+
+    /**
+     * Frame slider and mouse wheel step through frames; window inputs, header
+     * presets and dragging on the image (across for width, down for center)
+     * set the window
+     */
+    bindPreviewEvents() {
+        this.previewFrame.addEventListener('input', () => {
+            this.previewFrameIndex = Number(this.previewFrame.value) - 1;
+            this.renderPreview();
+        });
+
+        this.previewCanvas.addEventListener('wheel', (e) => {
+            if (!this.preview || this.preview.frames.length < 2) return;
+            e.preventDefault();
+            const step = e.deltaY > 0 ? 1 : -1;
+            this.previewFrameIndex = Math.min(this.preview.frames.length - 1, Math.max(0, this.previewFrameIndex + step));
+            this.renderPreview();
+        });
+
+        const readWindowInputs = () => {
+            const center = Number(this.windowCenterInput.value);
+            const width = Number(this.windowWidthInput.value);
+            if (Number.isFinite(center) && width >= 1) {
+                this.setPreviewWindow({ center, width });
+            }
+        };
+        this.windowCenterInput.addEventListener('change', readWindowInputs);
+        this.windowWidthInput.addEventListener('change', readWindowInputs);
+
+        this.windowPreset.addEventListener('change', () => {
+            if (!this.preview || this.windowPreset.value === '') return;
+            const { center, width } = this.preview.windows[Number(this.windowPreset.value)];
+            this.setPreviewWindow({ center, width });
+        });
+
+        let drag = null;
+        this.previewCanvas.addEventListener('mousedown', (e) => {
+            if (!this.preview || this.preview.isColor()) return;
+            e.preventDefault();
+            drag = { x: e.clientX, y: e.clientY, ...this.previewWindow };
+        });
+        window.addEventListener('mousemove', (e) => {
+            if (!drag) return;
+            // One screen pixel moves the window by about 1/256 of its width
+            const scale = Math.max(drag.width / 256, 0.01);
+            this.setPreviewWindow({
+                center: drag.center + (e.clientY - drag.y) * scale,
+                width: Math.max(1, drag.width + (e.clientX - drag.x) * scale)
+            });
+        });
+        window.addEventListener('mouseup', () => {
+            drag = null;
+        });
+    }
+
+    /**
+     * De-identified bytes of a result: a copy of the output kept for the ZIP,
+     * or the file written to the output folder
+     */
+    async readOutputFile(filename) {
+        if (this.processingMode === 'folder') {
+            const pathParts = filename.split('/');
+            let directory = this.outputDirectoryHandle;
+            for (const name of pathParts.slice(0, -1)) {
+                directory = await directory.getDirectoryHandle(name);
+            }
+            const fileHandle = await directory.getFileHandle(pathParts[pathParts.length - 1]);
+            return (await fileHandle.getFile()).arrayBuffer();
+        }
+        const result = this.results.find(candidate => candidate.filename === filename);
+        return result.data.slice(0);
+    }
+
+    /**
+     * Show the pixel data of a file's de-identified output. Dry runs and
+     * failed files have none
+     */
+    async previewResultFile(filename) {
+        this.preview = null;
+        this.imagePreview.style.display = filename ? 'block' : 'none';
+        this.previewCanvas.style.display = 'none';
+        if (!filename) return;
+
+        const result = this.results.find(candidate => candidate.filename === filename);
+        if (this.dryRun || !result || !result.success) {
+            this.previewStatus.textContent = this.dryRun
+                ? 'No image preview: a dry run writes no output.'
+                : 'No image preview: no output was written for this file.';
+            return;
+        }
+        this.previewStatus.textContent = 'Loading image...';
+
+        let data;
+        try {
+            data = await this.readOutputFile(filename);
+        } catch (error) {
+            this.previewStatus.textContent = `Could not read the output of ${filename}: ${error.message}`;
+            return;
+        }
+        this.getInspectWorker().postMessage({
+            type: 'PREVIEW_FILE',
+            file: { filename, data }
+        }, [data]);
+    }
+
+    showImagePreview({ image, error }) {
+        if (!image) {
+            this.previewStatus.textContent = `No image preview: ${error}`;
+            return;
+        }
+        this.preview = new ImagePreview(image);
+        this.previewFrameIndex = 0;
+        this.previewFrame.max = String(this.preview.frames.length);
+        this.previewFrame.value = '1';
+        this.previewFrame.disabled = this.preview.frames.length < 2;
+
+        this.windowPreset.innerHTML = '';
+        const custom = document.createElement('option');
+        custom.value = '';
+        custom.textContent = this.preview.windows.length > 0 ? 'Header windows...' : 'No header windows';
+        this.windowPreset.appendChild(custom);
+        this.preview.windows.forEach((preset, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = `${preset.explanation || `Window ${index + 1}`} (${preset.center}/${preset.width})`;
+            this.windowPreset.appendChild(option);
+        });
+        const grayscale = !this.preview.isColor();
+        [this.windowCenterInput, this.windowWidthInput, this.windowPreset].forEach(input => {
+            input.disabled = !grayscale;
+        });
+
+        this.previewCanvas.width = this.preview.columns;
+        this.previewCanvas.height = this.preview.rows;
+        this.previewCanvas.style.display = 'block';
+        this.previewStatus.textContent = `${this.preview.columns}x${this.preview.rows}, ${this.preview.photometric}`;
+        if (!this.windowAdjusted || !this.previewWindow) {
+            this.previewWindow = this.preview.getDefaultWindow();
+        }
+        this.renderPreview();
+    }
+
+    /**
+     * Window set by the user, kept for the next files
+     */
+    setPreviewWindow({ center, width }) {
+        this.previewWindow = { center, width };
+        this.windowAdjusted = true;
+        this.renderPreview();
+    }
+
+    renderPreview() {
+        if (!this.preview) return;
+        const { center, width } = this.previewWindow;
+        const pixels = this.preview.render(this.previewFrameIndex, center, width);
+        this.previewCanvas.getContext('2d').putImageData(new ImageData(pixels, this.preview.columns, this.preview.rows), 0, 0);
+
+        this.previewFrame.value = String(this.previewFrameIndex + 1);
+        this.previewFrameLabel.textContent = `Frame ${this.previewFrameIndex + 1} of ${this.preview.frames.length}`;
+        this.windowCenterInput.value = String(Math.round(center * 100) / 100);
+        this.windowWidthInput.value = String(Math.round(width * 100) / 100);
+    }
+
+    showError(message) {
+        this.hideAllSections();
+        this.errorSection.style.display = 'block';
+        this.errorText.textContent = message;
+    }
+    
+    hideAllSections() {
+        this.progressSection.style.display = 'none';
+        this.resultsSection.style.display = 'none';
+        this.errorSection.style.display = 'none';
+    }
+    
+    async processWithWorkersStreaming(fileChunks) {
+        console.log('processWithWorkersStreaming started. File chunks:', fileChunks.length);
+        
+        // For streaming mode, we process files and save them directly to output directory
+        const workerPromises = fileChunks.map((chunk, index) => {
+            console.log(`Setting up worker ${index} with ${chunk.length} files`);
+            return new Promise((resolve, reject) => {
+                const worker = this.workers[index];
+                
+                worker.onmessage = async (e) => {
+                    const { type, workerId, results, auditTrail, skippedFiles, verboseLog, errorLog, uidCollisions, uidMappings, dryRunReport, tagInventory } = e.data;
+                    // Worker message received
                     
-                    if (type === 'COMPLETE') {
+                    if (type === 'ASSIGN_SEQUENCE') {
+                        this.answerSequenceRequest(worker, e.data);
+                    } else if (type === 'COMPLETE') {
                         // Worker completed
                         
                         // Save processed files directly to output directory
@@ -923,6 +1972,16 @@ class DicomDeidentifier {
                         if (skippedFiles) {
                             this.skippedFiles = (this.skippedFiles || 0) + skippedFiles;
                         }
+                        if (uidCollisions) {
+                            this.uidCollisions = (this.uidCollisions || 0) + uidCollisions;
+                        }
+                        this.checkUIDMappings(uidMappings);
+                        if (dryRunReport) {
+                            this.dryRunReport.merge(dryRunReport);
+                        }
+                        if (tagInventory) {
+                            this.tagInventory.merge(tagInventory);
+                        }
                         
                         this.completedWorkers++;
                         // Worker completed
@@ -956,7 +2015,17 @@ class DicomDeidentifier {
                     allowedSOPClassUIDs: this.allowedSOPClassUIDs,
                     tagConfigurations: this.tagConfigurations,
                     verboseMode: this.verboseMode,
-                    decompressMode: this.decompressMode
+                    decompressMode: this.decompressMode,
+                    deidProfile: this.deidProfile,
+                    pixelRedactionRules: this.pixelRedactionRules,
+                    dateShift: this.dateShift,
+                    patientAge: this.patientAge,
+                    uidOptions: this.uidOptions,
+                    pseudonymScheme: this.pseudonymScheme,
+                    pseudonymLookup: this.pseudonymLookup,
+                    pseudonymTemplates: this.pseudonymTemplates,
+                    dryRun: this.getDryRunOptions(),
+                    inventoryMode: this.getInventoryOptions()
                 }, transferables);
             });
         });
@@ -1012,7 +2081,7 @@ class DicomDeidentifier {
                     worker.removeEventListener('message', handler);
                     worker.removeEventListener('error', errHandler);
 
-                    const { results, auditTrail, verboseLog, errorLog, skippedFiles } = e.data;
+                    const { results, auditTrail, verboseLog, errorLog, skippedFiles, uidCollisions, uidMappings, dryRunReport, tagInventory } = e.data;
 
                     // MM-02: Save to disk immediately, then null out data to free RAM
                     for (const result of (results || [])) {
@@ -1057,6 +2126,16 @@ class DicomDeidentifier {
                     if (skippedFiles) {
                         this.skippedFiles = (this.skippedFiles || 0) + skippedFiles;
                     }
+                    if (uidCollisions) {
+                        this.uidCollisions = (this.uidCollisions || 0) + uidCollisions;
+                    }
+                    this.checkUIDMappings(uidMappings);
+                    if (dryRunReport) {
+                        this.dryRunReport.merge(dryRunReport);
+                    }
+                    if (tagInventory) {
+                        this.tagInventory.merge(tagInventory);
+                    }
 
                     resolve();
                 };
@@ -1083,7 +2162,17 @@ class DicomDeidentifier {
                     allowedSOPClassUIDs: this.allowedSOPClassUIDs,
                     tagConfigurations: this.tagConfigurations,
                     verboseMode: this.verboseMode,
-                    decompressMode: this.decompressMode
+                    decompressMode: this.decompressMode,
+                    deidProfile: this.deidProfile,
+                    pixelRedactionRules: this.pixelRedactionRules,
+                    dateShift: this.dateShift,
+                    patientAge: this.patientAge,
+                    uidOptions: this.uidOptions,
+                    pseudonymScheme: this.pseudonymScheme,
+                    pseudonymLookup: this.pseudonymLookup,
+                    pseudonymTemplates: this.pseudonymTemplates,
+                    dryRun: this.getDryRunOptions(),
+                    inventoryMode: this.getInventoryOptions()
                 }, transferables);
             });
         };
@@ -1144,46 +2233,42 @@ class DicomDeidentifier {
     }
     
     async finalizeStreamingResults() {
+        if (this.dryRun) {
+            this.showDryRunResults();
+            return;
+        }
+        if (this.inventoryMode) {
+            this.showTagInventory();
+            return;
+        }
         try {
             console.log('Finalizing streaming results...');
-            // Save CSV audit trail
             const csvContent = this.generateMasterCSV();
-            const csvFileHandle = await this.outputDirectoryHandle.getFileHandle('deidentification_audit.csv', { create: true });
-            const csvWritable = await csvFileHandle.createWritable();
-            await csvWritable.write(csvContent);
-            await csvWritable.close();
-            // CSV audit trail saved
-            
-            // Always generate output.log
-            let logContent = this.generateMasterErrorLog();
-            if (!logContent) {
-                // Create a summary log even if no detailed errors
-                logContent = 'DICOM Processing Summary\n';
-                logContent += '=' .repeat(30) + '\n\n';
-                if (this.skippedFiles > 0) {
-                    logContent += `${this.skippedFiles} files were skipped due to SOPClassUID filtering.\n`;
-                }
-                const failedFiles = this.results.filter(r => !r.success);
-                if (failedFiles.length > 0) {
-                    logContent += `${failedFiles.length} files failed to process:\n`;
-                    failedFiles.forEach(result => {
-                        logContent += `- ${result.filename}: ${result.error}\n`;
-                    });
-                }
+            const logContent = this.generateOutputLog();
+            if (this.encryptAudit) {
+                // Kept out of the output folder; offered as a separate download
+                this.encryptedAudit = await this.createEncryptedAudit(csvContent, logContent);
+            } else {
+                // Save CSV audit trail
+                const csvFileHandle = await this.outputDirectoryHandle.getFileHandle('deidentification_audit.csv', { create: true });
+                const csvWritable = await csvFileHandle.createWritable();
+                await csvWritable.write(csvContent);
+                await csvWritable.close();
+                // CSV audit trail saved
+                
+                const logFileHandle = await this.outputDirectoryHandle.getFileHandle('output.log', { create: true });
+                const logWritable = await logFileHandle.createWritable();
+                await logWritable.write(logContent);
+                await logWritable.close();
+                // Output log saved
             }
-            
-            if (this.verboseMode && this.verboseLog.length > 0) {
-                logContent += '\n\nDetailed Tag Processing Log\n';
-                logContent += '='.repeat(40) + '\n';
-                logContent += this.verboseLog;
+            if (this.pseudonymRegistry) {
+                const registryFileHandle = await this.outputDirectoryHandle.getFileHandle(PSEUDONYM_REGISTRY_FILENAME, { create: true });
+                const registryWritable = await registryFileHandle.createWritable();
+                await registryWritable.write(JSON.stringify(this.pseudonymRegistry, null, 2));
+                await registryWritable.close();
             }
             
-            const logFileHandle = await this.outputDirectoryHandle.getFileHandle('output.log', { create: true });
-            const logWritable = await logFileHandle.createWritable();
-            await logWritable.write(logContent);
-            await logWritable.close();
-            // Output log saved
-            
             // Hide cancel button — we're done regardless of how we got here
             if (this.cancelBtn) this.cancelBtn.style.display = 'none';
 
@@ -1198,15 +2283,20 @@ class DicomDeidentifier {
                 ${heading}<br>
                 Successfully processed: ${successCount} of ${this.totalFiles} files<br>
                 ${failureCount > 0 ? `Failed: ${failureCount} files<br>` : ''}
-                ${this.skippedFiles > 0 ? `Skipped (SOPClassUID filter): ${this.skippedFiles} files<br>` : ''}
+                ${this.skippedFiles > 0 ? `Skipped (${this.describeSkippedFiles()}): ${this.skippedFiles} files<br>` : ''}
+                ${this.uidCollisions > 0 ? `<strong>UID collisions: ${this.uidCollisions} (see output.log)</strong><br>` : ''}
                 Files saved to: ${this.outputDirectoryHandle.name}<br>
-                CSV audit trail: deidentification_audit.csv<br>
-                Processing log: output.log<br>
+                ${this.encryptAudit
+                    ? 'Audit trail and processing log: encrypted, download below<br>'
+                    : 'CSV audit trail: deidentification_audit.csv<br>Processing log: output.log<br>'}
+                ${this.pseudonymRegistry ? `Pseudonym registry: ${PSEUDONYM_REGISTRY_FILENAME}<br>` : ''}
             `;
 
             this.progressSection.style.display = 'none';
             this.resultsSection.style.display = 'block';
             this.downloadBtn.style.display = 'none'; // No download needed in folder mode
+            this.downloadAuditBtn.style.display = this.encryptedAudit ? 'flex' : 'none';
+            this.showFileInspector();
 
         } catch (error) {
             if (this.cancelBtn) this.cancelBtn.style.display = 'none';
@@ -1227,6 +2317,19 @@ class DicomDeidentifier {
         }
     }
     
+    downloadEncryptedAudit() {
+        if (this.encryptedAudit) {
+            const url = URL.createObjectURL(this.encryptedAudit);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'deidentification_audit.enc';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        }
+    }
+    
     terminateWorkers() {
         this.workers.forEach(worker => worker.terminate());
         this.workers = [];
@@ -1234,6 +2337,11 @@ class DicomDeidentifier {
     
     reset() {
         this.terminateWorkers();
+        if (this.inspectWorker) {
+            this.inspectWorker.terminate();
+            this.inspectWorker = null;
+        }
+        this.inputZip = null;
         this.uploadedFile = null;
         this.inputDirectoryHandle = null;
         this.outputDirectoryHandle = null;
@@ -1244,6 +2352,15 @@ class DicomDeidentifier {
         this.auditTrails = [];
         this.errorLogs = [];
         this.skippedFiles = 0;
+        this.uidCollisions = 0;
+        this.uidRegistry = new UIDRegistry();
+        this.encryptedAudit = null;
+        this.passphraseFingerprint = '';
+        this.pseudonymRegistry = null;
+        this.dryRunReport = null;
+        this.tagInventory = null;
+        this.passphraseCheck.className = 'passphrase-check';
+        this.passphraseCheck.textContent = '';
         this.aborted = false;
         if (this.cancelBtn) this.cancelBtn.style.display = 'none';
         
@@ -1280,52 +2397,319 @@ class DicomDeidentifier {
     }
 
     // Navigation methods
+    showPage(name) {
+        const pages = {
+            main: [this.mainPage, this.mainPageBtn],
+            config: [this.configPage, this.configPageBtn],
+            reidentify: [this.reidentifyPage, this.reidentifyPageBtn]
+        };
+        this.currentPage = name;
+        for (const [pageName, [page, button]] of Object.entries(pages)) {
+            page.style.display = pageName === name ? 'block' : 'none';
+            button.classList.toggle('active', pageName === name);
+        }
+    }
+
     showMainPage() {
-        this.currentPage = 'main';
-        this.mainPage.style.display = 'block';
-        this.configPage.style.display = 'none';
-        this.mainPageBtn.classList.add('active');
-        this.configPageBtn.classList.remove('active');
+        this.showPage('main');
     }
 
     showConfigPage() {
-        this.currentPage = 'config';
-        this.mainPage.style.display = 'none';
-        this.configPage.style.display = 'block';
-        this.mainPageBtn.classList.remove('active');
-        this.configPageBtn.classList.add('active');
+        this.showPage('config');
+    }
+
+    showReidentifyPage() {
+        this.showPage('reidentify');
+    }
+
+    // Re-identification methods
+    async selectReidentifyDirectory() {
+        try {
+            this.reidDirectoryHandle = await window.showDirectoryPicker({
+                mode: 'read'
+            });
+            this.reidFolderPath.textContent = this.reidDirectoryHandle.name;
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                alert('Error selecting folder: ' + error.message);
+            }
+        }
+    }
+
+    /**
+     * Read a DICOM header without its pixel data
+     */
+    readDicomHeader(arrayBuffer) {
+        return dcmjs.data.DicomMessage.readFile(arrayBuffer, { untilTag: '7FE00010' }).dict;
+    }
+
+    /**
+     * Selected de-identified files and folder contents, as { name, read() }
+     */
+    async collectReidentifySources() {
+        const sources = [];
+
+        for (const file of this.reidFileInput.files) {
+            if (file.name.toLowerCase().endsWith('.zip')) {
+                const zipData = await new JSZip().loadAsync(file);
+                for (const [filename, zipEntry] of Object.entries(zipData.files)) {
+                    if (!zipEntry.dir) {
+                        sources.push({ name: `${file.name}/${filename}`, read: () => zipEntry.async('arraybuffer') });
+                    }
+                }
+            } else {
+                sources.push({ name: file.name, read: () => file.arrayBuffer() });
+            }
+        }
+
+        async function addDirectory(directoryHandle, relativePath) {
+            for await (const [name, handle] of directoryHandle.entries()) {
+                const currentPath = `${relativePath}/${name}`;
+                if (handle.kind === 'directory') {
+                    await addDirectory(handle, currentPath);
+                } else {
+                    sources.push({ name: currentPath, read: async () => (await handle.getFile()).arrayBuffer() });
+                }
+            }
+        }
+        if (this.reidDirectoryHandle) {
+            await addDirectory(this.reidDirectoryHandle, this.reidDirectoryHandle.name);
+        }
+
+        return sources;
+    }
+
+    async runReidentification() {
+        const auditFile = this.reidAuditInput.files[0];
+        if (!auditFile) {
+            alert('Select the audit CSV written when the files were de-identified.');
+            return;
+        }
+
+        this.reidRunBtn.disabled = true;
+        this.reidExportBtn.disabled = true;
+        try {
+            this.reidentifier = AuditReidentifier.fromCSV(await this.readAuditCSV(auditFile));
+            const results = [];
+
+            const sources = await this.collectReidentifySources();
+            for (const [index, source] of sources.entries()) {
+                this.reidStatus.textContent = `Reading file ${index + 1} of ${sources.length}...`;
+                try {
+                    const data = await source.read();
+                    if (!this.isDicomFile(data)) continue;
+                    results.push(...this.reidentifier.reidentifyDataset(this.readDicomHeader(data), source.name));
+                } catch (error) {
+                    results.push({ source: source.name, identifier: '', pseudonym: '', originals: [], filenames: [], entries: [], status: `unreadable: ${error.message}` });
+                }
+            }
+
+            results.push(...this.reidentifier.reidentifyPseudonyms(this.reidPseudonyms.value));
+
+            if (this.reidPassphrase.value) {
+                this.reidStatus.textContent = 'Verifying pseudonyms with the passphrase...';
+                await this.reidentifier.verify(results, new DicomScrambler(this.reidPassphrase.value, this.dateShift, this.uidOptions));
+            }
+
+            this.reidResults = results;
+            this.renderReidentificationResults();
+            this.reidExportBtn.disabled = results.length === 0;
+        } catch (error) {
+            this.reidStatus.textContent = 'Error: ' + error.message;
+        } finally {
+            this.reidRunBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Decrypt an encrypted audit with the audit passphrase
+     */
+    async decryptAudit(data) {
+        if (!this.reidAuditPassphrase.value) {
+            throw new Error('Enter the audit passphrase to open an encrypted audit.');
+        }
+        return decryptAuditArtifact(data, this.reidAuditPassphrase.value);
+    }
+
+    /**
+     * Text of the audit CSV, taken from the encrypted audit when it is one
+     */
+    async readAuditCSV(file) {
+        const data = await file.arrayBuffer();
+        if (!isEncryptedAuditArtifact(data)) {
+            return new TextDecoder().decode(data);
+        }
+
+        const zip = await new JSZip().loadAsync(await this.decryptAudit(data));
+        const csvEntry = zip.file('deidentification_audit.csv');
+        if (!csvEntry) {
+            throw new Error('The encrypted audit does not contain deidentification_audit.csv');
+        }
+        return csvEntry.async('string');
+    }
+
+    async downloadDecryptedAudit() {
+        const auditFile = this.reidAuditInput.files[0];
+        try {
+            if (!auditFile) {
+                throw new Error('Select the encrypted audit (deidentification_audit.enc).');
+            }
+            const data = await auditFile.arrayBuffer();
+            if (!isEncryptedAuditArtifact(data)) {
+                throw new Error('The selected audit file is not encrypted.');
+            }
+
+            const url = URL.createObjectURL(new Blob([await this.decryptAudit(data)], { type: 'application/zip' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'deidentification_audit.zip';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+            this.reidStatus.textContent = 'Audit decrypted.';
+        } catch (error) {
+            this.reidStatus.textContent = 'Error: ' + error.message;
+        }
+    }
+
+    renderReidentificationResults() {
+        const found = this.reidResults.filter(result => result.originals.length > 0).length;
+        this.reidStatus.textContent = `${found} of ${this.reidResults.length} identifiers found in the audit CSV (${this.reidentifier.entries.length} audit rows)`;
+
+        const table = document.createElement('table');
+        const header = table.createTHead().insertRow();
+        ['Source', 'Identifier', 'Pseudonym', 'Original', 'Audit Files', 'Status'].forEach(label => {
+            const cell = document.createElement('th');
+            cell.textContent = label;
+            header.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        for (const result of this.reidResults) {
+            const row = body.insertRow();
+            [result.source, result.identifier, result.pseudonym, result.originals.join(' | '), result.filenames.join('; '), result.status]
+                .forEach(value => {
+                    row.insertCell().textContent = value;
+                });
+            row.lastChild.className = `reid-status-${result.status.split(':')[0].replace(/\s+/g, '-')}`;
+        }
+
+        this.reidResultsContainer.innerHTML = '';
+        this.reidResultsContainer.appendChild(table);
+    }
+
+    exportReidentification() {
+        const csv = this.reidentifier.generateCSV(this.reidResults);
+        const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'reidentification.csv';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
     }
 
     // Configuration methods
-    getDefaultTagConfigurations() {
-        // Based on current whitelisted tags and their handling
-        return {
-            '00020003': { ifPresent: 'scramble', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Media Storage SOP Instance UID' },
-            '0020000D': { ifPresent: 'scramble', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Study Instance UID' },
-            '0020000E': { ifPresent: 'scramble', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Series Instance UID' },
-            '00080018': { ifPresent: 'scramble', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'SOP Instance UID' },
-            '00080050': { ifPresent: 'scramble', ifNotPresent: 'scrambleFromStudyUID', presentValue: '', notPresentValue: '', description: 'Accession Number' },
-            '00100010': { ifPresent: 'scramble', ifNotPresent: 'replace', presentValue: '', notPresentValue: 'ANONYMOUS^PATIENT', description: 'Patient Name' },
-            '00100020': { ifPresent: 'scramble', ifNotPresent: 'replace', presentValue: '', notPresentValue: 'PATIENTID1', description: 'Patient ID' },
-            '00100030': { ifPresent: 'scramble', ifNotPresent: 'replace', presentValue: '', notPresentValue: '19000101', description: 'Patient Birth Date' },
-            '00100040': { ifPresent: 'unchanged', ifNotPresent: 'replace', presentValue: '', notPresentValue: 'M', description: 'Patient Sex' },
-            '00101010': { ifPresent: 'unchanged', ifNotPresent: 'replace', presentValue: '', notPresentValue: '027Y', description: 'Patient Age' },
-            '00080020': { ifPresent: 'scramble', ifNotPresent: 'replace', presentValue: '', notPresentValue: '19270101', description: 'Study Date' },
-            '00080030': { ifPresent: 'scramble', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Study Time' },
-            '00080060': { ifPresent: 'unchanged', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Modality' },
-            '00080070': { ifPresent: 'unchanged', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Manufacturer' },
-            '00080080': { ifPresent: 'scramble', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Institution Name' },
-            '00081030': { ifPresent: 'unchanged', ifNotPresent: 'replace', presentValue: '', notPresentValue: 'UNKNOWNSTUDY', description: 'Study Description' },
-            '0008103E': { ifPresent: 'unchanged', ifNotPresent: 'replace', presentValue: '', notPresentValue: 'UNKNOWNSTUDY', description: 'Series Description' },
-            '00200011': { ifPresent: 'unchanged', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Series Number' },
-            '00200013': { ifPresent: 'unchanged', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Instance Number' },
-            '00280010': { ifPresent: 'unchanged', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Rows' },
-            '00280011': { ifPresent: 'unchanged', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Columns' },
-            '00280100': { ifPresent: 'unchanged', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Bits Allocated' },
-            '00280101': { ifPresent: 'unchanged', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Bits Stored' },
-            '00280102': { ifPresent: 'unchanged', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'High Bit' },
-            '00280103': { ifPresent: 'unchanged', ifNotPresent: 'unchanged', presentValue: '', notPresentValue: '', description: 'Pixel Representation' }
+    getDefaultTagConfigurations(profileName = this.deidProfile.name) {
+        return createDefaultTagConfigurations(profileName);
+    }
+
+    updateDeidProfile() {
+        const previousDefaults = this.getDefaultTagConfigurations();
+        const name = this.deidProfileSelect.value;
+        const options = {};
+
+        if (this.longitudinalOption.value) {
+            options[this.longitudinalOption.value] = true;
+        }
+        this.profileOptions.querySelectorAll('.profile-option').forEach(checkbox => {
+            options[checkbox.dataset.option] = checkbox.checked;
+        });
+
+        this.deidProfile = { ...this.deidProfile, name, options };
+        this.profileOptions.style.display = name === 'whitelist' ? 'none' : 'grid';
+
+        // Swap in the new profile's defaults unless the user has customised the tags
+        if (JSON.stringify(this.tagConfigurations) === JSON.stringify(previousDefaults)) {
+            this.tagConfigurations = this.getDefaultTagConfigurations();
+            this.renderTagConfigurationList();
+        }
+    }
+
+    updateUIDOptions() {
+        const scheme = document.getElementById('uidScheme').value;
+        const rootInput = document.getElementById('uidRoot');
+        const root = rootInput.value.trim();
+        rootInput.parentElement.style.display = scheme === 'root' ? '' : 'none';
+
+        if (scheme === 'root') {
+            try {
+                DicomScrambler.validateUIDRoot(root);
+            } catch (error) {
+                // Keep the previous choice until the root is valid
+                if (root) alert(error.message);
+                return;
+            }
+        }
+        this.uidOptions = { scheme, root };
+    }
+
+    updatePatientAge() {
+        const binsInput = document.getElementById('patientAgeBins');
+        const bins = binsInput.value.split(',').map(bin => bin.trim()).filter(Boolean).map(Number);
+
+        const patientAge = {
+            mode: document.getElementById('patientAgeMode').value,
+            capOver89: document.getElementById('patientAgeCap').checked,
+            bins
+        };
+        try {
+            validatePatientAge(patientAge);
+        } catch (error) {
+            alert(error.message);
+            binsInput.value = this.patientAge.bins.join(',');
+            return;
+        }
+        this.patientAge = patientAge;
+    }
+
+    renderDateShiftOptions() {
+        const { key, mode, minDays, maxDays, anchorDate } = this.dateShift;
+        document.getElementById('dateShiftKey').value = key;
+        document.getElementById('dateShiftMode').value = mode;
+        document.getElementById('dateShiftMinDays').value = minDays;
+        document.getElementById('dateShiftMaxDays').value = maxDays;
+        document.getElementById('dateShiftAnchor').value = anchorDate;
+        this.dateShiftOptions.querySelector('.date-shift-range').style.display = mode === 'anchor' ? 'none' : '';
+        this.dateShiftOptions.querySelector('.date-shift-anchor').style.display = mode === 'anchor' ? '' : 'none';
+    }
+
+    updateDateShift() {
+        const dateShift = {
+            key: document.getElementById('dateShiftKey').value,
+            mode: document.getElementById('dateShiftMode').value,
+            minDays: parseInt(document.getElementById('dateShiftMinDays').value, 10),
+            maxDays: parseInt(document.getElementById('dateShiftMaxDays').value, 10),
+            anchorDate: document.getElementById('dateShiftAnchor').value.trim()
         };
+
+        try {
+            DicomScrambler.validateDateShift(dateShift);
+            this.dateShift = dateShift;
+        } catch (error) {
+            alert(error.message);
+        }
+        this.renderDateShiftOptions();
+    }
+
+    updateSafePrivateAttributes() {
+        try {
+            this.deidProfile.safePrivateAttributes = parseSafePrivateAttributes(this.safePrivateList.value);
+        } catch (error) {
+            alert('Error in safe private attributes: ' + error.message);
+        }
     }
 
     initializeConfigurationPage() {
@@ -1349,7 +2733,10 @@ class DicomDeidentifier {
                 <div>
                     <div class="scenario-controls">
                         <select class="action-select" data-tag="${tag}" data-scenario="present">
+                            <option value="profile" ${config.ifPresent === 'profile' ? 'selected' : ''}>Profile Default</option>
                             <option value="scramble" ${config.ifPresent === 'scramble' ? 'selected' : ''}>Scramble</option>
+                            <option value="scrambleFormat" ${config.ifPresent === 'scrambleFormat' ? 'selected' : ''}>Scramble (keep format)</option>
+                            <option value="fakeName" ${config.ifPresent === 'fakeName' ? 'selected' : ''}>Fake Name (PN)</option>
                             <option value="delete" ${config.ifPresent === 'delete' ? 'selected' : ''}>Delete</option>
                             <option value="unchanged" ${config.ifPresent === 'unchanged' ? 'selected' : ''}>Unchanged</option>
                             <option value="replace" ${config.ifPresent === 'replace' ? 'selected' : ''}>Replace Value</option>
@@ -1362,6 +2749,7 @@ class DicomDeidentifier {
                 <div>
                     <div class="scenario-controls">
                         <select class="action-select" data-tag="${tag}" data-scenario="notpresent">
+                            <option value="profile" ${config.ifNotPresent === 'profile' ? 'selected' : ''}>Profile Default</option>
                             <option value="unchanged" ${config.ifNotPresent === 'unchanged' ? 'selected' : ''}>Unchanged</option>
                             <option value="scrambleFromStudyUID" ${config.ifNotPresent === 'scrambleFromStudyUID' ? 'selected' : ''}>Generate from Study UID</option>
                             <option value="replace" ${config.ifNotPresent === 'replace' ? 'selected' : ''}>Add Value</option>
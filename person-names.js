@@ -0,0 +1,113 @@
+/**
+ * Fake person names for PN values
+ * Builds a Family^Given name from built-in lists, picked by hash bytes of
+ * the original. Names with ideographic or phonetic component groups get a
+ * Japanese name written in each of the original's groups, so the groups
+ * still agree with each other.
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+const FAKE_FAMILY_NAMES = [
+    'ADAMS', 'BAKER', 'BELL', 'BROOKS', 'CAMPBELL', 'CARTER', 'CLARK', 'COLLINS',
+    'COOPER', 'DAVIS', 'EDWARDS', 'EVANS', 'FISHER', 'FOSTER', 'GRAHAM', 'GRAY',
+    'HALL', 'HARRIS', 'HAYES', 'HILL', 'HUGHES', 'JAMES', 'JENKINS', 'KELLY',
+    'KING', 'LEWIS', 'MARSHALL', 'MASON', 'MILLER', 'MITCHELL', 'MORGAN', 'MURPHY',
+    'NELSON', 'PARKER', 'PRICE', 'REED', 'ROBERTS', 'ROGERS', 'ROSS', 'SCOTT',
+    'SHAW', 'TAYLOR', 'TURNER', 'WALKER', 'WARD', 'WATSON', 'WELLS', 'WOOD'
+];
+
+const FAKE_GIVEN_NAMES = [
+    'ALEX', 'ALICE', 'ANNA', 'BEN', 'CHARLIE', 'CHRIS', 'CLAIRE', 'DANIEL',
+    'DAVID', 'ELLA', 'EMMA', 'FRANK', 'GRACE', 'HANNAH', 'HARRY', 'HELEN',
+    'IAN', 'JACK', 'JANE', 'JOHN', 'JULIA', 'KATE', 'LAURA', 'LEO',
+    'LUCY', 'MARK', 'MARY', 'MAX', 'MIA', 'NICK', 'NINA', 'OLIVER',
+    'PAUL', 'PETER', 'RACHEL', 'RUTH', 'SAM', 'SARAH', 'SIMON', 'SOPHIE',
+    'TOM', 'VICTOR', 'WENDY', 'WILL', 'ZOE', 'ROSE', 'ADAM', 'EVE'
+];
+
+// [alphabetic, ideographic, phonetic]
+const FAKE_JAPANESE_FAMILY_NAMES = [
+    ['SATO', '佐藤', 'さとう'], ['SUZUKI', '鈴木', 'すずき'], ['TAKAHASHI', '高橋', 'たかはし'],
+    ['TANAKA', '田中', 'たなか'], ['WATANABE', '渡辺', 'わたなべ'], ['ITO', '伊藤', 'いとう'],
+    ['NAKAMURA', '中村', 'なかむら'], ['KOBAYASHI', '小林', 'こばやし'], ['KATO', '加藤', 'かとう'],
+    ['YOSHIDA', '吉田', 'よしだ'], ['YAMADA', '山田', 'やまだ'], ['SASAKI', '佐々木', 'ささき'],
+    ['MATSUMOTO', '松本', 'まつもと'], ['INOUE', '井上', 'いのうえ'], ['KIMURA', '木村', 'きむら'],
+    ['HAYASHI', '林', 'はやし']
+];
+
+const FAKE_JAPANESE_GIVEN_NAMES = [
+    ['HANAKO', '花子', 'はなこ'], ['TARO', '太郎', 'たろう'], ['YUKI', '由紀', 'ゆき'],
+    ['KENJI', '健二', 'けんじ'], ['AKIKO', '明子', 'あきこ'], ['HIROSHI', '浩', 'ひろし'],
+    ['MISAKI', '美咲', 'みさき'], ['TAKESHI', '武', 'たけし'], ['NAOKO', '直子', 'なおこ'],
+    ['SHOTA', '翔太', 'しょうた'], ['EMI', '恵美', 'えみ'], ['DAISUKE', '大輔', 'だいすけ'],
+    ['KAORI', '香織', 'かおり'], ['RYO', '亮', 'りょう'], ['SAKURA', 'さくら', 'さくら'],
+    ['MAKOTO', '誠', 'まこと']
+];
+
+const PERSON_NAME_GROUPS = ['Alphabetic', 'Ideographic', 'Phonetic'];
+
+/**
+ * The alphabetic, ideographic and phonetic groups of a PN value, given as
+ * "Alpha=Ideo=Phon" text or as dcmjs { Alphabetic, Ideographic, Phonetic }
+ */
+function splitPersonName(value) {
+    if (value && typeof value === 'object') {
+        return PERSON_NAME_GROUPS.map(group => value[group] || '');
+    }
+    const groups = String(value || '').split('=');
+    return PERSON_NAME_GROUPS.map((group, i) => groups[i] || '');
+}
+
+/**
+ * Text that identifies a name for hashing: the first non-empty group,
+ * upper-cased without trailing empty components
+ */
+function getPersonNameKey(value) {
+    const group = splitPersonName(value).find(candidate => candidate.replace(/[\^ ]/g, '')) || '';
+    return group.trim().toUpperCase().replace(/[\^ ]+$/, '');
+}
+
+/**
+ * Fake Family^Given name for a PN value, in the same groups and the same
+ * form (text or object) as the original. hash supplies at least 4 bytes.
+ */
+function createFakePersonName(value, hash) {
+    const groups = splitPersonName(value);
+    // Groups of separators and spaces only count as empty
+    const present = groups.map(group => group.replace(/[\^ ]/g, '') !== '');
+    if (!present.some(Boolean)) return value;
+
+    const pick = (list, offset) => list[((hash[offset] << 8) | hash[offset + 1]) % list.length];
+    let names;
+    if (present[1] || present[2]) {
+        const family = pick(FAKE_JAPANESE_FAMILY_NAMES, 0);
+        const given = pick(FAKE_JAPANESE_GIVEN_NAMES, 2);
+        names = present.map((isPresent, i) => (isPresent ? `${family[i]}^${given[i]}` : ''));
+    } else {
+        names = [`${pick(FAKE_FAMILY_NAMES, 0)}^${pick(FAKE_GIVEN_NAMES, 2)}`, '', ''];
+    }
+
+    // Names recorded in mixed case keep looking that way
+    if (/\p{Ll}/u.test(groups[0])) {
+        names[0] = names[0].toLowerCase().replace(/(^|\^)(\p{Ll})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+    }
+
+    if (value && typeof value === 'object') {
+        const result = {};
+        PERSON_NAME_GROUPS.forEach((group, i) => {
+            if (names[i]) result[group] = names[i];
+        });
+        return result;
+    }
+    return names.join('=').replace(/=+$/, '');
+}
+
+return { createFakePersonName, getPersonNameKey, splitPersonName };
+}));
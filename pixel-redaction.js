@@ -0,0 +1,226 @@
+/**
+ * Burned-in annotation redaction
+ * Blacks out configured rectangles of the pixel data for images whose header
+ * matches a rule, in the spirit of the CTP DicomPixelAnonymizer script
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+// Header attributes a rule can match on, by rule key
+const PIXEL_REDACTION_MATCH_TAGS = {
+    Modality: '00080060',
+    Manufacturer: '00080070',
+    ManufacturerModelName: '00081090',
+    Rows: '00280010',
+    Columns: '00280011',
+    SOPClassUID: '00080016'
+};
+
+// Transfer syntaxes whose pixel data dcmjs reads as native (uncompressed) values
+const NATIVE_TRANSFER_SYNTAXES = [
+    '1.2.840.10008.1.2',
+    '1.2.840.10008.1.2.1',
+    '1.2.840.10008.1.2.1.99'
+];
+
+class PixelRedactor {
+    /**
+     * @param {Array} rules - { match: { Modality: 'US', Manufacturer: 'GE*', ... },
+     *   regions: [{ x, y, width, height }] }. Match values are case-insensitive
+     *   and may use * as a wildcard; an empty match applies to every image.
+     */
+    constructor(rules = []) {
+        this.rules = (rules || []).map(rule => ({
+            ...rule,
+            patterns: Object.entries(rule.match || {}).map(([key, value]) => ({
+                tag: PIXEL_REDACTION_MATCH_TAGS[key],
+                key,
+                pattern: new RegExp('^' + String(value).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$', 'i')
+            }))
+        }));
+    }
+
+    hasRules() {
+        return this.rules.length > 0;
+    }
+
+    getValue(dict, tag) {
+        const element = dict[tag];
+        if (!element || !element.Value || element.Value.length === 0) return '';
+        return String(element.Value[0]).trim();
+    }
+
+    /**
+     * Regions to black out for a dataset, with the rule that selected each
+     */
+    findRegions(dict) {
+        const matches = [];
+        for (const rule of this.rules) {
+            if (rule.patterns.every(({ tag, pattern }) => pattern.test(this.getValue(dict, tag)))) {
+                for (const region of rule.regions) {
+                    matches.push({ rule: rule.source || describePixelRedactionMatch(rule.match), region });
+                }
+            }
+        }
+        return matches;
+    }
+
+    isNativeTransferSyntax(transferSyntax) {
+        return !transferSyntax || NATIVE_TRANSFER_SYNTAXES.includes(transferSyntax);
+    }
+
+    /**
+     * Black out the regions in every frame of native pixel data, in place.
+     * Returns the regions clipped to the image, as actually redacted.
+     */
+    redact(dict, matches) {
+        const pixelElement = dict['7FE00010'];
+        if (!pixelElement || !pixelElement.Value || pixelElement.Value.length === 0) {
+            throw new Error('Pixel redaction requested but the file has no pixel data');
+        }
+
+        const rows = Number(this.getValue(dict, '00280010'));
+        const columns = Number(this.getValue(dict, '00280011'));
+        const bitsAllocated = Number(this.getValue(dict, '00280100'));
+        const bitsStored = Number(this.getValue(dict, '00280101')) || bitsAllocated;
+        const samplesPerPixel = Number(this.getValue(dict, '00280002')) || 1;
+        const planarConfiguration = Number(this.getValue(dict, '00280006')) || 0;
+        const pixelRepresentation = Number(this.getValue(dict, '00280103')) || 0;
+        const photometric = this.getValue(dict, '00280004').toUpperCase();
+        const frames = Number(this.getValue(dict, '00280008')) || 1;
+
+        if (!rows || !columns || ![8, 16, 32].includes(bitsAllocated)) {
+            throw new Error(`Pixel redaction does not support ${bitsAllocated}-bit pixel data`);
+        }
+        if (photometric.endsWith('_422') || photometric.endsWith('_420')) {
+            throw new Error(`Pixel redaction does not support native ${photometric} pixel data`);
+        }
+
+        const fill = this.getFillValues(photometric, samplesPerPixel, bitsStored, pixelRepresentation);
+        const bytesPerSample = bitsAllocated / 8;
+        const frameSize = rows * columns * samplesPerPixel * bytesPerSample;
+        const buffers = pixelElement.Value;
+        const clipped = matches.map(({ rule, region }) => ({ rule, region: this.clipRegion(region, rows, columns) }))
+            .filter(({ region }) => region.width > 0 && region.height > 0);
+
+        for (let frame = 0; frame < frames; frame++) {
+            // Native pixel data is one buffer of contiguous frames, or one buffer per frame
+            const buffer = buffers.length > 1 ? buffers[frame] : buffers[0];
+            const offset = buffers.length > 1 ? 0 : frame * frameSize;
+            if (!buffer || offset + frameSize > buffer.byteLength) {
+                throw new Error(`Pixel data is shorter than ${frames} frame(s) of ${rows}x${columns}`);
+            }
+            const view = new DataView(buffer, offset, frameSize);
+            for (const { region } of clipped) {
+                this.fillRegion(view, region, columns, rows, samplesPerPixel, planarConfiguration, bytesPerSample, fill);
+            }
+        }
+
+        return clipped;
+    }
+
+    clipRegion(region, rows, columns) {
+        const x = Math.max(0, Math.min(columns, region.x));
+        const y = Math.max(0, Math.min(rows, region.y));
+        return {
+            x,
+            y,
+            width: Math.max(0, Math.min(columns, region.x + region.width) - x),
+            height: Math.max(0, Math.min(rows, region.y + region.height) - y)
+        };
+    }
+
+    /**
+     * Per-sample value that displays as black for the photometric interpretation
+     */
+    getFillValues(photometric, samplesPerPixel, bitsStored, pixelRepresentation) {
+        if (photometric === 'MONOCHROME1') {
+            return [pixelRepresentation ? (2 ** (bitsStored - 1)) - 1 : (2 ** bitsStored) - 1];
+        }
+        if (photometric === 'MONOCHROME2') {
+            return [pixelRepresentation ? -(2 ** (bitsStored - 1)) : 0];
+        }
+        if (photometric.startsWith('YBR')) {
+            const midpoint = 2 ** (bitsStored - 1);
+            return [0, midpoint, midpoint];
+        }
+        return new Array(samplesPerPixel).fill(0);
+    }
+
+    fillRegion(view, region, columns, rows, samplesPerPixel, planarConfiguration, bytesPerSample, fill) {
+        const write = (byteOffset, value) => {
+            if (bytesPerSample === 1) view.setUint8(byteOffset, value & 0xFF);
+            else if (bytesPerSample === 2) view.setUint16(byteOffset, value & 0xFFFF, true);
+            else view.setUint32(byteOffset, value >>> 0, true);
+        };
+
+        for (let y = region.y; y < region.y + region.height; y++) {
+            for (let x = region.x; x < region.x + region.width; x++) {
+                const pixel = y * columns + x;
+                for (let sample = 0; sample < samplesPerPixel; sample++) {
+                    const index = planarConfiguration === 1
+                        ? sample * rows * columns + pixel
+                        : pixel * samplesPerPixel + sample;
+                    write(index * bytesPerSample, fill[sample] !== undefined ? fill[sample] : fill[0]);
+                }
+            }
+        }
+    }
+}
+
+function describePixelRedactionMatch(match) {
+    const conditions = Object.entries(match || {}).map(([key, value]) => `${key}=${value}`);
+    return conditions.length > 0 ? conditions.join(', ') : 'all images';
+}
+
+/**
+ * Parse redaction rules from text, one rule per line:
+ *   Modality=US, Manufacturer=GE* : 0,0,800,60 0,560,200,40
+ * Conditions before the colon, x,y,width,height regions after it.
+ * Blank lines and lines starting with # are ignored.
+ */
+function parsePixelRedactionRules(text) {
+    const rules = [];
+    (text || '').split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+        const separator = trimmed.lastIndexOf(':');
+        if (separator === -1) {
+            throw new Error(`Line ${index + 1}: expected "conditions : x,y,width,height"`);
+        }
+
+        const match = {};
+        trimmed.substring(0, separator).split(',').map(part => part.trim()).filter(Boolean).forEach(condition => {
+            const [key, ...rest] = condition.split('=');
+            const name = key.trim();
+            if (!PIXEL_REDACTION_MATCH_TAGS[name] || rest.length === 0) {
+                throw new Error(`Line ${index + 1}: unknown condition "${condition}"`);
+            }
+            match[name] = rest.join('=').trim();
+        });
+
+        const regions = trimmed.substring(separator + 1).trim().split(/\s+/).filter(Boolean).map(region => {
+            const numbers = region.split(',').map(Number);
+            if (numbers.length !== 4 || numbers.some(n => !Number.isInteger(n) || n < 0)) {
+                throw new Error(`Line ${index + 1}: "${region}" is not x,y,width,height`);
+            }
+            const [x, y, width, height] = numbers;
+            return { x, y, width, height };
+        });
+        if (regions.length === 0) {
+            throw new Error(`Line ${index + 1}: no regions to redact`);
+        }
+
+        rules.push({ match, regions, source: describePixelRedactionMatch(match) });
+    });
+    return rules;
+}
+
+return { PixelRedactor, parsePixelRedactionRules, NATIVE_TRANSFER_SYNTAXES };
+}));
@@ -0,0 +1,164 @@
+/**
+ * User-supplied pseudonym lookup table
+ * Replaces hashed Patient ID, Patient Name and Accession Number pseudonyms
+ * with values assigned elsewhere, such as subject IDs from a trial
+ * management system
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+const PSEUDONYM_LOOKUP_COLUMNS = {
+    originalPatientID: 'Original Patient ID',
+    patientID: 'Pseudonym Patient ID',
+    patientName: 'Pseudonym Patient Name',
+    originalAccession: 'Original Accession',
+    accession: 'Pseudonym Accession'
+};
+
+// What happens to a file whose Patient ID or Accession the table does not list
+const PSEUDONYM_LOOKUP_UNMATCHED = {
+    hash: 'Fall back to a hashed pseudonym',
+    skip: 'Skip the file',
+    fail: 'Fail the file'
+};
+
+const PSEUDONYM_LOOKUP_OUTCOMES = { hash: 'hashed', skip: 'skipped', fail: 'failed' };
+
+// Value length limits of the LO, PN and SH attributes replaced
+const PSEUDONYM_LOOKUP_MAX_LENGTHS = { patientID: 64, patientName: 64, accession: 16 };
+
+/**
+ * Lookup table from parsed CSV rows (see parseCSV). The header row names
+ * "Original Patient ID" and "Pseudonym Patient ID", with an optional
+ * "Pseudonym Patient Name", and/or "Original Accession" and "Pseudonym Accession"
+ */
+function parsePseudonymLookup(rows) {
+    const [headerRow, ...dataRows] = rows;
+    if (!headerRow) {
+        throw new Error('The pseudonym lookup CSV is empty');
+    }
+
+    const headers = headerRow.map(header => header.replace(/^\uFEFF/, '').trim().toLowerCase());
+    const columns = {};
+    for (const [key, header] of Object.entries(PSEUDONYM_LOOKUP_COLUMNS)) {
+        columns[key] = headers.indexOf(header.toLowerCase());
+    }
+    const hasPatients = columns.originalPatientID >= 0 && columns.patientID >= 0;
+    const hasAccessions = columns.originalAccession >= 0 && columns.accession >= 0;
+    if (!hasPatients && !hasAccessions) {
+        throw new Error('The pseudonym lookup CSV needs "Original Patient ID" and "Pseudonym Patient ID" columns, or "Original Accession" and "Pseudonym Accession" columns');
+    }
+
+    const patients = new Map();
+    const accessions = new Map();
+    // Pseudonym -> original, so two originals cannot share a pseudonym
+    const assignedPatientIDs = new Map();
+    const assignedAccessions = new Map();
+
+    dataRows.forEach((fields, index) => {
+        const row = index + 1;
+        const field = key => (columns[key] >= 0 ? (fields[columns[key]] || '').trim() : '');
+        const checkLength = (key, value, label) => {
+            if (value.length > PSEUDONYM_LOOKUP_MAX_LENGTHS[key]) {
+                throw new Error(`Row ${row}: ${label} "${value}" is longer than ${PSEUDONYM_LOOKUP_MAX_LENGTHS[key]} characters`);
+            }
+        };
+
+        if (hasPatients && (field('originalPatientID') || field('patientID'))) {
+            const original = field('originalPatientID');
+            const patient = { patientID: field('patientID'), patientName: field('patientName') };
+            if (!original || !patient.patientID) {
+                throw new Error(`Row ${row}: a Patient ID mapping needs both an original and a pseudonym`);
+            }
+            checkLength('patientID', patient.patientID, 'Pseudonym Patient ID');
+            checkLength('patientName', patient.patientName, 'Pseudonym Patient Name');
+
+            const existing = patients.get(original);
+            if (existing && (existing.patientID !== patient.patientID || existing.patientName !== patient.patientName)) {
+                throw new Error(`Row ${row}: Patient ID "${original}" is mapped twice, to "${existing.patientID}" and "${patient.patientID}"`);
+            }
+            const assigned = assignedPatientIDs.get(patient.patientID);
+            if (assigned !== undefined && assigned !== original) {
+                throw new Error(`Row ${row}: Pseudonym Patient ID "${patient.patientID}" is assigned to both "${assigned}" and "${original}"`);
+            }
+            patients.set(original, patient);
+            assignedPatientIDs.set(patient.patientID, original);
+        }
+
+        if (hasAccessions && (field('originalAccession') || field('accession'))) {
+            const original = field('originalAccession');
+            const accession = field('accession');
+            if (!original || !accession) {
+                throw new Error(`Row ${row}: an Accession mapping needs both an original and a pseudonym`);
+            }
+            checkLength('accession', accession, 'Pseudonym Accession');
+
+            const existing = accessions.get(original);
+            if (existing !== undefined && existing !== accession) {
+                throw new Error(`Row ${row}: Accession "${original}" is mapped twice, to "${existing}" and "${accession}"`);
+            }
+            const assigned = assignedAccessions.get(accession);
+            if (assigned !== undefined && assigned !== original) {
+                throw new Error(`Row ${row}: Pseudonym Accession "${accession}" is assigned to both "${assigned}" and "${original}"`);
+            }
+            accessions.set(original, accession);
+            assignedAccessions.set(accession, original);
+        }
+    });
+
+    // Plain objects, so the table can be posted to workers
+    return { patients: Object.fromEntries(patients), accessions: Object.fromEntries(accessions) };
+}
+
+class PseudonymLookup {
+    /**
+     * @param {Object} table - { patients, accessions } from parsePseudonymLookup
+     * @param {string} unmatched - a PSEUDONYM_LOOKUP_UNMATCHED key
+     */
+    constructor(table = {}, unmatched = 'hash') {
+        if (!PSEUDONYM_LOOKUP_UNMATCHED[unmatched]) {
+            throw new Error(`Unknown action for unmatched pseudonyms "${unmatched}"`);
+        }
+        this.patients = new Map(Object.entries(table.patients || {}));
+        this.accessions = new Map(Object.entries(table.accessions || {}));
+        this.unmatched = unmatched;
+    }
+
+    /**
+     * Pseudonyms for a file's original identifiers and, for the audit, the
+     * source of each: 'lookup' or 'unmatched (hashed|skipped|failed)'.
+     * Identifiers the table has no column for keep an empty source.
+     */
+    resolve(originalPatientID, originalAccession) {
+        const result = { patient: null, accession: null, patientIDSource: '', accessionSource: '', unmatched: [] };
+        const unmatchedSource = `unmatched (${PSEUDONYM_LOOKUP_OUTCOMES[this.unmatched]})`;
+
+        if (this.patients.size > 0) {
+            result.patient = this.patients.get(originalPatientID || '') || null;
+            result.patientIDSource = result.patient ? 'lookup' : unmatchedSource;
+            if (!result.patient) result.unmatched.push(`Patient ID "${originalPatientID || ''}"`);
+        }
+        if (this.accessions.size > 0) {
+            result.accession = this.accessions.get(originalAccession || '') || null;
+            result.accessionSource = result.accession ? 'lookup' : unmatchedSource;
+            if (!result.accession) result.unmatched.push(`Accession "${originalAccession || ''}"`);
+        }
+        return result;
+    }
+
+    describe() {
+        const parts = [];
+        if (this.patients.size > 0) parts.push(`${this.patients.size} patients`);
+        if (this.accessions.size > 0) parts.push(`${this.accessions.size} accessions`);
+        return `${parts.join(', ') || 'no entries'}; unmatched: ${PSEUDONYM_LOOKUP_UNMATCHED[this.unmatched].toLowerCase()}`;
+    }
+}
+
+return { PseudonymLookup, parsePseudonymLookup, PSEUDONYM_LOOKUP_UNMATCHED };
+}));
@@ -0,0 +1,206 @@
+/**
+ * Templated pseudonyms and the sequence registry behind them
+ * Templates such as SUBJ-{seq:4} or {project}_{hash:6} render readable
+ * Patient ID, Patient Name and Accession pseudonyms. Sequence numbers are
+ * assigned per distinct patient or study in first-seen order and kept in a
+ * registry file, so later runs continue the numbering.
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+// Tags rendered from each kind of template
+const PSEUDONYM_TEMPLATE_KINDS = {
+    patient: ['00100020', '00100010'],
+    study: ['00080050']
+};
+
+const PSEUDONYM_TEMPLATE_PLACEHOLDER = /\{([^{}]*)\}/g;
+const PSEUDONYM_HASH_MAX_LENGTH = 32;
+const PSEUDONYM_REGISTRY_FORMAT = 'dicom-deid pseudonym registry';
+const PSEUDONYM_REGISTRY_FILENAME = 'pseudonym_registry.json';
+
+class PseudonymTemplate {
+    /**
+     * @param {string} template - text with {seq}, {seq:N}, {hash:N} and {project} placeholders
+     * @param {Object} variables - values for named placeholders, e.g. { project: 'TRIAL1' }
+     */
+    constructor(template, variables = {}) {
+        this.template = template;
+        this.variables = variables;
+        this.parts = [];
+        this.usesSequence = false;
+
+        let last = 0;
+        for (const match of template.matchAll(PSEUDONYM_TEMPLATE_PLACEHOLDER)) {
+            if (match.index > last) this.parts.push({ text: template.slice(last, match.index) });
+            this.parts.push(this.parsePlaceholder(match[1]));
+            last = match.index + match[0].length;
+        }
+        if (last < template.length) this.parts.push({ text: template.slice(last) });
+
+        if (/[{}]/.test(this.parts.filter(part => part.text !== undefined).map(part => part.text).join(''))) {
+            throw new Error(`Unbalanced braces in pseudonym template "${template}"`);
+        }
+        if (!this.parts.some(part => part.type === 'seq' || part.type === 'hash')) {
+            throw new Error(`Pseudonym template "${template}" needs a {seq} or {hash:N} placeholder, or every subject gets the same pseudonym`);
+        }
+    }
+
+    parsePlaceholder(placeholder) {
+        const [name, argument] = placeholder.trim().split(':');
+        const width = argument === undefined ? null : Number(argument);
+
+        if (name === 'seq') {
+            if (width !== null && (!Number.isInteger(width) || width < 1 || width > 12)) {
+                throw new Error(`{seq:N} needs a width from 1 to 12, got "{${placeholder}}"`);
+            }
+            this.usesSequence = true;
+            return { type: 'seq', width: width || 0 };
+        }
+        if (name === 'hash') {
+            if (!Number.isInteger(width) || width < 1 || width > PSEUDONYM_HASH_MAX_LENGTH) {
+                throw new Error(`{hash:N} needs a length from 1 to ${PSEUDONYM_HASH_MAX_LENGTH}, got "{${placeholder}}"`);
+            }
+            return { type: 'hash', length: width };
+        }
+        if (Object.prototype.hasOwnProperty.call(this.variables, name) && argument === undefined) {
+            if (!this.variables[name]) {
+                throw new Error(`No value for {${name}} in pseudonym template "${this.template}"`);
+            }
+            return { text: this.variables[name] };
+        }
+        throw new Error(`Unknown placeholder "{${placeholder}}" in pseudonym template "${this.template}"`);
+    }
+
+    /**
+     * @param {Function} getSequence - async () => sequence number of the subject
+     * @param {Function} getHash - async (length) => keyed hash characters of the subject
+     */
+    async render(getSequence, getHash) {
+        let result = '';
+        for (const part of this.parts) {
+            if (part.type === 'seq') {
+                result += String(await getSequence()).padStart(part.width, '0');
+            } else if (part.type === 'hash') {
+                result += await getHash(part.length);
+            } else {
+                result += part.text;
+            }
+        }
+        return result;
+    }
+}
+
+/**
+ * 'patient' or 'study' for a tag rendered from a template, otherwise null
+ */
+function getPseudonymTemplateKind(tag) {
+    return Object.keys(PSEUDONYM_TEMPLATE_KINDS).find(kind => PSEUDONYM_TEMPLATE_KINDS[kind].includes(tag)) || null;
+}
+
+/**
+ * Templates for each kind from { patient, study, project }, skipping blank ones
+ */
+function createPseudonymTemplates(settings = {}) {
+    const templates = {};
+    for (const kind of Object.keys(PSEUDONYM_TEMPLATE_KINDS)) {
+        const template = (settings[kind] || '').trim();
+        if (template) {
+            templates[kind] = new PseudonymTemplate(template, { project: (settings.project || '').trim() });
+        }
+    }
+    return templates;
+}
+
+/**
+ * Summary of the template settings for output.log
+ */
+function describePseudonymTemplates(settings) {
+    const templates = Object.keys(PSEUDONYM_TEMPLATE_KINDS)
+        .filter(kind => settings[kind])
+        .map(kind => `${kind} "${settings[kind]}"`);
+    return templates.join(', ') + (settings.project ? `; project ${settings.project}` : '');
+}
+
+class PseudonymRegistry {
+    /**
+     * @param {Object} data - parsed registry file: sequence numbers by kind,
+     *   keyed by a passphrase-keyed hash of the original identifier
+     */
+    constructor(data = {}) {
+        this.passphraseFingerprint = data.passphraseFingerprint || '';
+        this.sequences = {};
+        this.next = {};
+        for (const kind of Object.keys(PSEUDONYM_TEMPLATE_KINDS)) {
+            this.sequences[kind] = new Map(Object.entries(data[kind] || {}));
+            // A loop rather than a spread, which overflows the stack on a
+            // registry of a long project
+            let last = 0;
+            for (const sequence of this.sequences[kind].values()) {
+                if (sequence > last) last = sequence;
+            }
+            this.next[kind] = last + 1;
+        }
+    }
+
+    static fromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Not a pseudonym registry: the file is not JSON');
+        }
+        if (!data || data.format !== PSEUDONYM_REGISTRY_FORMAT) {
+            throw new Error('Not a pseudonym registry file');
+        }
+        for (const kind of Object.keys(PSEUDONYM_TEMPLATE_KINDS)) {
+            if (Object.values(data[kind] || {}).some(sequence => !Number.isInteger(sequence) || sequence < 1)) {
+                throw new Error(`Pseudonym registry has an invalid ${kind} sequence number`);
+            }
+        }
+        return new PseudonymRegistry(data);
+    }
+
+    /**
+     * Sequence number for a subject, assigning the next one on first sight
+     */
+    assign(kind, key) {
+        const sequences = this.sequences[kind];
+        if (!sequences.has(key)) {
+            sequences.set(key, this.next[kind]++);
+        }
+        return sequences.get(key);
+    }
+
+    describe() {
+        const labels = { patient: ['patient', 'patients'], study: ['study', 'studies'] };
+        return Object.entries(this.sequences)
+            .map(([kind, sequences]) => `${sequences.size} ${labels[kind][sequences.size === 1 ? 0 : 1]}`)
+            .join(', ');
+    }
+
+    toJSON() {
+        const data = { format: PSEUDONYM_REGISTRY_FORMAT, version: 1, passphraseFingerprint: this.passphraseFingerprint };
+        for (const [kind, sequences] of Object.entries(this.sequences)) {
+            data[kind] = Object.fromEntries(sequences);
+        }
+        return data;
+    }
+}
+
+return {
+    PseudonymTemplate,
+    PseudonymRegistry,
+    createPseudonymTemplates,
+    describePseudonymTemplates,
+    getPseudonymTemplateKind,
+    PSEUDONYM_TEMPLATE_KINDS,
+    PSEUDONYM_REGISTRY_FILENAME
+};
+}));
@@ -0,0 +1,263 @@
+/**
+ * Re-identification from the de-identification audit CSV
+ * Looks pseudonymised identifiers up in deidentification_audit.csv and, given
+ * the passphrase, checks that each original still scrambles to its pseudonym
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+// Identifiers the audit CSV records, with their original and scrambled columns
+const AUDIT_IDENTIFIERS = [
+    { tag: '0020000D', name: 'Study Instance UID', original: 'Original Study Instance UID', scrambled: 'Scrambled Study Instance UID' },
+    { tag: '00080050', name: 'Accession', original: 'Original Accession', scrambled: 'Scrambled Accession', source: 'Accession Source' },
+    { tag: '00100020', name: 'Patient ID', original: 'Original Patient ID', scrambled: 'Scrambled Patient ID', source: 'Patient ID Source' }
+];
+
+/**
+ * Split CSV text into rows of fields, honouring quoted fields
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value !== ''));
+}
+
+class AuditReidentifier {
+    /**
+     * @param {Array} entries - audit rows keyed by CSV header
+     */
+    constructor(entries = []) {
+        this.entries = entries;
+        // pseudonym -> tag -> { identifier, originals, filenames, entries }
+        this.index = new Map();
+
+        for (const entry of entries) {
+            for (const identifier of AUDIT_IDENTIFIERS) {
+                const pseudonym = (entry[identifier.scrambled] || '').trim();
+                if (!pseudonym) continue;
+
+                if (!this.index.has(pseudonym)) this.index.set(pseudonym, new Map());
+                const byTag = this.index.get(pseudonym);
+                if (!byTag.has(identifier.tag)) {
+                    byTag.set(identifier.tag, { identifier, originals: new Set(), filenames: [], entries: [] });
+                }
+                const match = byTag.get(identifier.tag);
+                match.originals.add(entry[identifier.original] || '');
+                if (entry.Filename) match.filenames.push(entry.Filename);
+                match.entries.push(entry);
+            }
+        }
+    }
+
+    /**
+     * Build from the text of deidentification_audit.csv
+     */
+    static fromCSV(text) {
+        const [headers, ...rows] = parseCSV((text || '').replace(/^\uFEFF/, ''));
+        if (!headers) {
+            throw new Error('The audit CSV is empty');
+        }
+        for (const identifier of AUDIT_IDENTIFIERS) {
+            if (!headers.includes(identifier.original) || !headers.includes(identifier.scrambled)) {
+                throw new Error(`Not a de-identification audit CSV: missing "${identifier.scrambled}" column`);
+            }
+        }
+
+        const entries = rows.map(fields => {
+            const entry = {};
+            headers.forEach((header, index) => {
+                entry[header] = fields[index] || '';
+            });
+            return entry;
+        });
+        return new AuditReidentifier(entries);
+    }
+
+    /**
+     * Result rows for one pseudonym, optionally restricted to one identifier tag
+     */
+    lookup(pseudonym, source, tag = null) {
+        const value = (pseudonym || '').trim();
+        const byTag = this.index.get(value);
+        const matches = byTag ? [...byTag.values()].filter(match => !tag || match.identifier.tag === tag) : [];
+
+        if (matches.length === 0) {
+            const identifier = AUDIT_IDENTIFIERS.find(candidate => candidate.tag === tag);
+            return [{ source, identifier: identifier ? identifier.name : '', pseudonym: value, originals: [], filenames: [], entries: [], status: 'not found' }];
+        }
+
+        return matches.map(match => ({
+            source,
+            identifier: match.identifier.name,
+            tag: match.identifier.tag,
+            pseudonym: value,
+            originals: [...match.originals],
+            filenames: match.filenames,
+            entries: match.entries,
+            status: match.originals.size > 1 ? 'conflict' : 'found'
+        }));
+    }
+
+    /**
+     * Result rows for the identifiers of a de-identified dataset
+     */
+    reidentifyDataset(dict, source) {
+        const results = [];
+        for (const identifier of AUDIT_IDENTIFIERS) {
+            const element = dict[identifier.tag];
+            const value = element && element.Value && element.Value.length > 0 ? String(element.Value[0]) : '';
+            if (value) {
+                results.push(...this.lookup(value, source, identifier.tag));
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Result rows for a pasted list, one pseudonym per line
+     */
+    reidentifyPseudonyms(text, source = 'pasted list') {
+        return (text || '').split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(Boolean)
+            .flatMap(pseudonym => this.lookup(pseudonym, source));
+    }
+
+    /**
+     * Mark found results 'verified' when scrambling the original with the
+     * passphrase reproduces the pseudonym, otherwise 'passphrase mismatch'.
+     * Pseudonyms taken from a lookup table are marked 'lookup table', as the
+     * passphrase cannot reproduce them; pseudonyms rendered from a template
+     * are marked 'template', as their sequence numbers live in the registry
+     * rather than in the passphrase.
+     */
+    async verify(results, scrambler) {
+        // One scrambler per pseudonym scheme, so each stretched key is derived once
+        const scramblers = new Map();
+        const getScrambler = scheme => {
+            if (!scramblers.has(scheme)) scramblers.set(scheme, scrambler.withPseudonymScheme(scheme));
+            return scramblers.get(scheme);
+        };
+
+        for (const result of results) {
+            if (result.status !== 'found') continue;
+            const identifier = AUDIT_IDENTIFIERS.find(candidate => candidate.tag === result.tag);
+            if (identifier.source && result.entries.every(entry => entry[identifier.source] === 'lookup')) {
+                result.status = 'lookup table';
+                continue;
+            }
+            if (identifier.source && result.entries.every(entry => entry[identifier.source] === 'template')) {
+                result.status = 'template: sequence numbers are in the registry';
+                continue;
+            }
+            const candidates = await this.getScrambledCandidates(result, getScrambler);
+            result.status = candidates.includes(result.pseudonym) ? 'verified' : 'passphrase mismatch';
+        }
+        return results;
+    }
+
+    /**
+     * Values the original could have been scrambled to under each audit row's
+     * pseudonym scheme (v1 for audits written before schemes were recorded)
+     * and the tag actions: SCRAMBLE_UID for the study, SCRAMBLE_TEXT or
+     * SCRAMBLE_FORMAT (or a value derived from the study UID, for accessions)
+     * for the others
+     */
+    async getScrambledCandidates(result, getScrambler) {
+        const original = result.originals[0];
+        const candidates = [];
+        const checked = new Set();
+
+        for (const entry of result.entries) {
+            const scheme = entry['Pseudonym Scheme'] || 'v1';
+            const studyUID = entry['Original Study Instance UID'];
+            const key = `${scheme}|${result.tag === '00080050' ? studyUID : ''}`;
+            if (checked.has(key)) continue;
+            checked.add(key);
+
+            const scrambler = getScrambler(scheme);
+            if (result.tag === '0020000D') {
+                candidates.push(await scrambler.scrambleUID(original));
+            } else if (result.tag === '00080050') {
+                if (original) {
+                    candidates.push(await scrambler.scrambleText(original, 16));
+                    candidates.push(await scrambler.scrambleFormatPreserving(original));
+                }
+                candidates.push(await scrambler.scrambleFromStudyUID(studyUID, 16));
+            } else {
+                candidates.push(await scrambler.scrambleText(original, 64));
+                candidates.push(await scrambler.scrambleFormatPreserving(original));
+            }
+        }
+        return candidates;
+    }
+
+    generateCSV(results) {
+        const headers = ['Source', 'Identifier', 'Pseudonym', 'Original', 'Audit Files', 'Status'];
+        let csv = headers.join(',') + '\n';
+        for (const result of results) {
+            const row = [
+                this.escapeCSV(result.source),
+                this.escapeCSV(result.identifier),
+                this.escapeCSV(result.pseudonym),
+                this.escapeCSV(result.originals.join(' | ')),
+                this.escapeCSV(result.filenames.join('; ')),
+                this.escapeCSV(result.status)
+            ];
+            csv += row.join(',') + '\n';
+        }
+        return csv;
+    }
+
+    escapeCSV(value) {
+        if (!value) return '';
+        value = value.toString();
+        if (value.includes(',') || value.includes('"') || value.includes('\n')) {
+            return '"' + value.replace(/"/g, '""') + '"';
+        }
+        return value;
+    }
+}
+
+return { AuditReidentifier, parseCSV, AUDIT_IDENTIFIERS };
+}));
@@ -3,19 +3,213 @@
  * Implements SHA256-based deterministic scrambling for various DICOM data types
  */
 
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+// Date-shift strategy:
+// - key: 'patient', 'study' or 'global' - what a shared offset is keyed on
+// - mode: 'offset' (shift by minDays..maxDays), 'keepYear' (shift, then wrap
+//   back into the original year) or 'anchor' (reference date -> anchorDate,
+//   other dates as day counts relative to it)
+const DEFAULT_DATE_SHIFT = {
+    key: 'patient',
+    mode: 'offset',
+    minDays: 0,
+    maxDays: 365 * 20 - 1,
+    anchorDate: '20000101'
+};
+
+// UID generation:
+// - scheme 'uuid': 2.25.<128-bit decimal> from a name-based (version 8) UUID
+// - scheme 'root': <root>.<hash-derived decimal>, as many digits as fit in 64
+// - scheme 'legacy': the original 1.2.826.0.1.3680043.8.498.<53-bit> form,
+//   only for reproducing earlier runs
+const DEFAULT_UID_OPTIONS = {
+    scheme: 'uuid',
+    root: ''
+};
+
+// Suffix digits a 'root' UID must keep (about 80 bits)
+const MIN_UID_SUFFIX_DIGITS = 24;
+
+// Pseudonym hashing scheme, recorded with every output so a dataset can be
+// reproduced with the scheme it was made with:
+// - 'v2': HMAC-SHA-256 keyed with the passphrase stretched by PBKDF2
+// - 'v1': SHA-256(value + passphrase), the original construction, only for
+//   reproducing earlier runs
+const PSEUDONYM_SCHEMES = {
+    v1: 'SHA-256(value + passphrase) (v1, legacy)',
+    v2: 'HMAC-SHA-256 with PBKDF2-stretched key (v2)'
+};
+const DEFAULT_PSEUDONYM_SCHEME = 'v2';
+
+// The salt is fixed so a passphrase always derives the same key; the
+// iterations make each passphrase guess expensive
+const PSEUDONYM_KEY_SALT = 'dicom-deid pseudonym key v2';
+const PSEUDONYM_KEY_ITERATIONS = 600000;
+
+// Format-preserving pseudonyms: the character classes enciphered, each kept
+// in its own alphabet; every other character is left in place
+const FORMAT_PRESERVING_ALPHABETS = [
+    { code: '9', pattern: /\p{Nd}/u, symbols: '0123456789' },
+    { code: 'A', pattern: /\p{Lu}/u, symbols: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ' },
+    { code: 'a', pattern: /\p{L}/u, symbols: 'abcdefghijklmnopqrstuvwxyz' }
+];
+const FORMAT_PRESERVING_ROUNDS = 10;
+
+// DT value: YYYY[MM[DD[HH[MM]]]], or YYYYMMDDHHMMSS[.FFFFFF] followed by an
+// optional UTC offset &ZZXX. Only a full-precision value carries the offset,
+// so the dash of a range such as 2019-2020 is not read as one
+const DATE_TIME_VALUE_PATTERN = /(?:\d{4}(?:\d{2}){0,4}|\d{14}(?:\.\d{1,6})?(?:[+-](?:0\d|1[0-4])[0-5]\d)?)/.source;
+const DATE_TIME_VALUE = new RegExp(`^${DATE_TIME_VALUE_PATTERN}$`);
+const DATE_TIME_RANGE = new RegExp(`^(${DATE_TIME_VALUE_PATTERN})?-(${DATE_TIME_VALUE_PATTERN})?$`);
+
+// Passphrase fingerprint: pbkdf2-sha256:<iterations>:<salt hex>:<hash hex>,
+// with a random salt so fingerprints of one passphrase differ between runs
+const PASSPHRASE_FINGERPRINT_PATTERN = /pbkdf2-sha256:(\d+):([0-9a-f]{32}):([0-9a-f]{64})/;
+
 class DicomScrambler {
-    constructor(passphrase) {
+    constructor(passphrase, dateShift = {}, uidOptions = {}, pseudonymScheme = DEFAULT_PSEUDONYM_SCHEME) {
+        if (!PSEUDONYM_SCHEMES[pseudonymScheme]) {
+            throw new Error(`Unknown pseudonym scheme "${pseudonymScheme}"`);
+        }
         this.passphrase = passphrase;
+        this.pseudonymScheme = pseudonymScheme;
+        this.hmacKey = null;
         this.encoder = new TextEncoder();
+        this.dateShift = { ...DEFAULT_DATE_SHIFT, ...dateShift };
+        DicomScrambler.validateDateShift(this.dateShift);
+        this.uidOptions = { ...DEFAULT_UID_OPTIONS, ...uidOptions };
+        if (!['uuid', 'root', 'legacy'].includes(this.uidOptions.scheme)) {
+            throw new Error(`Unknown UID scheme "${this.uidOptions.scheme}"`);
+        }
+        if (this.uidOptions.scheme === 'root') {
+            DicomScrambler.validateUIDRoot(this.uidOptions.root);
+        }
+        this.offsetCache = new Map();
+    }
+
+    /**
+     * Throw unless root is a valid UID prefix with room for a strong suffix
+     */
+    static validateUIDRoot(root) {
+        if (!/^(0|[1-9]\d*)(\.(0|[1-9]\d*))*$/.test(root || '')) {
+            throw new Error(`"${root}" is not a valid UID root`);
+        }
+        if (64 - root.length - 1 < MIN_UID_SUFFIX_DIGITS) {
+            throw new Error(`UID root must be at most ${64 - 1 - MIN_UID_SUFFIX_DIGITS} characters`);
+        }
+    }
+
+    /**
+     * Throw unless the date shift settings are usable. A fixed anchor needs a
+     * per-patient or per-study key: one global anchor would move every
+     * study's date to the same day and lose the intervals between studies
+     */
+    static validateDateShift({ key, mode, minDays, maxDays, anchorDate }) {
+        if (!['patient', 'study', 'global'].includes(key)) {
+            throw new Error(`Unknown date shift key "${key}"`);
+        }
+        if (!['offset', 'keepYear', 'anchor'].includes(mode)) {
+            throw new Error(`Unknown date shift strategy "${mode}"`);
+        }
+        if (!Number.isInteger(minDays) || !Number.isInteger(maxDays) || minDays > maxDays) {
+            throw new Error('Offset days must be whole numbers, with "from" not greater than "to"');
+        }
+        if (!/^\d{8}$/.test(anchorDate || '')) {
+            throw new Error('Anchor date must be in YYYYMMDD format');
+        }
+        if (mode === 'anchor' && key === 'global') {
+            throw new Error('A fixed anchor needs a per-patient or per-study shift key');
+        }
+    }
+
+    describeDateShift() {
+        const { key, mode, minDays, maxDays, anchorDate } = this.dateShift;
+        if (mode === 'anchor') {
+            return `per ${key}, fixed anchor ${anchorDate} with relative day counts`;
+        }
+        const range = `${minDays} to ${maxDays} days`;
+        return mode === 'keepYear' ? `per ${key}, ${range} within the original year` : `per ${key}, ${range}`;
+    }
+
+    describeUIDOptions() {
+        const { scheme, root } = this.uidOptions;
+        if (scheme === 'root') return `${root}.<hash-derived suffix>`;
+        if (scheme === 'legacy') return 'legacy 1.2.826.0.1.3680043.8.498.<53-bit> form';
+        return '2.25.<128-bit UUID-derived decimal>';
+    }
+
+    describePseudonymScheme() {
+        return PSEUDONYM_SCHEMES[this.pseudonymScheme];
     }
 
     /**
-     * Generate SHA256 hash of input concatenated with passphrase
+     * Salted, non-reversible fingerprint of a passphrase, to check later runs
+     * use the same one
+     */
+    static async createPassphraseFingerprint(passphrase, salt = crypto.getRandomValues(new Uint8Array(16)), iterations = PSEUDONYM_KEY_ITERATIONS) {
+        const encoder = new TextEncoder();
+        const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 256);
+        const toHex = bytes => Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+        return `pbkdf2-sha256:${iterations}:${toHex(salt)}:${toHex(new Uint8Array(bits))}`;
+    }
+
+    /**
+     * Whether a passphrase produced the fingerprint
+     */
+    static async verifyPassphraseFingerprint(passphrase, fingerprint) {
+        const match = PASSPHRASE_FINGERPRINT_PATTERN.exec(fingerprint || '');
+        if (!match) {
+            throw new Error('Not a passphrase fingerprint');
+        }
+        const salt = new Uint8Array(match[2].match(/../g).map(byte => parseInt(byte, 16)));
+        return await DicomScrambler.createPassphraseFingerprint(passphrase, salt, Number(match[1])) === match[0];
+    }
+
+    /**
+     * The same scrambler under another pseudonym scheme
+     */
+    withPseudonymScheme(pseudonymScheme) {
+        if (pseudonymScheme === this.pseudonymScheme) return this;
+        return new DicomScrambler(this.passphrase, this.dateShift, this.uidOptions, pseudonymScheme);
+    }
+
+    /**
+     * Keyed SHA-256 hash of input under the pseudonym scheme
      */
     async generateHash(input) {
-        const data = this.encoder.encode(input + this.passphrase);
-        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-        return new Uint8Array(hashBuffer);
+        if (this.pseudonymScheme === 'v1') {
+            const data = this.encoder.encode(input + this.passphrase);
+            const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+            return new Uint8Array(hashBuffer);
+        }
+
+        const signature = await crypto.subtle.sign('HMAC', await this.getHMACKey(), this.encoder.encode(input));
+        return new Uint8Array(signature);
+    }
+
+    /**
+     * HMAC key stretched from the passphrase, derived once per scrambler
+     */
+    getHMACKey() {
+        if (!this.hmacKey) {
+            this.hmacKey = crypto.subtle.importKey('raw', this.encoder.encode(this.passphrase), 'PBKDF2', false, ['deriveKey'])
+                .then(material => crypto.subtle.deriveKey(
+                    { name: 'PBKDF2', hash: 'SHA-256', salt: this.encoder.encode(PSEUDONYM_KEY_SALT), iterations: PSEUDONYM_KEY_ITERATIONS },
+                    material,
+                    { name: 'HMAC', hash: 'SHA-256', length: 256 },
+                    false,
+                    ['sign']
+                ));
+        }
+        return this.hmacKey;
     }
 
     /**
@@ -27,6 +221,13 @@ class DicomScrambler {
             .join('');
     }
 
+    /**
+     * Convert hash bytes to an exact BigInt
+     */
+    hashToBigInt(hashArray) {
+        return BigInt('0x' + this.hashToHex(hashArray));
+    }
+
     /**
      * Convert hash bytes to numeric value
      */
@@ -39,12 +240,36 @@ class DicomScrambler {
     }
 
     /**
-     * Generate DICOM compliant UID from input
+     * Generate DICOM compliant UID from input, using the configured scheme
      */
     async scrambleUID(input) {
         if (!input) return input;
         
         const hash = await this.generateHash(input);
+        
+        if (this.uidOptions.scheme === 'legacy') {
+            return this.legacyUID(hash);
+        }
+        
+        if (this.uidOptions.scheme === 'root') {
+            // BigInt keeps every digit of the 256-bit hash; the suffix takes as
+            // many leading digits as fit (no leading zero, by construction)
+            const root = this.uidOptions.root;
+            const suffix = this.hashToBigInt(hash).toString();
+            return `${root}.${suffix.substr(0, 64 - root.length - 1)}`;
+        }
+        
+        // Name-based UUID (RFC 9562 version 8) from the first 128 bits
+        const uuid = hash.slice(0, 16);
+        uuid[6] = (uuid[6] & 0x0f) | 0x80;
+        uuid[8] = (uuid[8] & 0x3f) | 0x80;
+        return `2.25.${this.hashToBigInt(uuid).toString()}`;
+    }
+
+    /**
+     * UID form used before scheme selection; keeps only about 53 bits
+     */
+    legacyUID(hash) {
         const hex = this.hashToHex(hash);
         
         // Create DICOM compliant UID starting with 1.2.826.0.1.3680043.8.498.
@@ -63,13 +288,17 @@ class DicomScrambler {
             uidSuffix = uidSuffix.substr(0, availableLength);
         }
         
-        const result = prefix + uidSuffix;
-        
-        // Double check length constraint
-        if (result.length > maxTotalLength) {
-            return prefix + uidSuffix.substr(0, availableLength);
+        return prefix + uidSuffix;
+    }
+
+    /**
+     * Map hash bytes to up to maxLength alphanumeric characters (A-Z, 0-9)
+     */
+    hashToAlphanumeric(hashArray, maxLength) {
+        let result = '';
+        for (let i = 0; i < hashArray.length && result.length < maxLength; i++) {
+            result += 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'[hashArray[i] % 36];
         }
-        
         return result;
     }
 
@@ -80,22 +309,62 @@ class DicomScrambler {
         if (!input) return input;
 
         const hash = await this.generateHash(input);
-        const hex = this.hashToHex(hash);
-        
-        // Create alphanumeric string from hash
-        let result = '';
-        for (let i = 0; i < hex.length && result.length < maxLength; i += 2) {
-            const byte = parseInt(hex.substr(i, 2), 16);
-            // Map to alphanumeric character (A-Z, 0-9)
-            const char = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'[byte % 36];
-            result += char;
-        }
+        const result = this.hashToAlphanumeric(hash, maxLength);
         
         // Respect both max length constraint and original input length
         const finalLength = Math.min(maxLength, Math.max(8, input.length)); // At least 8 chars
         return result.substr(0, finalLength);
     }
 
+    /**
+     * Format-preserving pseudonym: digits stay digits, letters stay letters
+     * of the same case, and separators and length are kept. The enciphered
+     * characters are read as one mixed-radix number and put through a keyed
+     * Feistel network, so distinct values of one format never share a
+     * pseudonym. Letters outside A-Z map onto A-Z and may collide.
+     */
+    async scrambleFormatPreserving(input) {
+        if (!input) return input;
+
+        const characters = Array.from(String(input));
+        const positions = [];
+        let format = '';
+        characters.forEach((character, index) => {
+            const alphabet = FORMAT_PRESERVING_ALPHABETS.find(candidate => candidate.pattern.test(character));
+            if (!alphabet) {
+                format += character;
+                return;
+            }
+            const symbol = alphabet.symbols.indexOf(character);
+            const value = symbol >= 0 ? symbol : character.codePointAt(0) % alphabet.symbols.length;
+            positions.push({ index, symbols: alphabet.symbols, value });
+            format += alphabet.code;
+        });
+        if (positions.length === 0) return input;
+
+        // Unbalanced halves when the count is odd; a single character has an empty right half
+        const halves = [positions.slice(0, Math.ceil(positions.length / 2)), positions.slice(Math.ceil(positions.length / 2))];
+        const radices = halves.map(half => half.reduce((radix, position) => radix * BigInt(position.symbols.length), 1n));
+        const numbers = halves.map(half => half.reduce((number, position) => number * BigInt(position.symbols.length) + BigInt(position.value), 0n));
+
+        for (let round = 0; round < FORMAT_PRESERVING_ROUNDS; round++) {
+            const target = round % 2;
+            const other = numbers[1 - target];
+            const hash = await this.generateHash(`format:${format}:${round}:${other}`);
+            numbers[target] = (numbers[target] + this.hashToBigInt(hash)) % radices[target];
+        }
+
+        halves.forEach((half, h) => {
+            let number = numbers[h];
+            for (let i = half.length - 1; i >= 0; i--) {
+                const radix = BigInt(half[i].symbols.length);
+                characters[half[i].index] = half[i].symbols[Number(number % radix)];
+                number /= radix;
+            }
+        });
+        return characters.join('');
+    }
+
     /**
      * Generate deterministic text value derived from Study Instance UID
      */
@@ -103,95 +372,205 @@ class DicomScrambler {
         if (!studyUID) return '';
 
         const hash = await this.generateHash(`studyuid:${studyUID}`);
-        const hex = this.hashToHex(hash);
+        return this.hashToAlphanumeric(hash, maxLength);
+    }
 
-        let result = '';
-        for (let i = 0; i < hex.length && result.length < maxLength; i += 2) {
-            const byte = parseInt(hex.substr(i, 2), 16);
-            const char = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'[byte % 36];
-            result += char;
+    /**
+     * The key a file's date-time offset is derived from under the strategy:
+     * its PatientID, StudyInstanceUID or one global key. In anchor mode it is
+     * the reference date replaced by the anchor: the birth date when keyed
+     * per patient, so every study of the patient moves by one offset, or the
+     * study date when keyed per study. A file without its reference date is
+     * rejected rather than given a random offset the anchor would not explain.
+     */
+    getShiftKey({ patientID = null, studyUID = null, birthDate = null, studyDate = null } = {}) {
+        const { key, mode } = this.dateShift;
+        if (mode === 'anchor' && key === 'patient') {
+            if (!/^\d{8}$/.test(birthDate || '')) {
+                throw new Error('Anchor date shift per patient needs a Patient\'s Birth Date, which this file lacks');
+            }
+            return `anchor:${birthDate}`;
+        }
+        if (mode === 'anchor') {
+            if (!/^\d{8}$/.test(studyDate || '')) {
+                throw new Error('Anchor date shift per study needs a Study Date, which this file lacks');
+            }
+            return `anchor:${studyDate}`;
         }
+        if (key === 'global') return 'global';
+        if (key === 'study') return studyUID || patientID || 'global';
+        return patientID || 'global';
+    }
 
-        return result.substr(0, maxLength);
+    /**
+     * Date-time offset for a shift key: whole days plus seconds, applied
+     * together as one datetime offset
+     */
+    async getDateTimeOffset(key = null) {
+        const offsetKey = key || 'global';
+        if (!this.offsetCache.has(offsetKey)) {
+            if (offsetKey.startsWith('anchor:')) {
+                const reference = this.parseDate(offsetKey.substr(7));
+                const anchor = this.parseDate(this.dateShift.anchorDate);
+                this.offsetCache.set(offsetKey, { days: Math.round((anchor - reference) / 86400000), seconds: 0 });
+            } else {
+                const { minDays, maxDays } = this.dateShift;
+                const dateHash = await this.generateHash(offsetKey + 'date_offset');
+                const timeHash = await this.generateHash(offsetKey + 'time_offset');
+                this.offsetCache.set(offsetKey, {
+                    days: minDays + this.hashToNumeric(dateHash) % (maxDays - minDays + 1),
+                    seconds: this.hashToNumeric(timeHash) % 86400
+                });
+            }
+        }
+        return this.offsetCache.get(offsetKey);
     }
 
     /**
-     * Scramble DICOM date (YYYYMMDD format)
+     * UTC timestamp of a YYYYMMDD date
      */
-    async scrambleDate(input, key = null) {
-        if (!input || input.length !== 8) return input;
-        
-        const hash = await this.generateHash(((key || 'global') + 'date_offset'));
-        const numeric = this.hashToNumeric(hash);
-        
-        const offsetDays = numeric % (365 * 20);
-        
-        const year = parseInt(input.substr(0, 4));
-        const month = parseInt(input.substr(4, 2));
-        const day = parseInt(input.substr(6, 2));
-        
-        const originalDate = new Date(year, month - 1, day);
-        
-        const scrambledDate = new Date(originalDate);
-        scrambledDate.setDate(scrambledDate.getDate() + offsetDays);
-        
-        const scrambledYear = scrambledDate.getFullYear().toString().padStart(4, '0');
-        const scrambledMonth = (scrambledDate.getMonth() + 1).toString().padStart(2, '0');
-        const scrambledDay = scrambledDate.getDate().toString().padStart(2, '0');
-        
-        const result = scrambledYear + scrambledMonth + scrambledDay;
-        return result.substr(0, 8);
+    parseDate(input) {
+        return Date.UTC(parseInt(input.substr(0, 4)), parseInt(input.substr(4, 2)) - 1, parseInt(input.substr(6, 2)));
+    }
+
+    /**
+     * Apply a shift to a UTC timestamp. In keepYear mode the result wraps
+     * back into the original calendar year.
+     */
+    applyShift(timestamp, shiftMillis) {
+        if (this.dateShift.mode !== 'keepYear') return new Date(timestamp + shiftMillis);
+        const year = new Date(timestamp).getUTCFullYear();
+        const start = Date.UTC(year, 0, 1);
+        const length = Date.UTC(year + 1, 0, 1) - start;
+        return new Date(start + (((timestamp - start + shiftMillis) % length) + length) % length);
     }
 
     /**
-     * Scramble DICOM time (HHMMSS format)
+     * Parse a DICOM time, HH[MM[SS[.FFFFFF]]] (ACR-NEMA colons allowed), into
+     * seconds since midnight plus the precision to format it back with
      */
-    async scrambleTime(input) {
-        if (!input || input.length < 6) return input;
+    parseTime(input) {
+        if (!input || typeof input !== 'string') return null;
+        const match = input.trim().replace(/:/g, '').match(/^(\d{2})(\d{2})?(\d{2})?(\.\d{1,6})?$/);
+        if (!match) return null;
+        const [, hours, minutes, seconds, fraction] = match;
+        return {
+            seconds: parseInt(hours) * 3600 + parseInt(minutes || '0') * 60 + parseInt(seconds || '0'),
+            digits: 2 + (minutes ? 2 : 0) + (seconds ? 2 : 0),
+            fraction: seconds && fraction ? fraction : ''
+        };
+    }
+
+    parseTimeSeconds(input) {
+        const time = this.parseTime(input);
+        return time ? time.seconds : null;
+    }
+
+    /**
+     * Shift each side of a range, given as [start, end] (e.g. 20200101 and
+     * 20200131); open ends stay open
+     */
+    async scrambleRange(parts, scrambleValue) {
+        const scrambled = [];
+        for (const part of parts) {
+            scrambled.push(part ? await scrambleValue(part) : part);
+        }
+        return scrambled.join('-');
+    }
+
+    /**
+     * Scramble DICOM date (YYYYMMDD format). When the time recorded with the
+     * date is given, a time shift past midnight carries into the date.
+     */
+    async scrambleDate(input, key = null, time = null) {
+        if (!input || typeof input !== 'string') return input;
+        if (input.includes('-')) {
+            return this.scrambleRange(input.split('-'), part => this.scrambleDate(part, key));
+        }
         
-        const hash = await this.generateHash(input);
-        const numeric = this.hashToNumeric(hash);
+        // ACR-NEMA dates are written YYYY.MM.DD
+        const date = input.trim().replace(/\./g, '');
+        if (!/^\d{8}$/.test(date)) return input;
         
-        // Apply mod 3600 for offset in seconds
-        const offsetSeconds = numeric % 3600;
+        const { days, seconds } = await this.getDateTimeOffset(key);
+        const timeSeconds = this.parseTimeSeconds(time);
+        const carryDays = timeSeconds === null ? 0 : Math.floor((timeSeconds + seconds) / 86400);
         
-        // Parse original time (handle HHMMSS or HHMMSS.fff format)
-        const timeOnly = input.split('.')[0]; // Remove milliseconds if present
-        const hours = parseInt(timeOnly.substr(0, 2));
-        const minutes = parseInt(timeOnly.substr(2, 2));
-        const seconds = parseInt(timeOnly.substr(4, 2));
+        // UTC arithmetic so daylight saving changes never shift a date
+        const scrambledDate = this.applyShift(this.parseDate(date), (days + carryDays) * 86400000);
+        return this.formatDateTime(scrambledDate).substr(0, 8);
+    }
+
+    /**
+     * Scramble DICOM time by the same key's time offset as scrambleDate, so
+     * intervals between times are preserved. Partial precision (HH, HHMM)
+     * and fractional seconds are kept.
+     */
+    async scrambleTime(input, key = null) {
+        if (typeof input === 'string' && input.includes('-')) {
+            return this.scrambleRange(input.split('-'), part => this.scrambleTime(part, key));
+        }
+        const time = this.parseTime(input);
+        if (!time) return input;
         
-        // Convert to total seconds
-        let totalSeconds = hours * 3600 + minutes * 60 + seconds;
+        const { seconds } = await this.getDateTimeOffset(key);
         
-        // Apply offset
-        totalSeconds += offsetSeconds;
+        // Wrap around midnight; the paired date takes the carried day
+        const totalSeconds = (time.seconds + seconds) % 86400;
+        const scrambledTime = this.formatDateTime(new Date(totalSeconds * 1000)).substr(8, 6);
         
-        // Wrap around if exceeds 235959 (86399 seconds)
-        totalSeconds = totalSeconds % 86400;
+        return scrambledTime.substr(0, time.digits) + time.fraction;
+    }
+
+    /**
+     * Scramble DICOM date-time, YYYY[MM[DD[HH[MM[SS[.FFFFFF]]]]]][&ZZXX], by the
+     * full date-time offset. Precision and the timezone suffix are kept.
+     */
+    async scrambleDateTime(input, key = null) {
+        if (!input || typeof input !== 'string') return input;
         
-        // Convert back to HHMMSS
-        const newHours = Math.floor(totalSeconds / 3600);
-        const newMinutes = Math.floor((totalSeconds % 3600) / 60);
-        const newSecondsVal = totalSeconds % 60;
+        const value = input.trim();
+        if (!DATE_TIME_VALUE.test(value)) {
+            const range = value.match(DATE_TIME_RANGE);
+            return range
+                ? this.scrambleRange([range[1] || '', range[2] || ''], part => this.scrambleDateTime(part, key))
+                : input;
+        }
         
-        const scrambledTime = newHours.toString().padStart(2, '0') +
-                             newMinutes.toString().padStart(2, '0') +
-                             newSecondsVal.toString().padStart(2, '0');
+        const pattern = /^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\.\d{1,6})?([+-]\d{4})?$/;
+        const [, year, month, day, hours, minutes, seconds, fraction, suffix] = value.match(pattern);
+        const digits = 4 + 2 * [month, day, hours, minutes, seconds].filter(Boolean).length;
+        const { days, seconds: offsetSeconds } = await this.getDateTimeOffset(key);
         
-        // Add back milliseconds if they were in the original, but limit total length
-        if (input.includes('.')) {
-            const milliseconds = input.split('.')[1];
-            const result = scrambledTime + '.' + milliseconds;
-            // Ensure we don't exceed typical DICOM time field limits
-            return result.substr(0, Math.min(16, input.length));
-        }
+        const original = Date.UTC(
+            parseInt(year), parseInt(month || '1') - 1, parseInt(day || '1'),
+            parseInt(hours || '0'), parseInt(minutes || '0'), parseInt(seconds || '0')
+        );
+        const scrambled = this.applyShift(original, (days * 86400 + offsetSeconds) * 1000);
         
-        return scrambledTime.substr(0, Math.min(6, input.length));
+        return this.formatDateTime(scrambled).substr(0, digits) +
+            (seconds && fraction ? fraction : '') + (suffix || '');
     }
-}
 
-// Export for use in Web Worker
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = DicomScrambler;
+    /**
+     * YYYYMMDDHHMMSS of a Date, read in UTC
+     */
+    formatDateTime(date) {
+        return date.getUTCFullYear().toString().padStart(4, '0') +
+            (date.getUTCMonth() + 1).toString().padStart(2, '0') +
+            date.getUTCDate().toString().padStart(2, '0') +
+            date.getUTCHours().toString().padStart(2, '0') +
+            date.getUTCMinutes().toString().padStart(2, '0') +
+            date.getUTCSeconds().toString().padStart(2, '0');
+    }
 }
+
+return {
+    DicomScrambler,
+    DEFAULT_DATE_SHIFT,
+    DEFAULT_UID_OPTIONS,
+    PSEUDONYM_SCHEMES,
+    DEFAULT_PSEUDONYM_SCHEME,
+    PASSPHRASE_FINGERPRINT_PATTERN
+};
+}));
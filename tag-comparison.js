@@ -0,0 +1,90 @@
+/**
+ * Before/after header comparison
+ * Pairs each element of a file's original header with the de-identified
+ * one and the actions logged for it, item by item through sequences. The
+ * file meta group comes first, then the dataset. Needs formatSampleValue
+ * from dry-run-report.js.
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./dry-run-report.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function ({ formatSampleValue }) {
+
+/**
+ * Rows for the original and de-identified datasets, each { meta, dict } as
+ * read by dcmjs (deidentified is null when no output was written). actions
+ * are DicomProcessor.deidentify's, recorded with recordActions. Each row is
+ * { path, tag, vr, name, original, value, action, status, items }, where
+ * original and value are null for a missing element, status is kept,
+ * changed, removed or added, and items holds one list of rows per sequence
+ * item, or null
+ */
+function compareHeaders(original, deidentified, actions, getTagName) {
+    // Tag path -> actions logged for it, some paths getting more than one
+    const actionsByPath = new Map();
+    for (const action of actions) {
+        const logged = actionsByPath.get(action.tag) || [];
+        if (!logged.includes(action.action)) logged.push(action.action);
+        actionsByPath.set(action.tag, logged);
+    }
+    const after = deidentified || {};
+    return [
+        ...compareItems(original.meta || {}, after.meta || {}, '', actionsByPath, getTagName),
+        ...compareItems(original.dict || {}, after.dict || {}, '', actionsByPath, getTagName)
+    ];
+}
+
+function compareItems(before, after, path, actionsByPath, getTagName) {
+    const tags = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    return tags.map(tag => {
+        const element = after[tag] || before[tag];
+        const row = {
+            path: path + tag,
+            tag,
+            vr: element.vr,
+            name: getTagName(tag),
+            original: formatHeaderValue(before[tag]),
+            value: formatHeaderValue(after[tag]),
+            action: (actionsByPath.get(path + tag) || []).join(', '),
+            status: 'kept',
+            items: null
+        };
+        if (!after[tag]) {
+            row.status = 'removed';
+        } else if (!before[tag]) {
+            row.status = 'added';
+        } else if (row.original !== row.value) {
+            row.status = 'changed';
+        }
+
+        if (element.vr === 'SQ') {
+            const beforeItems = (before[tag] && before[tag].Value) || [];
+            const afterItems = (after[tag] && after[tag].Value) || [];
+            row.items = [];
+            for (let i = 0; i < Math.max(beforeItems.length, afterItems.length); i++) {
+                const items = compareItems(beforeItems[i] || {}, afterItems[i] || {}, `${path}${tag}[${i}].`, actionsByPath, getTagName);
+                row.items.push(items);
+                if (row.status === 'kept' && items.some(item => item.status !== 'kept')) row.status = 'changed';
+            }
+        }
+        return row;
+    });
+}
+
+/**
+ * Element value as text, as complete as the header holds it: multiple
+ * values joined with \, sequences by item count, binary data by size
+ */
+function formatHeaderValue(element) {
+    if (!element) return null;
+    const values = element.Value || [];
+    if (element.vr === 'SQ') return `[${values.length} item(s)]`;
+    return values.map(value => (typeof value === 'string' ? value : formatSampleValue(value))).join('\\');
+}
+
+return { compareHeaders };
+}));
@@ -0,0 +1,219 @@
+/**
+ * Tag inventory
+ * Lists every element found in a dataset, private ones and sequence items
+ * included, with its VR, dictionary name, the number of files holding it and
+ * a few distinct sample values. The file meta group (0002) is rewritten on
+ * output rather than de-identified, so it is left out.
+ * Scanning files requires dcmjs and formatSampleValue from dry-run-report.js;
+ * merging and exporting need neither.
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./dcmjs.min.js'), require('./dry-run-report.js'));
+    } else {
+        Object.assign(root, factory(root.dcmjs, root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (dcmjs, { formatSampleValue }) {
+
+// Distinct sample values kept per tag
+const TAG_INVENTORY_SAMPLES_PER_TAG = 5;
+
+// Names of the PS3.15 action codes a profile resolves to
+const PROFILE_ACTION_NAMES = {
+    X: 'delete',
+    Z: 'empty',
+    D: 'dummy value',
+    U: 'new UID',
+    C: 'clean',
+    K: 'keep'
+};
+
+class TagInventory {
+    /**
+     * @param {Object} data - an inventory's toJSON(), or { includeSamples: false }
+     *   to leave values out of the inventory
+     */
+    constructor(data = {}) {
+        this.includeSamples = data.includeSamples !== false;
+        this.files = data.files || 0;
+        this.unreadable = data.unreadable ? [...data.unreadable] : [];
+        // Tag path (item indexes dropped, private creator appended) ->
+        // { key, tag, vr, name, creator, files, samples }
+        this.tags = new Map(Object.entries(data.tags || {}));
+    }
+
+    /**
+     * Parse one file and count its elements; returns the parse error message
+     * when it cannot be read, otherwise null
+     */
+    addFile(filename, arrayBuffer) {
+        this.files++;
+        let dataSet;
+        try {
+            dataSet = dcmjs.data.DicomMessage.readFile(arrayBuffer);
+        } catch (error) {
+            this.unreadable.push({ filename, error: error.message });
+            return error.message;
+        }
+        this.addDataset(dataSet.dict, '', new Set());
+        return null;
+    }
+
+    addDataset(dict, path, seen) {
+        // Private creators of this dataset or item, by creator element
+        const creators = {};
+        for (const tag of Object.keys(dict)) {
+            if (isPrivateCreatorElement(tag)) {
+                const values = dict[tag].Value || [];
+                creators[tag] = String(values[0] || '').trim();
+            }
+        }
+
+        for (const [tag, element] of Object.entries(dict)) {
+            const creator = isPrivateCreatorElement(tag) ? creators[tag] : creators[getPrivateCreatorElement(tag)];
+            const key = `${path}${tag}` + (creator ? ` ${creator}` : '');
+            let entry = this.tags.get(key);
+            if (!entry) {
+                entry = { key, tag, vr: element.vr, name: getInventoryTagName(tag, creator), creator: creator || '', files: 0, samples: [] };
+                this.tags.set(key, entry);
+            }
+            if (!seen.has(key)) {
+                seen.add(key);
+                entry.files++;
+            }
+
+            if (element.vr === 'SQ') {
+                for (const item of element.Value || []) {
+                    if (item && typeof item === 'object') {
+                        this.addDataset(item, `${path}${tag}[].`, seen);
+                    }
+                }
+            } else if (this.includeSamples && element.Value && element.Value.length > 0) {
+                this.addSample(entry, formatSampleValue(element.Value));
+            }
+        }
+    }
+
+    addSample(entry, sample) {
+        if (entry.samples.length >= TAG_INVENTORY_SAMPLES_PER_TAG || entry.samples.includes(sample)) return;
+        entry.samples.push(sample);
+    }
+
+    /**
+     * Add another inventory's counts, e.g. one posted by a worker
+     */
+    merge(data) {
+        const other = data instanceof TagInventory ? data : new TagInventory(data);
+        this.files += other.files;
+        this.unreadable.push(...other.unreadable);
+        for (const [key, theirs] of other.tags) {
+            const ours = this.tags.get(key);
+            if (!ours) {
+                this.tags.set(key, { ...theirs, samples: this.includeSamples ? [...theirs.samples] : [] });
+                continue;
+            }
+            ours.files += theirs.files;
+            if (this.includeSamples) {
+                theirs.samples.forEach(sample => this.addSample(ours, sample));
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Entries sorted by tag path
+     */
+    getEntries() {
+        return [...this.tags.values()].sort((a, b) => a.key.localeCompare(b.key));
+    }
+
+    /**
+     * What de-identification does with a tag under the given profile and tag
+     * configuration, in the order DicomProcessor decides it:
+     * { action, source, removed }
+     */
+    describeHandling(entry, profile, tagConfigurations) {
+        if (entry.tag === '7FE00010') {
+            return { action: 'keep', source: 'pixel data', removed: false };
+        }
+        const config = tagConfigurations[entry.tag];
+        if (config && config.ifPresent && config.ifPresent !== 'profile') {
+            return { action: config.ifPresent, source: 'tag configuration', removed: config.ifPresent === 'delete' };
+        }
+        if (entry.creator && profile.hasSafePrivateAttributes()) {
+            const safe = profile.isPrivateCreatorTag(entry.tag)
+                ? profile.isSafePrivateCreator(entry.tag, entry.creator)
+                : profile.isSafePrivateElement(entry.tag, entry.creator);
+            if (safe) return { action: 'keep', source: 'safe private list', removed: false };
+        }
+        const code = profile.getAction(entry.tag, entry.vr);
+        return { action: PROFILE_ACTION_NAMES[code] || code, source: 'profile', removed: code === 'X' };
+    }
+
+    /**
+     * One row per tag path, with its handling under the given settings
+     */
+    generateCSV(profile, tagConfigurations) {
+        const headers = ['Tag', 'VR', 'Name', 'Private Creator', 'Files', 'Handling', 'Sample Values'];
+        let csv = headers.join(',') + '\n';
+        for (const entry of this.getEntries()) {
+            const handling = this.describeHandling(entry, profile, tagConfigurations);
+            const row = [
+                this.escapeCSV(entry.key.replace(/ .*$/, '')),
+                entry.vr,
+                this.escapeCSV(entry.name),
+                this.escapeCSV(entry.creator),
+                entry.files,
+                this.escapeCSV(`${handling.action} (${handling.source})`),
+                this.escapeCSV(entry.samples.join(' | '))
+            ];
+            csv += row.join(',') + '\n';
+        }
+        return csv;
+    }
+
+    toJSON() {
+        return {
+            includeSamples: this.includeSamples,
+            files: this.files,
+            unreadable: this.unreadable,
+            tags: Object.fromEntries(this.tags)
+        };
+    }
+
+    escapeCSV(value) {
+        if (!value) return '';
+        value = value.toString();
+        if (value.includes(',') || value.includes('"') || value.includes('\n')) {
+            return '"' + value.replace(/"/g, '""') + '"';
+        }
+        return value;
+    }
+}
+
+function isPrivateCreatorElement(tag) {
+    const element = parseInt(tag.substr(4, 4), 16);
+    return parseInt(tag.substr(0, 4), 16) % 2 === 1 && element >= 0x0010 && element <= 0x00FF;
+}
+
+/**
+ * Creator element reserving the block of a private data element, otherwise null
+ */
+function getPrivateCreatorElement(tag) {
+    if (parseInt(tag.substr(0, 4), 16) % 2 !== 1 || parseInt(tag.substr(4, 4), 16) < 0x1000) return null;
+    return `${tag.substr(0, 4)}00${tag.substr(4, 2)}`.toUpperCase();
+}
+
+/**
+ * Dictionary name of a tag, named as in the verbose log for private ones
+ */
+function getInventoryTagName(tag, creator) {
+    if (isPrivateCreatorElement(tag)) return 'PrivateCreator';
+    if (parseInt(tag.substr(0, 4), 16) % 2 === 1) return creator ? `Private (${creator})` : 'Private Tag';
+    const entry = dcmjs.data.DicomMetaDictionary.dictionary[`(${tag.substr(0, 4)},${tag.substr(4, 4)})`];
+    return entry ? entry.name : 'Unknown Tag';
+}
+
+return { TagInventory };
+}));
@@ -17,6 +17,89 @@ async function dismissDisclaimer(page) {
   }
 }
 
+/**
+ * Build a small CT dataset in the page, run it through dicom-worker.js and
+ * return the parsed output. `tagOverrides` is merged onto the default tag
+ * configuration for the chosen profile; `extraTags` is merged onto the dataset.
+ * OB/OW values are passed in and pixel data comes back as byte arrays, since
+ * ArrayBuffers do not serialize.
+ */
+async function processSampleInWorker(page, { tagOverrides = {}, extraTags = {}, deidProfile = { name: 'whitelist', options: {} }, verboseMode = false, pixelRedactionRules = [], dateShift = {}, patientAge = {}, uidOptions = {}, pseudonymScheme, pseudonymLookup } = {}) {
+  return page.evaluate(async ({ tagOverrides, extraTags, deidProfile, verboseMode, pixelRedactionRules, dateShift, patientAge, uidOptions, pseudonymScheme, pseudonymLookup }) => {
+    // @ts-ignore - dcmjs global
+    const { DicomDict, DicomMessage } = dcmjs.data;
+    for (const element of Object.values(extraTags)) {
+      if (['OB', 'OW'].includes(element.vr) && typeof element.Value[0] === 'number') {
+        element.Value = [new Uint8Array(element.Value).buffer];
+      }
+    }
+    const input = new DicomDict({
+      '00020001': { vr: 'OB', Value: [new Uint8Array([0, 1]).buffer] },
+      '00020002': { vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.2'] },
+      '00020003': { vr: 'UI', Value: ['1.2.3.4.5.6'] },
+      '00020010': { vr: 'UI', Value: ['1.2.840.10008.1.2.1'] },
+    });
+    input.dict = {
+      '00080016': { vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.2'] },
+      '00080018': { vr: 'UI', Value: ['1.2.3.4.5.6'] },
+      '00080020': { vr: 'DA', Value: ['20200115'] },
+      '00080030': { vr: 'TM', Value: ['093000'] },
+      '00080050': { vr: 'SH', Value: ['ACC123'] },
+      '00080080': { vr: 'LO', Value: ['General Hospital'] },
+      '00100010': { vr: 'PN', Value: ['Doe^John'] },
+      '00100020': { vr: 'LO', Value: ['1234567'] },
+      '00100030': { vr: 'DA', Value: ['19500101'] },
+      '00101010': { vr: 'AS', Value: ['070Y'] },
+      '0020000D': { vr: 'UI', Value: ['1.2.3.4.5'] },
+      ...extraTags,
+    };
+
+    // @ts-ignore - app global
+    const tagConfigurations = new DicomDeidentifier().getDefaultTagConfigurations(deidProfile.name);
+    for (const [tag, override] of Object.entries(tagOverrides)) {
+      tagConfigurations[tag] = { ...tagConfigurations[tag], ...override };
+    }
+
+    const worker = new Worker('dicom-worker.js');
+    const message = await new Promise((resolve) => {
+      worker.onmessage = (e) => { if (e.data.type === 'COMPLETE') resolve(e.data); };
+      worker.postMessage({
+        type: 'PROCESS_FILES',
+        data: {
+          files: [{ filename: 'a.dcm', data: input.write() }],
+          passphrase: 'testpass',
+          workerId: 0,
+          allowedSOPClassUIDs: ['1.2.840.10008.5.1.4.1.1.2'],
+          tagConfigurations,
+          verboseMode,
+          decompressMode: false,
+          deidProfile,
+          pixelRedactionRules,
+          dateShift,
+          patientAge,
+          uidOptions,
+          pseudonymScheme,
+          pseudonymLookup,
+        },
+      });
+    });
+    worker.terminate();
+    const output = DicomMessage.readFile(message.results[0].data);
+    const pixelElement = output.dict['7FE00010'];
+    const pixelData = pixelElement ? Array.from(new Uint8Array(pixelElement.Value[0])) : null;
+    return {
+      dict: output.dict,
+      meta: output.meta,
+      pixelData,
+      auditTrail: message.auditTrail,
+      verboseLog: message.verboseLog,
+      errorLog: message.errorLog,
+      uidCollisions: message.uidCollisions,
+      uidMappings: message.uidMappings,
+    };
+  }, { tagOverrides, extraTags, deidProfile, verboseMode, pixelRedactionRules, dateShift, patientAge, uidOptions, pseudonymScheme, pseudonymLookup });
+}
+
 // ────────────────────────────────────────────────
 // 1. Smoke: app loads, disclaimer works
 // ────────────────────────────────────────────────
@@ -217,3 +300,1350 @@ test('no JavaScript errors on page load', async ({ page }) => {
   await page.waitForTimeout(1000);
   expect(errors).toEqual([]);
 });
+
+// ────────────────────────────────────────────────
+// 10. Worker: "if present" tag configuration drives processing
+// ────────────────────────────────────────────────
+test('worker applies ifPresent delete / replace / unchanged from tag configuration', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const { dict } = await processSampleInWorker(page, {
+    tagOverrides: {
+      '00100010': { ifPresent: 'delete' },
+      '00100020': { ifPresent: 'replace', presentValue: 'SUBJ-0001' },
+      '00080080': { ifPresent: 'unchanged' },
+    },
+  });
+
+  expect(dict['00100010']).toBeUndefined();
+  expect(dict['00100020'].Value[0]).toBe('SUBJ-0001');
+  expect(dict['00080080'].Value[0]).toBe('General Hospital');
+  expect(dict['00080018'].Value[0]).not.toBe('1.2.3.4.5.6');
+});
+
+// ────────────────────────────────────────────────
+// 11. Worker: PS3.15 Basic Profile actions and method recording
+// ────────────────────────────────────────────────
+test('worker applies PS3.15 Basic Profile with options and records the method', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const { dict } = await processSampleInWorker(page, {
+    deidProfile: { name: 'basic', options: { retainPatientCharacteristics: true, retainLongitudinalModifiedDates: true } },
+    extraTags: {
+      '00181000': { vr: 'LO', Value: ['SN-0042'] },
+      '00091010': { vr: 'LO', Value: ['private'] },
+    },
+  });
+
+  // Retain Patient Characteristics keeps PatientAge (X without the option)
+  expect(dict['00101010'].Value[0]).toBe('070Y');
+  // Modified Dates shifts StudyDate instead of emptying it
+  expect(dict['00080020'].Value[0]).toMatch(/^\d{8}$/);
+  expect(dict['00080020'].Value[0]).not.toBe('20200115');
+  // DeviceSerialNumber (X/Z/D) gets a dummy, private tags are removed
+  expect(dict['00181000'].Value[0]).not.toBe('SN-0042');
+  expect(dict['00091010']).toBeUndefined();
+
+  expect(dict['00120062'].Value[0]).toBe('YES');
+  expect(dict['00120063'].Value).toContain('DICOM PS3.15 Basic Profile');
+  const codes = dict['00120064'].Value.map((item) => item['00080100'].Value[0]);
+  expect(codes).toEqual(['113100', '113107', '113108']);
+  expect(dict['00280303'].Value[0]).toBe('MODIFIED');
+});
+
+// ────────────────────────────────────────────────
+// 12. Longitudinal temporal information follows the applied date actions
+// ────────────────────────────────────────────────
+test('LongitudinalTemporalInformationModified reflects shifted dates and profiles add no placeholders', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const shifted = await processSampleInWorker(page);
+  expect(shifted.dict['00280303'].Value[0]).toBe('MODIFIED');
+
+  const kept = await processSampleInWorker(page, {
+    tagOverrides: {
+      '00080020': { ifPresent: 'unchanged' },
+      '00080030': { ifPresent: 'unchanged' },
+      '00100030': { ifPresent: 'delete' },
+    },
+  });
+  expect(kept.dict['00080020'].Value[0]).toBe('20200115');
+  expect(kept.dict['00280303'].Value[0]).toBe('UNMODIFIED');
+
+  // The Basic Profile empties StudyDate and, by default, fabricates no missing PatientSex
+  const basic = await processSampleInWorker(page, { deidProfile: { name: 'basic', options: {} } });
+  expect(basic.dict['00280303'].Value[0]).toBe('REMOVED');
+  expect(basic.dict['00100040']).toBeUndefined();
+  const defaults = await page.evaluate(() => {
+    // @ts-ignore - app global
+    return new DicomDeidentifier().getDefaultTagConfigurations('basic')['00100040'].ifNotPresent;
+  });
+  expect(defaults).toBe('profile');
+});
+
+// ────────────────────────────────────────────────
+// 13. Worker: de-identification recurses into sequence items
+// ────────────────────────────────────────────────
+test('worker de-identifies nested sequence items and logs their paths', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const { dict, verboseLog } = await processSampleInWorker(page, {
+    verboseMode: true,
+    extraTags: {
+      '00082218': {
+        vr: 'SQ',
+        Value: [{
+          '00080100': { vr: 'SH', Value: ['T-A0100'] },
+          '00080104': { vr: 'LO', Value: ['Brain'] },
+          '00100010': { vr: 'PN', Value: ['Doe^Jane'] },
+          '00091010': { vr: 'LO', Value: ['private'] },
+        }],
+      },
+    },
+  });
+
+  const item = dict['00082218'].Value[0];
+  expect(item['00080100'].Value[0]).toBe('T-A0100');
+  expect(item['00080104'].Value[0]).toBe('Brain');
+  expect(item['00100010'].Value[0]).not.toBe('Doe^Jane');
+  expect(item['00091010']).toBeUndefined();
+  expect(verboseLog).toContain('00082218[0].00100010');
+});
+
+// ────────────────────────────────────────────────
+// 14. Worker: safe private attributes resolved through the private creator
+// ────────────────────────────────────────────────
+test('worker keeps safe private elements by creator and removes other private tags', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const { dict, auditTrail } = await processSampleInWorker(page, {
+    deidProfile: {
+      name: 'whitelist',
+      options: {},
+      safePrivateAttributes: [{ group: '0019', creator: 'SIEMENS MR HEADER', elements: ['0C'] }],
+    },
+    extraTags: {
+      '00190010': { vr: 'LO', Value: ['SIEMENS MR HEADER'] },
+      '00190011': { vr: 'LO', Value: ['OTHER VENDOR'] },
+      '0019100C': { vr: 'IS', Value: [1000] },
+      '0019100D': { vr: 'LO', Value: ['not listed'] },
+      '0019110C': { vr: 'LO', Value: ['other creator'] },
+    },
+  });
+
+  expect(dict['00190010'].Value[0]).toBe('SIEMENS MR HEADER');
+  expect(Number(dict['0019100C'].Value[0])).toBe(1000);
+  expect(dict['0019100D']).toBeUndefined();
+  expect(dict['00190011']).toBeUndefined();
+  expect(dict['0019110C']).toBeUndefined();
+  expect(dict['00120063'].Value).toContain('Retain Safe Private Option');
+  expect(auditTrail[0].retainedPrivateTags).toBe('0019100C SIEMENS MR HEADER');
+});
+
+// ────────────────────────────────────────────────
+// 15. Worker: burned-in annotation redaction by rule
+// ────────────────────────────────────────────────
+test('worker blacks out configured pixel regions for matching images', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const pixelTags = {
+    '00080060': { vr: 'CS', Value: ['US'] },
+    '00080070': { vr: 'LO', Value: ['GE Healthcare'] },
+    '00280002': { vr: 'US', Value: [1] },
+    '00280004': { vr: 'CS', Value: ['MONOCHROME2'] },
+    '00280010': { vr: 'US', Value: [2] },
+    '00280011': { vr: 'US', Value: [3] },
+    '00280100': { vr: 'US', Value: [8] },
+    '00280101': { vr: 'US', Value: [8] },
+    '00280102': { vr: 'US', Value: [7] },
+    '00280103': { vr: 'US', Value: [0] },
+  };
+  const rules = await page.evaluate(() => {
+    // @ts-ignore - app global
+    return parsePixelRedactionRules('Modality=US, Manufacturer=GE* : 0,0,2,1\nModality=CT : 0,0,3,2');
+  });
+
+  const { pixelData, dict, auditTrail } = await processSampleInWorker(page, {
+    pixelRedactionRules: rules,
+    extraTags: { ...pixelTags, '7FE00010': { vr: 'OB', Value: [9, 9, 9, 9, 9, 9] } },
+  });
+
+  expect(pixelData).toEqual([0, 0, 9, 9, 9, 9]);
+  expect(dict['00280301'].Value[0]).toBe('NO');
+  expect(auditTrail[0].pixelRedactions).toBe('Modality=US, Manufacturer=GE* @ 0,0,2,1');
+});
+
+// ────────────────────────────────────────────────
+// 16. Worker: dates and times share one per-patient date-time offset
+// ────────────────────────────────────────────────
+test('worker shifts paired dates and times by one offset, preserving intervals', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const { dict } = await processSampleInWorker(page, {
+    extraTags: {
+      '00080021': { vr: 'DA', Value: ['20200115'] },
+      '00080031': { vr: 'TM', Value: ['235930'] },
+      '00080022': { vr: 'DA', Value: ['20200116'] },
+      '00080032': { vr: 'TM', Value: ['000030'] },
+    },
+  });
+
+  const toMillis = (date, time) => Date.UTC(
+    +date.substr(0, 4), +date.substr(4, 2) - 1, +date.substr(6, 2),
+    +time.substr(0, 2), +time.substr(2, 2), +time.substr(4, 2)
+  );
+  const study = toMillis(dict['00080020'].Value[0], dict['00080030'].Value[0]);
+  const series = toMillis(dict['00080021'].Value[0], dict['00080031'].Value[0]);
+  const acquisition = toMillis(dict['00080022'].Value[0], dict['00080032'].Value[0]);
+
+  expect(dict['00080030'].Value[0]).not.toBe('093000');
+  expect(series - study).toBe(toMillis('20200115', '235930') - toMillis('20200115', '093000'));
+  expect(acquisition - series).toBe(60 * 1000);
+});
+
+// ────────────────────────────────────────────────
+// 17. Worker: DT values and dates in sequences use the same offset
+// ────────────────────────────────────────────────
+test('worker shifts DT values, including nested ones, by the shared offset', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const { dict } = await processSampleInWorker(page, {
+    extraTags: {
+      '0008002A': { vr: 'DT', Value: ['20200115093000.25+0100'] },
+      '00082218': {
+        vr: 'SQ',
+        Value: [{
+          '00080100': { vr: 'SH', Value: ['T-A0100'] },
+          '0008002A': { vr: 'DT', Value: ['202001'] },
+        }, {
+          '0008002A': { vr: 'DT', Value: ['2019-2020'] },
+        }],
+      },
+    },
+  });
+
+  const studyDateTime = dict['00080020'].Value[0] + dict['00080030'].Value[0];
+  expect(dict['0008002A'].Value[0]).toBe(`${studyDateTime}.25+0100`);
+  const items = dict['00082218'].Value;
+  expect(items[0]['0008002A'].Value[0]).toMatch(/^\d{6}$/);
+  // A year range shifts both ends; only a full-precision value has an offset
+  const [startYear, endYear] = items[1]['0008002A'].Value[0].split('-').map(Number);
+  expect(endYear - startYear).toBe(1);
+  expect(startYear).not.toBe(2019);
+
+  // Range ends with negative offsets, as in a query, keep their offsets
+  const range = await page.evaluate(async () => {
+    // @ts-ignore - shared helpers
+    return new DicomScrambler('testpass').scrambleDateTime('20200101120000-0500-20200102120000-0500', 'P1');
+  });
+  const [, start, end] = range.match(/^(\d{14})-0500-(\d{14})-0500$/);
+  const toTime = (value) => Date.UTC(+value.substr(0, 4), +value.substr(4, 2) - 1, +value.substr(6, 2),
+    +value.substr(8, 2), +value.substr(10, 2), +value.substr(12, 2));
+  expect(start).not.toBe('20200101120000');
+  expect(toTime(end) - toTime(start)).toBe(24 * 60 * 60 * 1000);
+});
+
+// ────────────────────────────────────────────────
+// 18. Worker: configurable date-shift strategy
+// ────────────────────────────────────────────────
+test('worker applies backward offsets and fixed-anchor date shifting', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const backward = await processSampleInWorker(page, {
+    dateShift: { key: 'study', mode: 'offset', minDays: -30, maxDays: -1 },
+  });
+  const studyDate = backward.dict['00080020'].Value[0];
+  expect(studyDate < '20200115').toBe(true);
+  expect(studyDate >= '20191216').toBe(true);
+
+  // Birth date moves to the anchor; the study keeps its day count from birth
+  const anchored = await processSampleInWorker(page, {
+    dateShift: { key: 'patient', mode: 'anchor', anchorDate: '20000101' },
+  });
+  expect(anchored.dict['00100030'].Value[0]).toBe('20000101');
+  expect(anchored.dict['00080020'].Value[0]).toBe('20700114');
+  expect(anchored.dict['00080030'].Value[0]).toBe('093000');
+});
+
+// ────────────────────────────────────────────────
+// 19. Fixed-anchor date shift across a patient's studies
+// ────────────────────────────────────────────────
+test('fixed anchor per patient keeps the interval between two studies of one patient', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const dateShift = { key: 'patient', mode: 'anchor', anchorDate: '20000101' };
+  const first = await processSampleInWorker(page, { dateShift });
+  const second = await processSampleInWorker(page, {
+    dateShift,
+    extraTags: {
+      '0020000D': { vr: 'UI', Value: ['1.2.3.4.9'] },
+      '00080020': { vr: 'DA', Value: ['20210301'] },
+    },
+  });
+  // Both studies move by the birth date's offset: 411 days apart before and after
+  expect(first.dict['00100030'].Value[0]).toBe('20000101');
+  expect(second.dict['00100030'].Value[0]).toBe('20000101');
+  expect(first.dict['00080020'].Value[0]).toBe('20700114');
+  expect(second.dict['00080020'].Value[0]).toBe('20710301');
+
+  const rejected = await page.evaluate(() => {
+    const attempt = (fn) => {
+      try {
+        return fn();
+      } catch (error) {
+        return error.message;
+      }
+    };
+    // @ts-ignore - shared helpers
+    const scrambler = new DicomScrambler('testpass', { key: 'patient', mode: 'anchor', anchorDate: '20000101' });
+    return {
+      noBirthDate: attempt(() => scrambler.getShiftKey({ patientID: 'P1', studyUID: '1.2.3', studyDate: '20200115' })),
+      // @ts-ignore - shared helpers
+      noStudyDate: attempt(() => new DicomScrambler('testpass', { key: 'study', mode: 'anchor', anchorDate: '20000101' })
+        .getShiftKey({ patientID: 'P1', studyUID: '1.2.3', birthDate: '19500101' })),
+      // @ts-ignore - shared helpers
+      global: attempt(() => new DicomScrambler('testpass', { key: 'global', mode: 'anchor', anchorDate: '20000101' })),
+    };
+  });
+  expect(rejected.noBirthDate).toContain('needs a Patient\'s Birth Date');
+  expect(rejected.noStudyDate).toContain('needs a Study Date');
+  expect(rejected.global).toContain('per-patient or per-study shift key');
+});
+
+// ────────────────────────────────────────────────
+// 20. Worker: PatientAge recalculation and HIPAA capping
+// ────────────────────────────────────────────────
+test('worker recalculates PatientAge and caps ages over 89', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const recalculated = await processSampleInWorker(page, {
+    patientAge: { mode: 'recalculate', capOver89: false, bins: [] },
+    extraTags: { '00101010': { vr: 'AS', Value: ['055Y'] } },
+  });
+  expect(recalculated.dict['00101010'].Value[0]).toBe('070Y');
+  expect(recalculated.auditTrail[0].ageRule).toBe('recalculated');
+
+  const capped = await processSampleInWorker(page, {
+    patientAge: { mode: 'recalculate', capOver89: true, bins: [] },
+    extraTags: { '00100030': { vr: 'DA', Value: ['19200101'] } },
+  });
+  expect(capped.dict['00101010'].Value[0]).toBe('090Y');
+  expect(capped.dict['00100030'].Value.filter(Boolean)).toEqual([]);
+  expect(capped.auditTrail[0].ageRule).toBe('recalculated, capped at 090Y');
+});
+
+// ────────────────────────────────────────────────
+// 21. Worker: PatientAge rules under the default tag configuration
+// ────────────────────────────────────────────────
+test('worker applies PatientAge rules through the default whitelist configuration', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  // The whitelist keeps PatientAge ("unchanged"), which the rules still refine
+  const defaults = await page.evaluate(() => {
+    // @ts-ignore - app global
+    return new DicomDeidentifier().getDefaultTagConfigurations('whitelist')['00101010'].ifPresent;
+  });
+  expect(defaults).toBe('unchanged');
+
+  const binned = await processSampleInWorker(page, {
+    patientAge: { mode: 'keep', capOver89: false, bins: [0, 18, 65] },
+  });
+  expect(binned.dict['00101010'].Value[0]).toBe('065Y');
+  expect(binned.auditTrail[0].ageRule).toBe('binned 65Y+');
+
+  // An explicit replace decides the value on its own
+  const replaced = await processSampleInWorker(page, {
+    patientAge: { mode: 'recalculate', capOver89: true, bins: [] },
+    tagOverrides: { '00101010': { ifPresent: 'replace', presentValue: '030Y' } },
+    extraTags: { '00100030': { vr: 'DA', Value: ['19200101'] } },
+  });
+  expect(replaced.dict['00101010'].Value[0]).toBe('030Y');
+  expect(replaced.auditTrail[0].ageRule).toBe('');
+});
+
+// ────────────────────────────────────────────────
+// 22. Worker: full-strength UID generation
+// ────────────────────────────────────────────────
+test('worker generates 2.25 UUID-derived or rooted UIDs without collisions', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const uuid = await processSampleInWorker(page);
+  const sopInstanceUID = uuid.dict['00080018'].Value[0];
+  expect(sopInstanceUID).toMatch(/^2\.25\.[1-9]\d*$/);
+  expect(uuid.meta['00020003'].Value[0]).toBe(sopInstanceUID);
+  expect(uuid.uidCollisions).toBe(0);
+
+  const rooted = await processSampleInWorker(page, { uidOptions: { scheme: 'root', root: '1.2.840.99999' } });
+  expect(rooted.dict['00080018'].Value[0]).toMatch(/^1\.2\.840\.99999\.[1-9]\d+$/);
+  expect(rooted.dict['00080018'].Value[0].length).toBe(64);
+});
+
+// ────────────────────────────────────────────────
+// 23. UID collisions between worker chunks
+// ────────────────────────────────────────────────
+test('worker reports UID digests so collisions across workers are caught in one registry', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  // 2.25 UUIDs cannot plausibly collide, so nothing is recorded or sent
+  const uuid = await processSampleInWorker(page);
+  expect(uuid.uidMappings).toEqual([]);
+
+  const { uidMappings } = await processSampleInWorker(page, { uidOptions: { scheme: 'root', root: '1.2.840.99999' } });
+  expect(uidMappings.length).toBeGreaterThan(0);
+  for (const [newDigest, originalDigest, filename] of uidMappings) {
+    expect(Number.isSafeInteger(newDigest)).toBe(true);
+    expect(Number.isSafeInteger(originalDigest)).toBe(true);
+    expect(filename).toBe('a.dcm');
+  }
+
+  const checked = await page.evaluate((uidMappings) => {
+    // @ts-ignore - shared helpers
+    const registry = new UIDRegistry();
+    const first = registry.merge(uidMappings);
+    const again = registry.merge(uidMappings);
+    // Another worker's file whose different original UID mapped to the same new UID
+    const [newDigest, originalDigest] = uidMappings[0];
+    const second = registry.merge([[newDigest, originalDigest + 1, 'other.dcm']]);
+    // @ts-ignore - shared helpers
+    return { first, again, second, log: generateUIDCollisionLog(second), size: registry.uids.size };
+  }, uidMappings);
+
+  expect(checked.first).toEqual([]);
+  expect(checked.again).toEqual([]);
+  expect(checked.second).toEqual([{ filename: 'other.dcm', message: 'A new UID was also generated for a different original UID on another worker' }]);
+  expect(checked.log).toContain('other.dcm\tUID_COLLISION');
+  expect(checked.size).toBe(uidMappings.length);
+});
+
+// ────────────────────────────────────────────────
+// 24. Worker: referenced UIDs use the same mapping as the instances
+// ────────────────────────────────────────────────
+test('worker remaps referenced and frame of reference UIDs consistently', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const { dict } = await processSampleInWorker(page, {
+    extraTags: {
+      '00200052': { vr: 'UI', Value: ['1.2.3.4.99'] },
+      '00081140': {
+        vr: 'SQ',
+        Value: [{
+          '00081150': { vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.2'] },
+          // The sample's own SOPInstanceUID, as another image would reference it
+          '00081155': { vr: 'UI', Value: ['1.2.3.4.5.6'] },
+        }],
+      },
+    },
+  });
+
+  const reference = dict['00081140'].Value[0];
+  expect(reference['00081155'].Value[0]).toBe(dict['00080018'].Value[0]);
+  expect(reference['00081150'].Value[0]).toBe('1.2.840.10008.5.1.4.1.1.2');
+  expect(dict['00200052'].Value[0]).toMatch(/^2\.25\./);
+  expect(dict['00080016'].Value[0]).toBe('1.2.840.10008.5.1.4.1.1.2');
+});
+
+// ────────────────────────────────────────────────
+// 25. Re-identification: audit CSV maps pseudonyms back to the originals
+// ────────────────────────────────────────────────
+test('re-identifies a de-identified dataset from the audit CSV and passphrase', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const { dict, auditTrail } = await processSampleInWorker(page);
+  const { results, wrongPassphrase } = await page.evaluate(async ({ dict, auditTrail }) => {
+    // @ts-ignore - app global
+    const app = new DicomDeidentifier();
+    app.auditTrails = [auditTrail];
+    // @ts-ignore - app global
+    const reidentifier = AuditReidentifier.fromCSV(app.generateMasterCSV());
+
+    const results = reidentifier.reidentifyDataset(dict, 'a.dcm');
+    results.push(...reidentifier.reidentifyPseudonyms('UNKNOWN1'));
+    // @ts-ignore - app global
+    await reidentifier.verify(results, new DicomScrambler('testpass'));
+    // @ts-ignore - app global
+    const wrong = await reidentifier.verify(reidentifier.reidentifyDataset(dict, 'a.dcm'), new DicomScrambler('otherpass'));
+
+    return {
+      results: results.map(r => [r.identifier, r.originals.join(' | '), r.status]),
+      wrongPassphrase: wrong.map(r => r.status),
+    };
+  }, { dict, auditTrail });
+
+  expect(results).toEqual([
+    ['Study Instance UID', '1.2.3.4.5', 'verified'],
+    ['Accession', 'ACC123', 'verified'],
+    ['Patient ID', '1234567', 'verified'],
+    ['', '', 'not found'],
+  ]);
+  expect(wrongPassphrase).toEqual(['passphrase mismatch', 'passphrase mismatch', 'passphrase mismatch']);
+});
+
+// ────────────────────────────────────────────────
+// 26. Audit encryption: originals leave only in the encrypted artifact
+// ────────────────────────────────────────────────
+test('encrypted audit keeps originals out of the output ZIP and decrypts with the audit passphrase', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const { auditTrail } = await processSampleInWorker(page);
+  const result = await page.evaluate(async (auditTrail) => {
+    // @ts-ignore - app global
+    const app = new DicomDeidentifier();
+    app.auditTrails = [auditTrail];
+    app.results = [{ success: true, filename: 'a.dcm', data: new Uint8Array([1, 2, 3]) }];
+    app.skippedFiles = 0;
+    app.encryptAudit = true;
+    app.auditPassphrase = 'audit-secret';
+
+    // @ts-ignore - JSZip global
+    const outputZip = await new JSZip().loadAsync(await app.createOutputZip());
+    const encrypted = new Uint8Array(await app.encryptedAudit.arrayBuffer());
+    // @ts-ignore - app global
+    const auditZip = await new JSZip().loadAsync(await decryptAuditArtifact(encrypted, 'audit-secret'));
+    // @ts-ignore - app global
+    const wrongPassphrase = await decryptAuditArtifact(encrypted, 'other-secret').then(() => 'decrypted', (e) => e.message);
+
+    return {
+      outputFiles: Object.keys(outputZip.files),
+      auditFiles: Object.keys(auditZip.files).sort(),
+      csv: await auditZip.file('deidentification_audit.csv').async('string'),
+      wrongPassphrase,
+    };
+  }, auditTrail);
+
+  expect(result.outputFiles).toEqual(['a.dcm']);
+  expect(result.auditFiles).toEqual(['deidentification_audit.csv', 'output.log']);
+  expect(result.csv).toContain('1234567');
+  expect(result.wrongPassphrase).toBe('Wrong passphrase or corrupted audit file');
+});
+
+// ────────────────────────────────────────────────
+// 27. Pseudonym scheme: keyed HMAC by default, legacy hash reproducible
+// ────────────────────────────────────────────────
+test('worker uses the HMAC scheme by default and reproduces legacy pseudonyms', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const v2 = await processSampleInWorker(page);
+  const v1 = await processSampleInWorker(page, { pseudonymScheme: 'v1' });
+
+  // SHA-256('1234567' + 'testpass'), as written before schemes were versioned
+  expect(v1.dict['00100020'].Value[0]).toBe('UYHVAC4R');
+  expect(v2.dict['00100020'].Value[0]).not.toBe('UYHVAC4R');
+  expect(v2.dict['00100020'].Value[0]).toMatch(/^[A-Z0-9]{8}$/);
+
+  expect(v2.auditTrail[0].pseudonymScheme).toBe('v2');
+  expect(v1.auditTrail[0].pseudonymScheme).toBe('v1');
+  expect(v2.dict['00120063'].Value).toContain('Pseudonym scheme v2');
+});
+
+// ────────────────────────────────────────────────
+// 28. Passphrase fingerprint: recorded in the audit, checked on later runs
+// ────────────────────────────────────────────────
+test('passphrase fingerprint from a previous audit flags a mistyped passphrase', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const { auditTrail } = await processSampleInWorker(page);
+  const result = await page.evaluate(async (auditTrail) => {
+    // @ts-ignore - app global
+    const app = new DicomDeidentifier();
+    app.auditTrails = [auditTrail];
+    // @ts-ignore - app global
+    app.passphraseFingerprint = await DicomScrambler.createPassphraseFingerprint('testpass');
+    const csv = app.generateMasterCSV();
+
+    app.previousFingerprint = app.findPassphraseFingerprint(csv);
+    app.passphrase = 'testpass';
+    const sameMatches = await app.checkPassphraseFingerprint();
+    app.passphrase = 'testpas';
+    const typoMatches = await app.checkPassphraseFingerprint();
+
+    return {
+      recorded: app.previousFingerprint === app.passphraseFingerprint,
+      // @ts-ignore - app global
+      rerun: await DicomScrambler.createPassphraseFingerprint('testpass') !== app.passphraseFingerprint,
+      sameMatches,
+      typoMatches,
+      warning: app.passphraseCheck.textContent,
+    };
+  }, auditTrail);
+
+  expect(result.recorded).toBe(true);
+  // Salted: the same passphrase never repeats a fingerprint
+  expect(result.rerun).toBe(true);
+  expect(result.sameMatches).toBe(true);
+  expect(result.typoMatches).toBe(false);
+  expect(result.warning).toContain('does NOT match');
+});
+
+// ────────────────────────────────────────────────
+// 29. Shared helpers: the CLI and the page build the same defaults and audit
+// ────────────────────────────────────────────────
+test('default tag configurations and audit CSV come from the shared helpers', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const { auditTrail } = await processSampleInWorker(page);
+  const result = await page.evaluate((auditTrail) => {
+    // @ts-ignore - app global
+    const app = new DicomDeidentifier();
+    app.auditTrails = [auditTrail];
+    app.passphraseFingerprint = 'pbkdf2-sha256:1:00:00';
+    return {
+      // @ts-ignore - shared helper
+      whitelist: JSON.stringify(createDefaultTagConfigurations('whitelist')) === JSON.stringify(app.getDefaultTagConfigurations('whitelist')),
+      // @ts-ignore - shared helper
+      profile: createDefaultTagConfigurations('basic')['00100020'].ifPresent,
+      // @ts-ignore - shared helper
+      sameCSV: generateAuditCSV(auditTrail, app.passphraseFingerprint) === app.generateMasterCSV(),
+      header: app.generateMasterCSV().split('\n')[0],
+    };
+  }, auditTrail);
+
+  expect(result.whitelist).toBe(true);
+  expect(result.profile).not.toBe('profile');
+  expect(result.sameCSV).toBe(true);
+  expect(result.header).toContain('Passphrase Fingerprint');
+});
+
+// ────────────────────────────────────────────────
+// 30. Command line: profile, date shift, age, UID, pseudonym and redaction options
+// ────────────────────────────────────────────────
+test('command line accepts the Configuration page settings and rejects invalid ones', async () => {
+  const { parseOptions } = require('../cli.js');
+  process.env.DICOM_DEID_PASSPHRASE = 'testpass';
+  const base = ['--input', 'in', '--output', 'out'];
+
+  const options = parseOptions([
+    ...base, '--profile', 'basic', '--profile-option', 'retainLongitudinalModifiedDates',
+    '--shift-key', 'study', '--shift-days=-30:-1', '--age-mode', 'recalculate', '--age-cap', '--age-bins', '0,18,65',
+    '--uid-scheme', 'root', '--uid-root', '1.2.840.99999', '--pseudonym-scheme', 'v1',
+  ]);
+  expect(options.deidProfile).toEqual({ name: 'basic', options: { retainLongitudinalModifiedDates: true }, safePrivateAttributes: [] });
+  expect(options.tagConfigurations['00100040'].ifPresent).toBe('profile');
+  expect(options.dateShift).toMatchObject({ key: 'study', mode: 'offset', minDays: -30, maxDays: -1 });
+  expect(options.patientAge).toEqual({ mode: 'recalculate', capOver89: true, bins: [0, 18, 65] });
+  expect(options.uidOptions).toEqual({ scheme: 'root', root: '1.2.840.99999' });
+  expect(options.pseudonymScheme).toBe('v1');
+  expect(options.pixelRedactionRules).toEqual([]);
+
+  expect(() => parseOptions([...base, '--profile-option', 'retainUIDs'])).toThrow('not the whitelist');
+  expect(() => parseOptions([...base, '--shift-key', 'global', '--shift-strategy', 'anchor'])).toThrow('per-patient or per-study');
+  expect(() => parseOptions([...base, '--age-bins', '18,5'])).toThrow('ascending order');
+  expect(() => parseOptions([...base, '--uid-scheme', 'root', '--uid-root', '1.02'])).toThrow('not a valid UID root');
+  expect(() => parseOptions([...base, '--pseudonym-scheme', 'v3'])).toThrow('Unknown pseudonym scheme');
+
+  // The encrypted audit needs its own passphrase and stays out of the output directory
+  process.env.DICOM_DEID_AUDIT_PASSPHRASE = 'auditpass';
+  const encrypted = parseOptions([...base, '--encrypt-audit', 'audit.enc']);
+  expect(encrypted.encryptAudit).toBe(path.resolve('audit.enc'));
+  expect(encrypted.auditPassphrase).toBe('auditpass');
+  expect(parseOptions(base).encryptAudit).toBeNull();
+  expect(() => parseOptions([...base, '--encrypt-audit', 'out/audit.enc'])).toThrow('outside the output directory');
+  expect(() => parseOptions([...base, '--dry-run', '--encrypt-audit', 'audit.enc'])).toThrow('writes no audit');
+  delete process.env.DICOM_DEID_AUDIT_PASSPHRASE;
+  expect(() => parseOptions([...base, '--encrypt-audit', 'audit.enc'])).toThrow('No audit passphrase');
+});
+
+// ────────────────────────────────────────────────
+// 31. Library API: deidentify() from the ES module matches the worker
+// ────────────────────────────────────────────────
+test('ES module deidentify returns the buffer, audit, actions and errors', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const { dict: workerDict } = await processSampleInWorker(page);
+  const result = await page.evaluate(async () => {
+    const lib = await import('/dicom-deid.mjs');
+    // @ts-ignore - dcmjs global
+    const { DicomDict, DicomMessage } = dcmjs.data;
+    const input = new DicomDict({
+      '00020001': { vr: 'OB', Value: [new Uint8Array([0, 1]).buffer] },
+      '00020002': { vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.2'] },
+      '00020003': { vr: 'UI', Value: ['1.2.3.4.5.6'] },
+      '00020010': { vr: 'UI', Value: ['1.2.840.10008.1.2.1'] },
+    });
+    input.dict = {
+      '00080016': { vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.2'] },
+      '00080018': { vr: 'UI', Value: ['1.2.3.4.5.6'] },
+      '00100010': { vr: 'PN', Value: ['Doe^John'] },
+      '00100020': { vr: 'LO', Value: ['1234567'] },
+      '0020000D': { vr: 'UI', Value: ['1.2.3.4.5'] },
+    };
+
+    const { buffer, audit, actions, errors } = await lib.deidentify(input.write(), { passphrase: 'testpass', filename: 'a.dcm' });
+    const output = DicomMessage.readFile(buffer);
+    const skipped = await lib.deidentify(input.write(), { passphrase: 'testpass', allowedSOPClassUIDs: ['1.2.3'] });
+    const broken = await lib.deidentify(new ArrayBuffer(16), { passphrase: 'testpass' });
+    return {
+      patientID: output.dict['00100020'].Value[0],
+      audit,
+      patientIDAction: actions.find(action => action.tag === '00100020'),
+      errors,
+      skipped: skipped.skipped && skipped.buffer === null,
+      brokenErrors: broken.errors.map(error => error.errorType),
+    };
+  });
+
+  expect(result.patientID).toBe(workerDict['00100020'].Value[0]);
+  expect(result.audit.filename).toBe('a.dcm');
+  expect(result.audit.scrambledPatientID).toBe(result.patientID);
+  expect(result.patientIDAction).toMatchObject({ original: '1234567', action: 'SCRAMBLE_TEXT', value: result.patientID });
+  expect(result.errors).toEqual([]);
+  expect(result.skipped).toBe(true);
+  expect(result.brokenErrors).toEqual(['PROCESSING_ERROR']);
+});
+
+// ────────────────────────────────────────────────
+// 32. Library API: the ES module loads under a CSP without 'unsafe-eval'
+// ────────────────────────────────────────────────
+test('ES module imports the shared scripts without eval, so a strict CSP allows it', async ({ page }) => {
+  await page.route('**/strict-csp.html', route => route.fulfill({
+    contentType: 'text/html',
+    headers: { 'Content-Security-Policy': "script-src 'self'" },
+    body: '<!DOCTYPE html><html><body></body></html>',
+  }));
+  await page.goto('/strict-csp.html');
+
+  const result = await page.evaluate(async () => {
+    const lib = await import('/dicom-deid.mjs');
+    const scrambler = new lib.DicomScrambler('testpass');
+    return {
+      deidentify: typeof lib.deidentify,
+      patientID: await scrambler.scrambleText('1234567'),
+    };
+  });
+
+  expect(result.deidentify).toBe('function');
+  // As the command line, which requires the same scripts, writes it
+  expect(result.patientID).toBe('8L48BLRG');
+});
+
+// ────────────────────────────────────────────────
+// 33. Pseudonym lookup table: assigned subject IDs, unmatched handling, audit
+// ────────────────────────────────────────────────
+test('pseudonym lookup table replaces hashed pseudonyms and handles unmatched files', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const table = await page.evaluate(() => {
+    // @ts-ignore - shared helpers
+    return parsePseudonymLookup(parseCSV('Original Patient ID,Pseudonym Patient ID\n1234567,SITE01-0042\n'));
+  });
+  const { dict, auditTrail } = await processSampleInWorker(page, { pseudonymLookup: { ...table, unmatched: 'hash' } });
+  expect(dict['00100020'].Value[0]).toBe('SITE01-0042');
+  expect(dict['00100010'].Value[0]).toBe('SITE01-0042');
+  expect(auditTrail[0].scrambledPatientID).toBe('SITE01-0042');
+  expect(auditTrail[0].patientIDSource).toBe('lookup');
+
+  const unmatched = await page.evaluate(async () => {
+    const lib = await import('/dicom-deid.mjs');
+    // @ts-ignore - dcmjs global
+    const input = new dcmjs.data.DicomDict({
+      '00020002': { vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.2'] },
+      '00020003': { vr: 'UI', Value: ['1.2.3.4.5.6'] },
+      '00020010': { vr: 'UI', Value: ['1.2.840.10008.1.2.1'] },
+    });
+    input.dict = {
+      '00080016': { vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.2'] },
+      '00100020': { vr: 'LO', Value: ['7654321'] },
+    };
+    const table = lib.parsePseudonymLookup(lib.parseCSV('Original Patient ID,Pseudonym Patient ID\n1234567,SITE01-0042\n'));
+    const outcomes = {};
+    for (const action of ['hash', 'skip', 'fail']) {
+      const outcome = await lib.deidentify(input.write(), { passphrase: 'testpass', pseudonymLookup: { ...table, unmatched: action } });
+      outcomes[action] = {
+        written: outcome.buffer !== null,
+        skipped: outcome.skipped,
+        source: outcome.audit.patientIDSource,
+        errors: outcome.errors.map(error => error.errorType),
+      };
+    }
+    return outcomes;
+  });
+
+  expect(unmatched.hash).toEqual({ written: true, skipped: false, source: 'unmatched (hashed)', errors: [] });
+  expect(unmatched.skip).toEqual({ written: false, skipped: true, source: 'unmatched (skipped)', errors: ['PSEUDONYM_UNMATCHED'] });
+  expect(unmatched.fail).toEqual({ written: false, skipped: false, source: 'unmatched (failed)', errors: ['PSEUDONYM_UNMATCHED'] });
+});
+
+// ────────────────────────────────────────────────
+// 34. Pseudonym templates: sequence numbers shared across workers and runs
+// ────────────────────────────────────────────────
+test('pseudonym templates number patients in first-seen order and continue from a saved registry', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const runs = await page.evaluate(async () => {
+    // @ts-ignore - dcmjs global
+    const { DicomDict, DicomMessage } = dcmjs.data;
+    const makeFile = (patientID, studyUID) => {
+      const input = new DicomDict({
+        '00020002': { vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.2'] },
+        '00020003': { vr: 'UI', Value: ['1.2.3.4.5.6'] },
+        '00020010': { vr: 'UI', Value: ['1.2.840.10008.1.2.1'] },
+      });
+      input.dict = {
+        '00080016': { vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.2'] },
+        '00080050': { vr: 'SH', Value: ['ACC123'] },
+        '00100010': { vr: 'PN', Value: ['Doe^John'] },
+        '00100020': { vr: 'LO', Value: [patientID] },
+        '0020000D': { vr: 'UI', Value: [studyUID] },
+      };
+      return { filename: `${patientID}-${studyUID}.dcm`, data: input.write() };
+    };
+    // @ts-ignore - app global
+    const tagConfigurations = new DicomDeidentifier().getDefaultTagConfigurations('whitelist');
+    const pseudonymTemplates = { patient: 'SUBJ-{seq:4}', study: '{project}_{hash:6}', project: 'TRIAL1' };
+
+    const runWorker = async (registry, files) => {
+      const worker = new Worker('dicom-worker.js');
+      const message = await new Promise((resolve) => {
+        worker.onmessage = (e) => {
+          if (e.data.type === 'ASSIGN_SEQUENCE') {
+            const { requestId, kind, key } = e.data;
+            worker.postMessage({ type: 'SEQUENCE_ASSIGNED', requestId, sequence: registry.assign(kind, key) });
+          } else if (e.data.type === 'COMPLETE') {
+            resolve(e.data);
+          }
+        };
+        worker.postMessage({
+          type: 'PROCESS_CHUNK', files, passphrase: 'testpass', workerId: 0, tagConfigurations,
+          deidProfile: { name: 'whitelist', options: {} }, pseudonymTemplates,
+        });
+      });
+      worker.terminate();
+      return message.results.map((result) => {
+        const dict = DicomMessage.readFile(result.data).dict;
+        return [dict['00100020'].Value[0], dict['00100010'].Value[0], dict['00080050'].Value[0]];
+      });
+    };
+
+    // @ts-ignore - shared helpers
+    const registry = new PseudonymRegistry();
+    const first = await runWorker(registry, [makeFile('P1', '1.2.3.1'), makeFile('P2', '1.2.3.2'), makeFile('P1', '1.2.3.3')]);
+    const saved = JSON.stringify(registry);
+    // @ts-ignore - shared helpers
+    const second = await runWorker(PseudonymRegistry.fromJSON(saved), [makeFile('P3', '1.2.3.4'), makeFile('P2', '1.2.3.5')]);
+    // A long project's registry loads and continues its numbering
+    const studies = {};
+    for (let sequence = 1; sequence <= 200000; sequence++) studies[`key${sequence}`] = sequence;
+    // @ts-ignore - shared helpers
+    const large = new PseudonymRegistry({ study: studies }).assign('study', 'new');
+    return { first, second, saved, large };
+  });
+
+  expect(runs.first.map(([patientID]) => patientID)).toEqual(['SUBJ-0001', 'SUBJ-0002', 'SUBJ-0001']);
+  expect(runs.first[0][1]).toBe('SUBJ-0001');
+  expect(runs.first[0][2]).toMatch(/^TRIAL1_[A-Z0-9]{6}$/);
+  expect(runs.first[2][2]).not.toBe(runs.first[0][2]);
+  expect(runs.second.map(([patientID]) => patientID)).toEqual(['SUBJ-0003', 'SUBJ-0002']);
+  expect(runs.large).toBe(200001);
+  // The registry holds keyed hashes, never the original identifiers
+  expect(runs.saved).not.toContain('P1');
+  expect(runs.saved).not.toContain('1.2.3.1');
+});
+
+// ────────────────────────────────────────────────
+// 35. Re-identification: templated pseudonyms point to the registry
+// ────────────────────────────────────────────────
+test('audit records templated pseudonyms and re-identification does not report a mismatch', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const { sources, results } = await page.evaluate(async () => {
+    // @ts-ignore - dcmjs global
+    const { DicomDict } = dcmjs.data;
+    const input = new DicomDict({
+      '00020002': { vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.2'] },
+      '00020003': { vr: 'UI', Value: ['1.2.3.4.5.6'] },
+      '00020010': { vr: 'UI', Value: ['1.2.840.10008.1.2.1'] },
+    });
+    input.dict = {
+      '00080016': { vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.2'] },
+      '00080050': { vr: 'SH', Value: ['ACC123'] },
+      '00100010': { vr: 'PN', Value: ['Doe^John'] },
+      '00100020': { vr: 'LO', Value: ['P1'] },
+      '0020000D': { vr: 'UI', Value: ['1.2.3.1'] },
+    };
+    // @ts-ignore - app global
+    const app = new DicomDeidentifier();
+    // @ts-ignore - shared helpers
+    const registry = new PseudonymRegistry();
+
+    const worker = new Worker('dicom-worker.js');
+    const message = await new Promise((resolve) => {
+      worker.onmessage = (e) => {
+        if (e.data.type === 'ASSIGN_SEQUENCE') {
+          const { requestId, kind, key } = e.data;
+          worker.postMessage({ type: 'SEQUENCE_ASSIGNED', requestId, sequence: registry.assign(kind, key) });
+        } else if (e.data.type === 'COMPLETE') {
+          resolve(e.data);
+        }
+      };
+      worker.postMessage({
+        type: 'PROCESS_CHUNK', files: [{ filename: 'a.dcm', data: input.write() }], passphrase: 'testpass', workerId: 0,
+        tagConfigurations: app.getDefaultTagConfigurations('whitelist'),
+        deidProfile: { name: 'whitelist', options: {} }, pseudonymTemplates: { patient: 'SUBJ-{seq:4}', project: '' },
+      });
+    });
+    worker.terminate();
+
+    const entry = message.auditTrail[0];
+    app.auditTrails = [message.auditTrail];
+    // @ts-ignore - app global
+    const reidentifier = AuditReidentifier.fromCSV(app.generateMasterCSV());
+    const results = reidentifier.reidentifyPseudonyms(`SUBJ-0001\n${entry.scrambledAccession}`);
+    // @ts-ignore - app global
+    await reidentifier.verify(results, new DicomScrambler('testpass'));
+    return {
+      sources: [entry.patientIDSource, entry.accessionSource],
+      results: results.map(r => [r.identifier, r.originals.join(' | '), r.status]),
+    };
+  });
+
+  expect(sources).toEqual(['template', '']);
+  expect(results).toEqual([
+    ['Patient ID', 'P1', 'template: sequence numbers are in the registry'],
+    ['Accession', 'ACC123', 'verified'],
+  ]);
+});
+
+// ────────────────────────────────────────────────
+// 36. Format-preserving pseudonyms selected per tag
+// ────────────────────────────────────────────────
+test('scramble keeping the format keeps digits, letters, separators and length', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const tagOverrides = {
+    '00100020': { ifPresent: 'scrambleFormat' },
+    '00100010': { ifPresent: 'scrambleFormat' },
+    '00080050': { ifPresent: 'scrambleFormat' },
+  };
+  const { dict, verboseLog } = await processSampleInWorker(page, { tagOverrides, verboseMode: true });
+  const patientID = dict['00100020'].Value[0];
+  expect(patientID).toMatch(/^\d{7}$/);
+  expect(patientID).not.toBe('1234567');
+  expect(dict['00100010'].Value[0]).toMatch(/^[A-Z][a-z]{2}\^[A-Z][a-z]{3}$/);
+  expect(dict['00080050'].Value[0]).toMatch(/^[A-Z]{3}\d{3}$/);
+  expect(verboseLog).toContain('SCRAMBLE_FORMAT');
+
+  // Keyed by the passphrase, and distinct values of one format stay distinct
+  const pseudonyms = await page.evaluate(async () => {
+    // @ts-ignore - shared helpers
+    const scrambler = new DicomScrambler('testpass');
+    // @ts-ignore - shared helpers
+    const other = await new DicomScrambler('otherpass').scrambleFormatPreserving('1234567');
+    const values = [];
+    for (let i = 0; i < 1000; i++) {
+      values.push(await scrambler.scrambleFormatPreserving(`AB-${String(i).padStart(3, '0')}`));
+    }
+    return { same: await scrambler.scrambleFormatPreserving('1234567'), other, values };
+  });
+  expect(pseudonyms.same).toBe(patientID);
+  expect(pseudonyms.other).not.toBe(patientID);
+  expect(new Set(pseudonyms.values).size).toBe(1000);
+  expect(pseudonyms.values.every(value => /^[A-Z]{2}-\d{3}$/.test(value))).toBe(true);
+});
+
+// ────────────────────────────────────────────────
+// 37. Fake PN names, including ideographic and phonetic groups
+// ────────────────────────────────────────────────
+test('fake name action writes a Family^Given name in each component group', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const tagOverrides = { '00100010': { ifPresent: 'fakeName' } };
+  const { dict: alphabetic, verboseLog } = await processSampleInWorker(page, { tagOverrides, verboseMode: true });
+  const [family, given] = alphabetic['00100010'].Value[0].split('^');
+  expect(family).toMatch(/^[A-Z][a-z]+$/);
+  expect(given).toMatch(/^[A-Z][a-z]+$/);
+  expect(verboseLog).toContain('FAKE_NAME');
+
+  // The same person in upper case keeps the same fake name, in upper case
+  const { dict: upper } = await processSampleInWorker(page, {
+    tagOverrides,
+    extraTags: { '00100010': { vr: 'PN', Value: ['DOE^JOHN'] } },
+  });
+  expect(upper['00100010'].Value[0]).toBe(`${family}^${given}`.toUpperCase());
+
+  const { dict: groups } = await processSampleInWorker(page, {
+    tagOverrides,
+    extraTags: {
+      '00080005': { vr: 'CS', Value: ['ISO_IR 192'] },
+      '00100010': { vr: 'PN', Value: ['Yamada^Tarou=山田^太郎=やまだ^たろう'] },
+    },
+  });
+  const [alpha, ideographic, phonetic] = groups['00100010'].Value[0].split('=');
+  expect(alpha).toMatch(/^[A-Z][a-z]+\^[A-Z][a-z]+$/);
+  expect(ideographic).toMatch(/^[^\x00-\x7F]+\^[^\x00-\x7F]+$/);
+  expect(phonetic).toMatch(/^[^\x00-\x7F]+\^[^\x00-\x7F]+$/);
+  expect(groups['00100010'].Value[0]).not.toContain('山田');
+});
+
+// ────────────────────────────────────────────────
+// 38. Dry run: report what would be done without writing output
+// ────────────────────────────────────────────────
+test('dry run reports tag actions, SOP class outcomes and failures without output', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  await page.fill('#passphrase', 'testpass123');
+  const fileChooserPromise = page.waitForEvent('filechooser');
+  await page.locator('#uploadArea').click();
+  const fileChooser = await fileChooserPromise;
+  await fileChooser.setFiles(ZIP_FILE);
+
+  await expect(page.locator('#dryRunBtn')).toBeEnabled();
+  await page.locator('#dryRunBtn').click();
+  await expect(page.locator('#resultsSection')).toBeVisible({ timeout: 60_000 });
+  await expect(page.locator('#resultsText')).toContainText('No files were written');
+  await expect(page.locator('#dryRunSummary')).toContainText('Would be written: 5');
+  await expect(page.locator('#downloadBtn')).toBeHidden();
+  await expect(page.locator('#downloadReportBtn')).toBeVisible();
+
+  const report = await page.evaluate(async () => {
+    // @ts-ignore - dcmjs global
+    const { DicomDict } = dcmjs.data;
+    const makeFile = (filename, sopClassUID) => {
+      const input = new DicomDict({
+        '00020002': { vr: 'UI', Value: [sopClassUID] },
+        '00020003': { vr: 'UI', Value: ['1.2.3.4.5.6'] },
+        '00020010': { vr: 'UI', Value: ['1.2.840.10008.1.2.1'] },
+      });
+      input.dict = {
+        '00080016': { vr: 'UI', Value: [sopClassUID] },
+        '00100020': { vr: 'LO', Value: [filename] },
+        '00321032': { vr: 'PN', Value: ['Ref^Doc'] },
+      };
+      return { filename, data: input.write() };
+    };
+    // DICM magic bytes but no readable dataset
+    const unreadable = new Uint8Array(200);
+    unreadable.set([0x44, 0x49, 0x43, 0x4d], 128);
+    const files = [
+      makeFile('ct1.dcm', '1.2.840.10008.5.1.4.1.1.2'),
+      makeFile('ct2.dcm', '1.2.840.10008.5.1.4.1.1.2'),
+      makeFile('mr.dcm', '1.2.840.10008.5.1.4.1.1.4'),
+      { filename: 'broken.dcm', data: unreadable.buffer },
+    ];
+    // @ts-ignore - app global
+    const tagConfigurations = new DicomDeidentifier().getDefaultTagConfigurations('whitelist');
+
+    const worker = new Worker('dicom-worker.js');
+    const message = await new Promise((resolve) => {
+      worker.onmessage = (e) => {
+        if (e.data.type === 'COMPLETE') resolve(e.data);
+      };
+      worker.postMessage({
+        type: 'PROCESS_CHUNK', files, passphrase: 'testpass', workerId: 0, tagConfigurations,
+        allowedSOPClassUIDs: ['1.2.840.10008.5.1.4.1.1.2'],
+        deidProfile: { name: 'whitelist', options: {} }, dryRun: { includeSamples: true },
+      });
+    });
+    worker.terminate();
+    // @ts-ignore - shared helpers
+    const merged = new DryRunReport().merge(message.dryRunReport);
+    return {
+      data: message.results.map(result => result.data),
+      json: merged.toJSON(),
+      csv: merged.generateCSV(),
+      summary: merged.generateSummary(),
+    };
+  });
+
+  expect(report.data.every(data => data === null)).toBe(true);
+  expect(report.json.written).toBe(2);
+  expect(report.json.sopClasses['1.2.840.10008.5.1.4.1.1.2'].included).toBe(2);
+  expect(report.json.sopClasses['1.2.840.10008.5.1.4.1.1.4'].excluded).toBe(1);
+  expect(report.json.failures.map(failure => failure.filename)).toEqual(['broken.dcm']);
+  expect(report.json.tags['00321032'].actions).toEqual({ DELETE: 2 });
+  expect(report.json.tags['00100020'].samples.map(sample => sample.original)).toEqual(['ct1.dcm', 'ct2.dcm']);
+  expect(report.csv).toMatch(/^00321032,RequestingPhysician,2,0,2,/m);
+  expect(report.summary).toContain('Predicted failures: 1');
+});
+
+// ────────────────────────────────────────────────
+// 39. Tag inventory, with tags added back to the whitelist
+// ────────────────────────────────────────────────
+test('tag inventory lists every tag and adds removed tags to the whitelist', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  // No passphrase needed: nothing is de-identified
+  const fileChooserPromise = page.waitForEvent('filechooser');
+  await page.locator('#uploadArea').click();
+  const fileChooser = await fileChooserPromise;
+  await fileChooser.setFiles(ZIP_FILE);
+
+  await expect(page.locator('#inventoryBtn')).toBeEnabled();
+  await page.locator('#inventoryBtn').click();
+  await expect(page.locator('#resultsSection')).toBeVisible({ timeout: 60_000 });
+  await expect(page.locator('#resultsText')).toContainText('Tag inventory of 5 files');
+  await expect(page.locator('#downloadInventoryBtn')).toBeVisible();
+
+  const addButton = page.locator('#tagInventoryTable button', { hasText: 'Add to whitelist' }).first();
+  const tag = await addButton.locator('xpath=ancestor::tr').locator('td').first().textContent();
+  await addButton.click();
+  const row = page.locator('#tagInventoryTable tr', { has: page.locator('td.tag-code', { hasText: tag || '' }) }).first();
+  await expect(row.locator('td').nth(4)).toHaveText(/unchanged \(tag configuration\)|keep \(safe private list\)/);
+
+  const inventory = await page.evaluate(async () => {
+    // @ts-ignore - dcmjs global
+    const { DicomDict } = dcmjs.data;
+    const input = new DicomDict({
+      '00020002': { vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.2'] },
+      '00020003': { vr: 'UI', Value: ['1.2.3.4.5.6'] },
+      '00020010': { vr: 'UI', Value: ['1.2.840.10008.1.2.1'] },
+    });
+    input.dict = {
+      '00080016': { vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.2'] },
+      '00290010': { vr: 'LO', Value: ['ACME 1.0'] },
+      '00291010': { vr: 'LO', Value: ['vendor value'] },
+      '00400275': { vr: 'SQ', Value: [{ '00321060': { vr: 'LO', Value: ['Proc A'] } }, { '00321060': { vr: 'LO', Value: ['Proc B'] } }] },
+    };
+    // @ts-ignore - shared helpers
+    const inventory = new TagInventory();
+    inventory.addFile('a.dcm', input.write());
+    // @ts-ignore - shared helpers
+    const profile = new DeidentificationProfile('whitelist', {}, [{ group: '0029', creator: 'ACME 1.0', elements: ['10'] }]);
+    // @ts-ignore - app global
+    const tagConfigurations = new DicomDeidentifier().getDefaultTagConfigurations('whitelist');
+    return { tags: inventory.toJSON().tags, csv: inventory.generateCSV(profile, tagConfigurations) };
+  });
+
+  expect(inventory.tags['00291010 ACME 1.0'].name).toBe('Private (ACME 1.0)');
+  expect(inventory.tags['00400275[].00321060'].samples).toEqual(['Proc A', 'Proc B']);
+  expect(inventory.tags['00400275[].00321060'].files).toBe(1);
+  expect(inventory.csv).toContain('00291010,LO,Private (ACME 1.0),ACME 1.0,1,keep (safe private list),vendor value');
+  expect(inventory.csv).toContain('00400275,SQ,RequestAttributesSequence,,1,delete (profile),');
+});
+
+// ────────────────────────────────────────────────
+// 40. Before/after tag view of a processed file
+// ────────────────────────────────────────────────
+test('file inspector shows a file\'s tags before and after de-identification', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  await page.fill('#passphrase', 'testpass123');
+  const fileChooserPromise = page.waitForEvent('filechooser');
+  await page.locator('#uploadArea').click();
+  const fileChooser = await fileChooserPromise;
+  await fileChooser.setFiles(ZIP_FILE);
+
+  await page.locator('#processBtn').click();
+  await expect(page.locator('#resultsSection')).toBeVisible({ timeout: 60_000 });
+  await expect(page.locator('#fileInspector')).toBeVisible();
+  await expect(page.locator('#inspectFileSelect option')).toHaveCount(6);
+
+  await page.locator('#inspectFileSelect').selectOption({ index: 1 });
+  const row = page.locator('#tagComparison tr', { has: page.locator('td.tag-code', { hasText: '00080018' }) }).first();
+  await expect(row).toHaveClass('changed', { timeout: 30_000 });
+  await expect(row.locator('td').nth(1)).toHaveText('SOPInstanceUID');
+  await expect(row.locator('td').nth(4)).toHaveText(/^2\.25\./);
+  await expect(row.locator('td').nth(5)).toHaveText('SCRAMBLE_UID');
+
+  const rows = await page.evaluate(async () => {
+    // @ts-ignore - dcmjs global
+    const { DicomDict } = dcmjs.data;
+    const input = new DicomDict({
+      '00020002': { vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.2'] },
+      '00020003': { vr: 'UI', Value: ['1.2.3.4.5.6'] },
+      '00020010': { vr: 'UI', Value: ['1.2.840.10008.1.2.1'] },
+    });
+    input.dict = {
+      '00080016': { vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.2'] },
+      '00100010': { vr: 'PN', Value: ['Doe^John'] },
+      '00081140': { vr: 'SQ', Value: [{ '00081155': { vr: 'UI', Value: ['1.2.3.9'] } }] },
+      '00400275': { vr: 'SQ', Value: [{ '00321060': { vr: 'LO', Value: ['Proc A'] } }] },
+    };
+    // @ts-ignore - app global
+    const tagConfigurations = new DicomDeidentifier().getDefaultTagConfigurations('whitelist');
+
+    const worker = new Worker('dicom-worker.js');
+    const message = await new Promise((resolve) => {
+      worker.onmessage = (e) => {
+        if (e.data.type === 'INSPECT_RESULT') resolve(e.data);
+      };
+      worker.postMessage({
+        type: 'INSPECT_FILE', file: { filename: 'a.dcm', data: input.write() }, passphrase: 'testpass',
+        tagConfigurations, deidProfile: { name: 'whitelist', options: {} },
+      });
+    });
+    worker.terminate();
+    // @ts-ignore - worker reply
+    return message.rows;
+  });
+
+  const find = (list, path) => list.find(row => row.path === path);
+  expect(find(rows, '00020003')).toMatchObject({ original: '1.2.3.4.5.6', action: 'SCRAMBLE_UID', status: 'changed' });
+  expect(find(rows, '00100010')).toMatchObject({ original: 'Doe^John', status: 'changed' });
+  const references = find(rows, '00081140');
+  expect(references).toMatchObject({ original: '[1 item(s)]', value: '[1 item(s)]', status: 'changed' });
+  expect(find(references.items[0], '00081140[0].00081155')).toMatchObject({ original: '1.2.3.9', action: 'SCRAMBLE_UID' });
+  const requests = find(rows, '00400275');
+  expect(requests).toMatchObject({ action: 'DELETE', status: 'removed', value: null });
+  expect(find(requests.items[0], '00400275[0].00321060')).toMatchObject({ original: 'Proc A', status: 'removed' });
+  expect(find(rows, '00120063')).toMatchObject({ original: null, status: 'added' });
+});
+
+// ────────────────────────────────────────────────
+// 41. Before/after tag view numbers subjects in a copy of the registry
+// ────────────────────────────────────────────────
+test('inspecting a file with pseudonym templates assigns no sequence numbers in the registry', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  const result = await page.evaluate(async () => {
+    // @ts-ignore - dcmjs global
+    const { DicomDict } = dcmjs.data;
+    const input = new DicomDict({
+      '00020002': { vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.2'] },
+      '00020003': { vr: 'UI', Value: ['1.2.3.4.5.6'] },
+      '00020010': { vr: 'UI', Value: ['1.2.840.10008.1.2.1'] },
+    });
+    input.dict = {
+      '00080016': { vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.2'] },
+      '00100020': { vr: 'LO', Value: ['P9'] },
+    };
+    // @ts-ignore - app global
+    const tagConfigurations = new DicomDeidentifier().getDefaultTagConfigurations('whitelist');
+    // @ts-ignore - shared helpers
+    const registry = new PseudonymRegistry();
+    registry.assign('patient', 'first');
+    registry.assign('patient', 'second');
+    const saved = JSON.stringify(registry);
+
+    const worker = new Worker('dicom-worker.js');
+    const messages = [];
+    const message = await new Promise((resolve) => {
+      worker.onmessage = (e) => {
+        messages.push(e.data.type);
+        if (e.data.type === 'INSPECT_RESULT') resolve(e.data);
+      };
+      worker.postMessage({
+        type: 'INSPECT_FILE', file: { filename: 'a.dcm', data: input.write() }, passphrase: 'testpass',
+        tagConfigurations, deidProfile: { name: 'whitelist', options: {} },
+        pseudonymTemplates: { patient: 'SUBJ-{seq:4}' }, pseudonymRegistry: registry.toJSON(),
+      });
+    });
+    worker.terminate();
+    return {
+      messages,
+      // @ts-ignore - worker reply
+      patientID: message.rows.find(row => row.tag === '00100020').value,
+      unchanged: JSON.stringify(registry) === saved,
+    };
+  });
+
+  expect(result.messages).toEqual(['INSPECT_RESULT']);
+  expect(result.patientID).toBe('SUBJ-0003');
+  expect(result.unchanged).toBe(true);
+});
+
+// ────────────────────────────────────────────────
+// 42. Image preview with window/level and frame stepping
+// ────────────────────────────────────────────────
+test('image preview renders output frames through the rescale and window', async ({ page }) => {
+  await page.goto('/');
+  await dismissDisclaimer(page);
+
+  await page.fill('#passphrase', 'testpass123');
+  const fileChooserPromise = page.waitForEvent('filechooser');
+  await page.locator('#uploadArea').click();
+  const fileChooser = await fileChooserPromise;
+  await fileChooser.setFiles(ZIP_FILE);
+
+  await page.locator('#processBtn').click();
+  await expect(page.locator('#resultsSection')).toBeVisible({ timeout: 60_000 });
+
+  await page.locator('#inspectFileSelect').selectOption({ index: 1 });
+  await expect(page.locator('#previewCanvas')).toBeVisible({ timeout: 30_000 });
+  await expect(page.locator('#previewFrameLabel')).toHaveText('Frame 1 of 1');
+  await expect(page.locator('#windowWidth')).not.toHaveValue('');
+
+  // A window set by hand is kept while paging to the next file
+  await page.fill('#windowCenter', '50');
+  await page.fill('#windowWidth', '350');
+  await page.locator('#windowWidth').dispatchEvent('change');
+  await page.locator('#nextFileBtn').click();
+  await expect(page.locator('#inspectFileSelect')).toHaveValue(await page.locator('#inspectFileSelect option').nth(2).getAttribute('value') || '');
+  await expect(page.locator('#previewCanvas')).toBeVisible({ timeout: 30_000 });
+  await expect(page.locator('#windowCenter')).toHaveValue('50');
+  await expect(page.locator('#windowWidth')).toHaveValue('350');
+
+  const preview = await page.evaluate(async () => {
+    // @ts-ignore - dcmjs global
+    const { DicomDict } = dcmjs.data;
+    const input = new DicomDict({
+      '00020002': { vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.2'] },
+      '00020003': { vr: 'UI', Value: ['1.2.3.4.5.6'] },
+      '00020010': { vr: 'UI', Value: ['1.2.840.10008.1.2.1'] },
+    });
+    input.dict = {
+      '00080016': { vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.2'] },
+      '00280002': { vr: 'US', Value: [1] },
+      '00280004': { vr: 'CS', Value: ['MONOCHROME2'] },
+      '00280008': { vr: 'IS', Value: [2] },
+      '00280010': { vr: 'US', Value: [2] },
+      '00280011': { vr: 'US', Value: [2] },
+      '00280100': { vr: 'US', Value: [16] },
+      '00280101': { vr: 'US', Value: [16] },
+      '00280102': { vr: 'US', Value: [15] },
+      '00280103': { vr: 'US', Value: [1] },
+      '00281050': { vr: 'DS', Value: [40, 300] },
+      '00281051': { vr: 'DS', Value: [400, 1500] },
+      '00281055': { vr: 'LO', Value: ['BRAIN', 'BONE'] },
+      '00281052': { vr: 'DS', Value: [-24] },
+      '00281053': { vr: 'DS', Value: [1] },
+      '7FE00010': { vr: 'OW', Value: [new Int16Array([-1000, 0, 40, 1000, 100, 200, 300, 400]).buffer] },
+    };
+
+    const worker = new Worker('dicom-worker.js');
+    const message = await new Promise((resolve) => {
+      worker.onmessage = (e) => {
+        if (e.data.type === 'PREVIEW_RESULT') resolve(e.data);
+      };
+      worker.postMessage({ type: 'PREVIEW_FILE', file: { filename: 'a.dcm', data: input.write() } });
+    });
+    worker.terminate();
+    // @ts-ignore - shared helpers and worker reply
+    const image = new ImagePreview(message.image);
+    const pixels = (frame, center, width) => Array.from(image.render(frame, center, width)).filter((value, i) => i % 4 === 0);
+    return {
+      frames: image.frames.length,
+      windows: image.windows,
+      defaultWindow: image.getDefaultWindow(),
+      brain: pixels(0, 40, 400),
+      bone: pixels(1, 300, 1500),
+      range: image.getRange(1),
+    };
+  });
+
+  expect(preview.frames).toBe(2);
+  expect(preview.windows.map(window => window.explanation)).toEqual(['BRAIN', 'BONE']);
+  expect(preview.defaultWindow).toEqual({ center: 40, width: 400 });
+  // Stored -1000, 0, 40, 1000 rescale to -1024, -24, 16, 976
+  expect(preview.brain).toEqual([0, 87, 112, 255]);
+  expect(preview.bone).toEqual([89, 106, 124, 141]);
+  expect(preview.range).toEqual({ min: 76, max: 376 });
+});
@@ -0,0 +1,106 @@
+/**
+ * UID collision registry
+ * Maps a digest of each new UID to a digest of the original UID it was first
+ * generated for. Every worker chunk fills a registry of its own and reports
+ * what it recorded, which the page or the command line checks into one
+ * registry for the run, so collisions between files on different workers are
+ * caught too. Only the digests are kept for the run, two numbers per UID.
+ * The processor records UIDs only under schemes where collisions can happen.
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+// Seeds of the new and the original UID digests
+const NEW_UID_SEED = 0;
+const ORIGINAL_UID_SEED = 1;
+
+class UIDRegistry {
+    constructor() {
+        // Digest of a new UID -> digest of its original UID
+        this.uids = new Map();
+        // [new UID digest, original UID digest, filename] of each UID
+        // check() recorded first, for the run's registry to merge
+        this.recorded = [];
+    }
+
+    /**
+     * Record a new UID, returning whether it was already generated for a
+     * different original UID (a collision)
+     */
+    check(newUID, originalUID, filename) {
+        const entry = [digestUID(newUID, NEW_UID_SEED), digestUID(originalUID, ORIGINAL_UID_SEED), filename];
+        if (!this.uids.has(entry[0])) {
+            this.recorded.push(entry);
+        }
+        return this.add(entry[0], entry[1]);
+    }
+
+    add(newDigest, originalDigest) {
+        const previous = this.uids.get(newDigest);
+        if (previous === undefined) {
+            this.uids.set(newDigest, originalDigest);
+            return false;
+        }
+        return previous !== originalDigest;
+    }
+
+    /**
+     * Check another registry's recorded UIDs into this one, returning the
+     * collisions as { filename, message }
+     */
+    merge(entries) {
+        const collisions = [];
+        for (const [newDigest, originalDigest, filename] of entries) {
+            if (this.add(newDigest, originalDigest)) {
+                collisions.push({ filename, message: 'A new UID was also generated for a different original UID on another worker' });
+            }
+        }
+        return collisions;
+    }
+
+    toJSON() {
+        return this.recorded;
+    }
+}
+
+/**
+ * 53-bit digest of a UID (cyrb53), a number so a large run's registry stays
+ * small; two UIDs share one about as rarely as two legacy UIDs collide
+ */
+function digestUID(uid, seed) {
+    let h1 = 0xdeadbeef ^ seed;
+    let h2 = 0x41c6ce57 ^ seed;
+    for (let i = 0; i < uid.length; i++) {
+        const code = uid.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+/**
+ * Error log section for collisions found between worker chunks, in the
+ * layout of DicomProcessor.generateErrorLog
+ */
+function generateUIDCollisionLog(collisions) {
+    if (collisions.length === 0) return '';
+    let log = 'UID Collisions Across Workers\n';
+    log += '='.repeat(50) + '\n\n';
+    log += ['Filename', 'Error Type', 'Error Message'].join('\t') + '\n';
+    log += '-'.repeat(100) + '\n';
+    for (const collision of collisions) {
+        log += [collision.filename || 'N/A', 'UID_COLLISION', collision.message].join('\t') + '\n';
+    }
+    return log;
+}
+
+return { UIDRegistry, generateUIDCollisionLog };
+}));